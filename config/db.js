@@ -1,16 +1,62 @@
 const mongoose = require("mongoose");
+const Role = require("../models/role");
+const EmailTemplate = require("../models/emailTemplate");
+const { logger } = require("../utils/logger");
 
+// Delay before the next connection attempt: 1s, 2s, 4s... capped at 30s, with jitter
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30 * 1000;
+
+let stopped = false;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getRetryDelayMs = (attempt) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Once connected the driver reconnects by itself; these only report it
+mongoose.connection.on("disconnected", () => {
+  if (!stopped) logger.warn("MongoDB disconnected");
+});
+mongoose.connection.on("reconnected", () => logger.info("MongoDB reconnected"));
+
+// Keep trying until MongoDB is reachable instead of exiting: the server stays up
+// and /readyz reports it as not ready in the meantime
 const connectDB = async () => {
-  try {
-    await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    console.log("✅ MongoDB Connected");
-  } catch (err) {
-    console.error("❌ MongoDB Error:", err.message);
-    process.exit(1);
+  for (let attempt = 1; !stopped; attempt++) {
+    try {
+      await mongoose.connect(process.env.MONGO_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      logger.info("MongoDB connected");
+      await Role.seedDefaults();
+      await EmailTemplate.seedDefaults();
+      return;
+    } catch (err) {
+      const retryInMs = getRetryDelayMs(attempt);
+      logger.error("MongoDB connection failed", { error: err, attempt, retryInMs });
+      await wait(retryInMs);
+    }
   }
 };
 
-module.exports = connectDB;
+// "connected", "connecting", "disconnecting" or "disconnected"
+const getDbState = () => mongoose.STATES[mongoose.connection.readyState];
+
+// Stop retrying and close the connection, for shutdown. A connection attempt in
+// progress is abandoned: disconnecting would wait for it to time out.
+const disconnectDB = async () => {
+  stopped = true;
+  if (getDbState() === "connected") {
+    await mongoose.disconnect();
+  }
+};
+
+module.exports = {
+  connectDB,
+  disconnectDB,
+  getDbState,
+};
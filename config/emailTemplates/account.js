@@ -0,0 +1,200 @@
+// Account and security emails
+const sample = {
+  name: 'Priya Sharma',
+  email: 'priya@example.com',
+};
+
+module.exports = [
+  {
+    name: 'account-password-reset',
+    description: 'Sent when a user asks to reset a forgotten password',
+    subject: 'Password Reset Request',
+    text: 'You requested a password reset. Click this link to reset your password: {{resetUrl}}\n\nThis link will expire in 10 minutes.\n\nIf you didn\'t request this, please ignore this email.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Password Reset Request</h2>
+        <p>You requested a password reset for your account.</p>
+        <p><a href="{{resetUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a></p>
+        <p><strong>This link will expire in 10 minutes.</strong></p>
+        <p>If you didn't request this, please ignore this email.</p>
+        <hr>
+        <p><small>If the button doesn't work, copy and paste this link: {{resetUrl}}</small></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      resetUrl: 'https://example.org/reset-password/sample-token',
+    },
+  },
+  {
+    name: 'account-password-changed',
+    description: 'Sent after a user changes their password',
+    subject: 'Your password was changed',
+    text: 'Hi {{name}},\n\nThe password for your account was changed on {{changedAt}} (IP address: {{ipAddress}}). All devices have been signed out.\n\nIf you didn\'t make this change, reset your password immediately and contact us.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your password was changed</h2>
+        <p>Hi {{name}},</p>
+        <p>The password for your account was changed on <strong>{{changedAt}}</strong> (IP address: {{ipAddress}}).</p>
+        <p>For your security, all devices have been signed out.</p>
+        <p><strong>If you didn't make this change, reset your password immediately and contact us.</strong></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      changedAt: '5/3/2025, 10:30:00 am',
+      ipAddress: '203.0.113.10',
+    },
+  },
+  {
+    name: 'account-verify-email',
+    description: 'Sent after sign-up, and on request, with the email verification link',
+    subject: 'Verify your email address',
+    text: 'Hi {{name}},\n\nPlease confirm your email address by opening this link: {{verifyUrl}}\n\nThis link will expire in 24 hours.\n\nIf you didn\'t create an account, please ignore this email.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Verify your email address</h2>
+        <p>Hi {{name}},</p>
+        <p>Please confirm your email address to finish setting up your account.</p>
+        <p><a href="{{verifyUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Verify Email</a></p>
+        <p><strong>This link will expire in 24 hours.</strong></p>
+        <p>If you didn't create an account, please ignore this email.</p>
+        <hr>
+        <p><small>If the button doesn't work, copy and paste this link: {{verifyUrl}}</small></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      verifyUrl: 'https://example.org/verify-email/sample-token',
+    },
+  },
+  {
+    name: 'account-locked',
+    description: 'Sent when an account is locked after repeated failed logins',
+    subject: 'Your account has been temporarily locked',
+    text: 'Hi {{name}},\n\nWe locked your account after several failed login attempts. It will unlock automatically at {{lockedUntil}}.\n\nIf these attempts were yours, you can unlock it now: {{unlockUrl}}\n\nIf they weren\'t, we recommend resetting your password.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your account has been temporarily locked</h2>
+        <p>Hi {{name}},</p>
+        <p>We locked your account after several failed login attempts. It will unlock automatically at <strong>{{lockedUntil}}</strong>.</p>
+        <p>If these attempts were yours, you can unlock it now:</p>
+        <p><a href="{{unlockUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Unlock Account</a></p>
+        <p><strong>If these attempts weren't yours, we recommend resetting your password.</strong></p>
+        <hr>
+        <p><small>If the button doesn't work, copy and paste this link: {{unlockUrl}}</small></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      lockedUntil: '5/3/2025, 10:45:00 am',
+      unlockUrl: 'https://example.org/unlock-account/sample-token',
+    },
+  },
+  {
+    name: 'account-invite',
+    description: 'Sent to a staff member an admin has invited',
+    subject: 'You\'ve been invited',
+    text: 'Hi {{name}},\n\n{{invitedByName}} has created an account for you. Set your password to get started: {{inviteUrl}}\n\nThis link will expire in {{expiresHours}} hours.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>You've been invited</h2>
+        <p>Hi {{name}},</p>
+        <p>{{invitedByName}} has created an account for you. Set your password to get started.</p>
+        <p><a href="{{inviteUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Set Password</a></p>
+        <p><strong>This link will expire in {{expiresHours}} hours.</strong></p>
+        <hr>
+        <p><small>If the button doesn't work, copy and paste this link: {{inviteUrl}}</small></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      invitedByName: 'Site Admin',
+      inviteUrl: 'https://example.org/reset-password/sample-token',
+      expiresHours: 72,
+    },
+  },
+  {
+    name: 'account-forced-password-reset',
+    description: 'Sent when an admin requires a user to set a new password',
+    subject: 'Please set a new password',
+    text: 'Hi {{name}},\n\nAn administrator has required a password reset for your account and all devices have been signed out. Set a new password here: {{resetUrl}}\n\nThis link will expire in {{expiresHours}} hours.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Please set a new password</h2>
+        <p>Hi {{name}},</p>
+        <p>An administrator has required a password reset for your account and all devices have been signed out.</p>
+        <p><a href="{{resetUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Set New Password</a></p>
+        <p><strong>This link will expire in {{expiresHours}} hours.</strong></p>
+        <hr>
+        <p><small>If the button doesn't work, copy and paste this link: {{resetUrl}}</small></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      resetUrl: 'https://example.org/reset-password/sample-token',
+      expiresHours: 72,
+    },
+  },
+  {
+    name: 'account-email-change-confirmation',
+    description: 'Sent to the new address when a user asks to change their email',
+    subject: 'Confirm your new email address',
+    text: 'Hi {{name}},\n\nConfirm that you want to use this address for your account: {{confirmUrl}}\n\nThis link will expire in 1 hour. If you didn\'t request this, you can ignore this email.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Confirm your new email address</h2>
+        <p>Hi {{name}},</p>
+        <p>Confirm that you want to use this address for your account.</p>
+        <p><a href="{{confirmUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Confirm Email</a></p>
+        <p><strong>This link will expire in 1 hour.</strong></p>
+        <p>If you didn't request this, you can ignore this email.</p>
+        <hr>
+        <p><small>If the button doesn't work, copy and paste this link: {{confirmUrl}}</small></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      confirmUrl: 'https://example.org/confirm-email-change/sample-token',
+    },
+  },
+  {
+    name: 'account-email-changed',
+    description: 'Sent to the previous address after an email change is confirmed',
+    subject: 'Your email address was changed',
+    text: 'Hi {{name}},\n\nThe email address for your account was changed to {{email}}.\n\nIf you didn\'t make this change, contact us immediately.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Your email address was changed</h2>
+        <p>Hi {{name}},</p>
+        <p>The email address for your account was changed to <strong>{{email}}</strong>.</p>
+        <p><strong>If you didn't make this change, contact us immediately.</strong></p>
+      </div>
+    `,
+    sampleData: sample,
+  },
+  {
+    name: 'account-two-factor-changed',
+    description: 'Sent when two-factor authentication is turned on, turned off or reset by an admin',
+    subject: 'Your two-factor authentication settings changed',
+    text: 'Hi {{name}},\n\n{{#if action == "enabled"}}Two-factor authentication was turned on for your account.{{else if action == "disabled"}}Two-factor authentication was turned off for your account.{{else if action == "reset"}}An administrator reset two-factor authentication for your account. You can enroll again after signing in.{{/if}}\n\nIf you didn\'t make this change, reset your password immediately and contact us.',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>Two-factor authentication update</h2>
+        <p>Hi {{name}},</p>
+        {{#if action == "enabled"}}
+          <p>Two-factor authentication was turned on for your account.</p>
+        {{else if action == "disabled"}}
+          <p>Two-factor authentication was turned off for your account.</p>
+        {{else if action == "reset"}}
+          <p>An administrator reset two-factor authentication for your account. You can enroll again after signing in.</p>
+        {{/if}}
+        <p><strong>If you didn't make this change, reset your password immediately and contact us.</strong></p>
+      </div>
+    `,
+    sampleData: {
+      ...sample,
+      action: 'enabled',
+    },
+  },
+];
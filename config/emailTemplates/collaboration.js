@@ -0,0 +1,178 @@
+// Partnership request emails
+module.exports = [
+  {
+    name: 'collaboration-confirmation',
+    description: 'Sent to an organization after it submits a partnership request',
+    subject: 'Partnership Request Received - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Partnership Request Received!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Dear {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Thank you for your interest in partnering with MAD Foundation! We're excited about the potential collaboration opportunities with {{organizationName}}.
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+            <h3 style="color: #1f2937; margin-top: 0;">Partnership Request Details:</h3>
+            <p style="margin: 8px 0;"><strong>Reference ID:</strong> {{collaborationReference}}</p>
+            <p style="margin: 8px 0;"><strong>Organization:</strong> {{organizationName}}</p>
+            <p style="margin: 8px 0;"><strong>Area of Interest:</strong> {{areaOfInterest}}</p>
+            <p style="margin: 8px 0;"><strong>Submitted:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>Status:</strong> Under Review</p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">What Happens Next:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>Our partnership team will review your submission within 48 hours</li>
+              <li>We'll contact you to discuss potential collaboration opportunities</li>
+              <li>If there's mutual interest, we'll schedule a meeting to explore partnerships</li>
+              <li>You'll receive updates about your request status via email</li>
+            </ul>
+          </div>
+
+          {{#if message}}
+            <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="color: #1f2937; margin-top: 0;">Your Message:</h3>
+              <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+                "{{message}}"
+              </p>
+            </div>
+          {{/if}}
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            We appreciate your commitment to creating a more inclusive world and look forward to potentially working together.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Learn More About Our Work
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Looking forward to potential collaboration,<br>
+            The MAD Foundation Partnership Team
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            For any queries, please contact us at <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> or call +91 9915670267
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Sanjay Mehta',
+      email: 'sanjay@example.com',
+      mobile: '9876543210',
+      organizationName: 'Bright Futures Trust',
+      collaborationReference: 'COLLAB-1741171800000-042',
+      areaOfInterest: 'Skill Development',
+      message: 'We run vocational training centres and would like to work together.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'collaboration-admin-notification',
+    description: 'Sent to the admin address for each partnership request',
+    subject: 'New Partnership Request',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New Partnership Request</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1f2937; margin-top: 0;">Organization Information:</h3>
+          <p><strong>Contact Person:</strong> {{fullName}}</p>
+          <p><strong>Organization:</strong> {{organizationName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Mobile:</strong> {{mobile}}</p>
+          <p><strong>Reference ID:</strong> {{collaborationReference}}</p>
+          <p><strong>Area of Interest:</strong> {{areaOfInterest}}</p>
+          <p><strong>Submitted at:</strong> {{createdAt}}</p>
+
+          {{#if message}}
+            <h4 style="color: #1f2937; margin-top: 20px;">Message:</h4>
+            <div style="background-color: white; padding: 15px; border-radius: 4px; border-left: 4px solid #2563eb;">
+              <p style="color: #4b5563; line-height: 1.6; margin: 0;">
+                {{message}}
+              </p>
+            </div>
+          {{/if}}
+        </div>
+
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="color: #92400e; margin: 0;">
+            <strong>Action Required:</strong> Please review this partnership request and contact the organization within 48 hours.
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Sanjay Mehta',
+      email: 'sanjay@example.com',
+      mobile: '9876543210',
+      organizationName: 'Bright Futures Trust',
+      collaborationReference: 'COLLAB-1741171800000-042',
+      areaOfInterest: 'Skill Development',
+      message: 'We run vocational training centres and would like to work together.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'collaboration-status-update',
+    description: 'Sent to the contact person when a request becomes meeting-scheduled, approved, active-partnership or declined',
+    subject: '{{#if status == "meeting-scheduled"}}Meeting Scheduled - Partnership Discussion{{else if status == "approved"}}Partnership Approved - MAD Foundation{{else if status == "active-partnership"}}Partnership Now Active - MAD Foundation{{else if status == "declined"}}Partnership Request Update{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Partnership Request Update</h2>
+        <p>Dear {{fullName}},</p>
+        {{#if status == "meeting-scheduled"}}
+          <p style="color: #2563eb;">We're pleased to inform you that a meeting has been scheduled to discuss potential partnership opportunities.</p>
+          {{#if meetingDate}}<p><strong>Meeting Date:</strong> {{meetingDate}}</p>{{/if}}
+          <p>Our team will contact you with detailed meeting information shortly.</p>
+        {{else if status == "approved"}}
+          <p style="color: #16a34a;">Great news! Your partnership proposal has been approved by MAD Foundation.</p>
+          <p>We're excited to move forward with this collaboration and will be in touch to finalize partnership details.</p>
+          {{#if partnershipType}}<p><strong>Partnership Type:</strong> {{partnershipType}}</p>{{/if}}
+        {{else if status == "active-partnership"}}
+          <p style="color: #16a34a;">Congratulations! Our partnership is now officially active.</p>
+          {{#if partnershipStartDate}}<p><strong>Partnership Start Date:</strong> {{partnershipStartDate}}</p>{{/if}}
+          <p>We look forward to working together towards creating a more inclusive world.</p>
+        {{else if status == "declined"}}
+          <p style="color: #dc2626;">Thank you for your interest in partnering with MAD Foundation. After careful review, we've decided not to proceed with this partnership at this time.</p>
+          {{#if declineReason}}<p><strong>Reason:</strong> {{declineReason}}</p>{{/if}}
+          <p>We appreciate your commitment to our shared mission and encourage you to reach out for future opportunities.</p>
+        {{/if}}
+        <p><strong>Reference ID:</strong> {{collaborationReference}}</p>
+        <p><strong>Organization:</strong> {{organizationName}}</p>
+        <p>Best regards,<br>The MAD Foundation Partnership Team</p>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Sanjay Mehta',
+      email: 'sanjay@example.com',
+      mobile: '9876543210',
+      organizationName: 'Bright Futures Trust',
+      collaborationReference: 'COLLAB-1741171800000-042',
+      areaOfInterest: 'Skill Development',
+      message: 'We run vocational training centres and would like to work together.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+      status: 'meeting-scheduled',
+      meetingDate: '12 March 2025, 03:00 pm',
+      partnershipType: '',
+      partnershipStartDate: '',
+      declineReason: '',
+    },
+  },
+];
@@ -0,0 +1,66 @@
+// Contact form emails
+module.exports = [
+  {
+    name: 'contact-admin-notification',
+    description: 'Sent to the admin address for each contact form submission',
+    subject: 'New Contact Form Submission',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New Contact Form Submission</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Name:</strong> {{fullName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Mobile:</strong> {{mobile}}</p>
+          <p><strong>Message:</strong></p>
+          <div style="background-color: white; padding: 15px; border-radius: 4px; margin-top: 10px;">
+            {{message}}
+          </div>
+          <p style="margin-top: 20px; font-size: 12px; color: #666;">
+            Submitted at: {{createdAt}}
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Kavita Rao',
+      email: 'kavita@example.com',
+      mobile: '9876543210',
+      message: 'I would like to know more about your programmes.',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'contact-confirmation',
+    description: 'Sent to the sender of a contact form message',
+    subject: 'Thank you for contacting MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Thank you for reaching out!</h2>
+        <p>Dear {{fullName}},</p>
+        <p>Thank you for your message. We have received your inquiry and our team will get back to you within 24-48 hours.</p>
+
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0; color: #1f2937;">Your Message:</h3>
+          <p style="color: #4b5563;">{{message}}</p>
+        </div>
+
+        <p>In the meantime, feel free to explore our website to learn more about our work and impact.</p>
+
+        <p>Best regards,<br>
+        The MAD Foundation Team</p>
+
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+        <p style="font-size: 12px; color: #6b7280;">
+          This is an automated confirmation email. Please do not reply to this email.
+        </p>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Kavita Rao',
+      email: 'kavita@example.com',
+      mobile: '9876543210',
+      message: 'I would like to know more about your programmes.',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+];
@@ -0,0 +1,129 @@
+// Contact us (ticket) emails
+module.exports = [
+  {
+    name: 'contact-us-confirmation',
+    description: 'Sent to the sender of a contact us message with their ticket reference',
+    subject: 'We received your message - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Message Received!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Dear {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Thank you for contacting MAD Foundation! We have received your message and our team will get back to you soon.
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+            <h3 style="color: #1f2937; margin-top: 0;">Your Message Details:</h3>
+            <p style="margin: 8px 0;"><strong>Ticket Reference:</strong> {{ticketReference}}</p>
+            <p style="margin: 8px 0;"><strong>Subject:</strong> {{subjectLabel}}</p>
+            <p style="margin: 8px 0;"><strong>Submitted:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>Status:</strong> Under Review</p>
+          </div>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">Your Message:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{message}}"
+            </p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">What's Next:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>Our team will review your message and respond within 24-48 hours</li>
+              <li>For urgent matters, we may contact you sooner</li>
+              <li>Please save your ticket reference for future correspondence</li>
+            </ul>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            We appreciate your interest in MAD Foundation and look forward to connecting with you.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Visit Our Website
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Best regards,<br>
+            The MAD Foundation Team
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            For immediate assistance, please call us at <a href="tel:+919915670267" style="color: #2563eb;">+91 9915670267</a>
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Kavita Rao',
+      email: 'kavita@example.com',
+      mobile: '9876543210',
+      subject: 'volunteering',
+      subjectLabel: 'Volunteering',
+      priority: 'medium',
+      priorityLabel: 'MEDIUM',
+      message: 'How can I volunteer on weekends?',
+      ticketReference: 'TICKET-1741171800000-042',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'contact-us-admin-notification',
+    description: 'Sent to the admin address for each contact us message',
+    subject: 'New Contact Us: {{subjectLabel}} - {{priorityLabel}} Priority',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New Contact Us Submission</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1f2937; margin-top: 0;">Contact Information:</h3>
+          <p><strong>Name:</strong> {{fullName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Mobile:</strong> {{mobile}}</p>
+          <p><strong>Subject:</strong> {{subjectLabel}}</p>
+          <p><strong>Priority:</strong> <span style="color: {{#if priority == "high"}}#dc2626{{else if priority == "medium"}}#f59e0b{{else}}#16a34a{{/if}};">{{priorityLabel}}</span></p>
+          <p><strong>Ticket Reference:</strong> {{ticketReference}}</p>
+          <p><strong>Submitted at:</strong> {{createdAt}}</p>
+        </div>
+
+        <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+          <h3 style="color: #1f2937; margin-top: 0;">Message:</h3>
+          <p style="color: #4b5563; line-height: 1.6; margin: 0;">
+            {{message}}
+          </p>
+        </div>
+
+        <div style="background-color: {{#if priority == "high"}}#fef3c7{{else}}#dbeafe{{/if}}; padding: 15px; border-radius: 8px; border-left: 4px solid {{#if priority == "high"}}#f59e0b{{else}}#2563eb{{/if}};">
+          <p style="color: {{#if priority == "high"}}#92400e{{else}}#1e40af{{/if}}; margin: 0;">
+            <strong>Action Required:</strong> Please respond to this {{priority}} priority inquiry within {{#if priority == "high"}}24 hours{{else}}48 hours{{/if}}.
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Kavita Rao',
+      email: 'kavita@example.com',
+      mobile: '9876543210',
+      subject: 'volunteering',
+      subjectLabel: 'Volunteering',
+      priority: 'medium',
+      priorityLabel: 'MEDIUM',
+      message: 'How can I volunteer on weekends?',
+      ticketReference: 'TICKET-1741171800000-042',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+];
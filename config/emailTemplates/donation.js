@@ -0,0 +1,113 @@
+// Donation emails
+module.exports = [
+  {
+    name: 'donation-confirmation',
+    description: 'Sent to a donor after they submit the donation form',
+    subject: 'Thank you for your donation intention - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Thank You for Your Generous Heart!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Dear {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Thank you for your intention to support MAD Foundation. Your generosity helps us create a more inclusive world for people with disabilities.
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
+            <h3 style="color: #1f2937; margin-top: 0;">Donation Details:</h3>
+            <p style="margin: 8px 0;"><strong>Reference ID:</strong> {{donationReference}}</p>
+            <p style="margin: 8px 0;"><strong>Amount:</strong> ₹{{donationAmount}}</p>
+            <p style="margin: 8px 0;"><strong>Type:</strong> {{donationType}}</p>
+            <p style="margin: 8px 0;"><strong>Submitted:</strong> {{createdOn}}</p>
+            {{#if message}}<p style="margin: 8px 0;"><strong>Your Message:</strong> {{message}}</p>{{/if}}
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">Next Steps:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>Our team will contact you within 24 hours with payment details</li>
+              <li>You will receive secure payment instructions via email or phone</li>
+              <li>Upon completion, you'll receive a donation receipt for tax benefits</li>
+            </ul>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Your support directly impacts the lives of individuals with disabilities, helping them achieve independence and dignity.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Learn More About Our Impact
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            With gratitude,<br>
+            The MAD Foundation Team
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            For any queries, please contact us at <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> or call +91 9915670267
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Amit Kumar',
+      email: 'amit@example.com',
+      mobile: '9876543210',
+      donationReference: 'DON-1741171800000-042',
+      donationAmount: '5,000',
+      donationType: 'one-time',
+      message: 'Happy to support your work.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'donation-admin-notification',
+    description: 'Sent to the admin address for each donation form submission',
+    subject: 'New Donation Form Submission',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New Donation Form Submission</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1f2937; margin-top: 0;">Donor Information:</h3>
+          <p><strong>Name:</strong> {{fullName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Mobile:</strong> {{mobile}}</p>
+          <p><strong>Amount:</strong> ₹{{donationAmount}}</p>
+          <p><strong>Type:</strong> {{donationType}}</p>
+          <p><strong>Reference ID:</strong> {{donationReference}}</p>
+          {{#if message}}<p><strong>Message:</strong> {{message}}</p>{{/if}}
+          <p><strong>Submitted at:</strong> {{createdAt}}</p>
+        </div>
+
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="color: #92400e; margin: 0;">
+            <strong>Action Required:</strong> Please contact the donor within 24 hours to provide payment instructions.
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Amit Kumar',
+      email: 'amit@example.com',
+      mobile: '9876543210',
+      donationReference: 'DON-1741171800000-042',
+      donationAmount: '5,000',
+      donationType: 'one-time',
+      message: 'Happy to support your work.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+];
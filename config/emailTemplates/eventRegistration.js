@@ -0,0 +1,163 @@
+// Event registration emails
+module.exports = [
+  {
+    name: 'event-confirmation',
+    description: 'Sent to an attendee after they register for an event',
+    subject: 'Event Registration Confirmation - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #3b82f6 0%, #6366f1 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Registration Confirmed!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Dear {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Thank you for registering for our event! We're excited to have you join us.
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
+            <h3 style="color: #1f2937; margin-top: 0;">Registration Details:</h3>
+            <p style="margin: 8px 0;"><strong>Event:</strong> {{eventTitle}}</p>
+            <p style="margin: 8px 0;"><strong>Registration Reference:</strong> {{registrationReference}}</p>
+            <p style="margin: 8px 0;"><strong>Status:</strong> {{registrationStatusLabel}}</p>
+            <p style="margin: 8px 0;"><strong>Registered On:</strong> {{registeredOn}}</p>
+          </div>
+
+          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #92400e; margin-top: 0;">What's Next:</h3>
+            <ul style="color: #92400e; margin: 0; padding-left: 20px;">
+              <li>Keep this email for your records</li>
+              <li>We'll send you event details and updates closer to the date</li>
+              <li>If you have any questions, feel free to contact us</li>
+            </ul>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Thank you for being part of our mission to create a more inclusive world.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #3b82f6 0%, #6366f1 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Visit Our Website
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Best regards,<br>
+            The MAD Foundation Team
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            For any queries, please contact us at <a href="mailto:contact@mad-foundation.org" style="color: #3b82f6;">contact@mad-foundation.org</a>
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Neha Gupta',
+      email: 'neha@example.com',
+      mobileNumber: '9876543210',
+      city: 'Chandigarh',
+      occupation: 'Teacher',
+      organization: '',
+      isPersonWithDisability: 'No',
+      disabilityType: '',
+      otherDisabilityText: '',
+      eventTitle: 'Inclusive Education Workshop',
+      registrationReference: 'REG-1741171800000-042',
+      registrationStatus: 'confirmed',
+      registrationStatusLabel: 'Confirmed',
+      registeredOn: '5 March 2025',
+      registeredAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'event-admin-notification',
+    description: 'Sent to the admin address for each event registration',
+    subject: 'New Event Registration',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">New Event Registration</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1f2937; margin-top: 0;">Registration Details:</h3>
+          <p><strong>Event:</strong> {{eventTitle}}</p>
+          <p><strong>Name:</strong> {{fullName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Mobile:</strong> {{mobileNumber}}</p>
+          <p><strong>City:</strong> {{#if city}}{{city}}{{else}}Not provided{{/if}}</p>
+          <p><strong>Occupation:</strong> {{#if occupation}}{{occupation}}{{else}}Not provided{{/if}}</p>
+          <p><strong>Organization:</strong> {{#if organization}}{{organization}}{{else}}Not provided{{/if}}</p>
+          <p><strong>Person with Disability:</strong> {{isPersonWithDisability}}</p>
+          {{#if disabilityType}}<p><strong>Disability Type:</strong> {{disabilityType}}</p>{{/if}}
+          {{#if otherDisabilityText}}<p><strong>Disability Details:</strong> {{otherDisabilityText}}</p>{{/if}}
+          <p><strong>Registration Reference:</strong> {{registrationReference}}</p>
+          <p><strong>Registered at:</strong> {{registeredAt}}</p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Neha Gupta',
+      email: 'neha@example.com',
+      mobileNumber: '9876543210',
+      city: 'Chandigarh',
+      occupation: 'Teacher',
+      organization: '',
+      isPersonWithDisability: 'No',
+      disabilityType: '',
+      otherDisabilityText: '',
+      eventTitle: 'Inclusive Education Workshop',
+      registrationReference: 'REG-1741171800000-042',
+      registrationStatus: 'confirmed',
+      registrationStatusLabel: 'Confirmed',
+      registeredOn: '5 March 2025',
+      registeredAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'event-status-update',
+    description: 'Sent to an attendee when their registration is confirmed, waitlisted or cancelled',
+    subject: '{{#if registrationStatus == "confirmed"}}Registration Confirmed - MAD Foundation{{else if registrationStatus == "waitlist"}}Registration Waitlisted - MAD Foundation{{else if registrationStatus == "cancelled"}}Registration Cancelled - MAD Foundation{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">Registration Status Update</h2>
+        <p>Dear {{fullName}},</p>
+        {{#if registrationStatus == "confirmed"}}
+          <p style="color: #16a34a;">Great news! Your event registration has been confirmed.</p>
+          <p>We look forward to seeing you at the event.</p>
+        {{else if registrationStatus == "waitlist"}}
+          <p style="color: #f59e0b;">Your registration has been placed on our waitlist.</p>
+          <p>We'll notify you if a spot becomes available.</p>
+        {{else if registrationStatus == "cancelled"}}
+          <p style="color: #dc2626;">Your event registration has been cancelled.</p>
+          <p>If this was done in error, please contact us.</p>
+        {{/if}}
+        <p><strong>Event:</strong> {{eventTitle}}</p>
+        <p><strong>Registration Reference:</strong> {{registrationReference}}</p>
+        <p>Best regards,<br>The MAD Foundation Team</p>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Neha Gupta',
+      email: 'neha@example.com',
+      mobileNumber: '9876543210',
+      city: 'Chandigarh',
+      occupation: 'Teacher',
+      organization: '',
+      isPersonWithDisability: 'No',
+      disabilityType: '',
+      otherDisabilityText: '',
+      eventTitle: 'Inclusive Education Workshop',
+      registrationReference: 'REG-1741171800000-042',
+      registrationStatus: 'confirmed',
+      registrationStatusLabel: 'Confirmed',
+      registeredOn: '5 March 2025',
+      registeredAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+];
@@ -0,0 +1,977 @@
+// Hindi translations of every email sent to the people who fill in the forms and
+// to account holders. The admin notifications go to the staff address and stay
+// in English. They use the same variables as the English templates, whose sample
+// data they share; values the controllers label in English (statuses, media and
+// donation types) are spelled out here from their stored value.
+const sampleDataOf = (name) => [
+  ...require('./account'),
+  ...require('./volunteer'),
+  ...require('./intern'),
+  ...require('./donation'),
+  ...require('./eventRegistration'),
+  ...require('./collaboration'),
+  ...require('./contact'),
+  ...require('./contactUs'),
+  ...require('./media'),
+  ...require('./newsSubmission'),
+  ...require('./newsletter'),
+].find(template => template.name === name).sampleData;
+
+module.exports = [
+  {
+    name: 'account-password-reset',
+    locale: 'hi',
+    description: 'Sent when a user asks to reset a forgotten password',
+    subject: 'पासवर्ड रीसेट का अनुरोध',
+    text: 'आपने अपना पासवर्ड रीसेट करने का अनुरोध किया है। पासवर्ड रीसेट करने के लिए यह लिंक खोलें: {{resetUrl}}\n\nयह लिंक 10 मिनट में समाप्त हो जाएगा।\n\nयदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>पासवर्ड रीसेट का अनुरोध</h2>
+        <p>आपने अपने खाते का पासवर्ड रीसेट करने का अनुरोध किया है।</p>
+        <p><a href="{{resetUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">पासवर्ड रीसेट करें</a></p>
+        <p><strong>यह लिंक 10 मिनट में समाप्त हो जाएगा।</strong></p>
+        <p>यदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।</p>
+        <hr>
+        <p><small>यदि बटन काम न करे, तो यह लिंक कॉपी करके ब्राउज़र में खोलें: {{resetUrl}}</small></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-password-reset'),
+  },
+  {
+    name: 'account-password-changed',
+    locale: 'hi',
+    description: 'Sent after a user changes their password',
+    subject: 'आपका पासवर्ड बदल दिया गया है',
+    text: 'नमस्ते {{name}},\n\nआपके खाते का पासवर्ड {{changedAt}} को बदला गया (IP पता: {{ipAddress}})। सभी डिवाइस से साइन आउट कर दिया गया है।\n\nयदि यह बदलाव आपने नहीं किया है, तो तुरंत अपना पासवर्ड रीसेट करें और हमसे संपर्क करें।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>आपका पासवर्ड बदल दिया गया है</h2>
+        <p>नमस्ते {{name}},</p>
+        <p>आपके खाते का पासवर्ड <strong>{{changedAt}}</strong> को बदला गया (IP पता: {{ipAddress}})।</p>
+        <p>आपकी सुरक्षा के लिए सभी डिवाइस से साइन आउट कर दिया गया है।</p>
+        <p><strong>यदि यह बदलाव आपने नहीं किया है, तो तुरंत अपना पासवर्ड रीसेट करें और हमसे संपर्क करें।</strong></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-password-changed'),
+  },
+  {
+    name: 'account-verify-email',
+    locale: 'hi',
+    description: 'Sent after sign-up, and on request, with the email verification link',
+    subject: 'अपना ईमेल पता सत्यापित करें',
+    text: 'नमस्ते {{name}},\n\nकृपया यह लिंक खोलकर अपने ईमेल पते की पुष्टि करें: {{verifyUrl}}\n\nयह लिंक 24 घंटे में समाप्त हो जाएगा।\n\nयदि आपने खाता नहीं बनाया है, तो कृपया इस ईमेल को अनदेखा करें।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>अपना ईमेल पता सत्यापित करें</h2>
+        <p>नमस्ते {{name}},</p>
+        <p>अपना खाता तैयार करने के लिए कृपया अपने ईमेल पते की पुष्टि करें।</p>
+        <p><a href="{{verifyUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">ईमेल सत्यापित करें</a></p>
+        <p><strong>यह लिंक 24 घंटे में समाप्त हो जाएगा।</strong></p>
+        <p>यदि आपने खाता नहीं बनाया है, तो कृपया इस ईमेल को अनदेखा करें।</p>
+        <hr>
+        <p><small>यदि बटन काम न करे, तो यह लिंक कॉपी करके ब्राउज़र में खोलें: {{verifyUrl}}</small></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-verify-email'),
+  },
+  {
+    name: 'account-locked',
+    locale: 'hi',
+    description: 'Sent when an account is locked after repeated failed logins',
+    subject: 'आपका खाता अस्थायी रूप से लॉक कर दिया गया है',
+    text: 'नमस्ते {{name}},\n\nकई बार लॉगिन विफल होने के बाद हमने आपका खाता लॉक कर दिया है। यह {{lockedUntil}} को अपने आप अनलॉक हो जाएगा।\n\nयदि ये प्रयास आपके थे, तो आप इसे अभी अनलॉक कर सकते हैं: {{unlockUrl}}\n\nयदि ये प्रयास आपके नहीं थे, तो हमारी सलाह है कि आप अपना पासवर्ड रीसेट करें।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>आपका खाता अस्थायी रूप से लॉक कर दिया गया है</h2>
+        <p>नमस्ते {{name}},</p>
+        <p>कई बार लॉगिन विफल होने के बाद हमने आपका खाता लॉक कर दिया है। यह <strong>{{lockedUntil}}</strong> को अपने आप अनलॉक हो जाएगा।</p>
+        <p>यदि ये प्रयास आपके थे, तो आप इसे अभी अनलॉक कर सकते हैं:</p>
+        <p><a href="{{unlockUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">खाता अनलॉक करें</a></p>
+        <p><strong>यदि ये प्रयास आपके नहीं थे, तो हमारी सलाह है कि आप अपना पासवर्ड रीसेट करें।</strong></p>
+        <hr>
+        <p><small>यदि बटन काम न करे, तो यह लिंक कॉपी करके ब्राउज़र में खोलें: {{unlockUrl}}</small></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-locked'),
+  },
+  {
+    name: 'account-invite',
+    locale: 'hi',
+    description: 'Sent to a staff member an admin has invited',
+    subject: 'आपको आमंत्रित किया गया है',
+    text: 'नमस्ते {{name}},\n\n{{invitedByName}} ने आपके लिए एक खाता बनाया है। शुरू करने के लिए अपना पासवर्ड सेट करें: {{inviteUrl}}\n\nयह लिंक {{expiresHours}} घंटे में समाप्त हो जाएगा।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>आपको आमंत्रित किया गया है</h2>
+        <p>नमस्ते {{name}},</p>
+        <p>{{invitedByName}} ने आपके लिए एक खाता बनाया है। शुरू करने के लिए अपना पासवर्ड सेट करें।</p>
+        <p><a href="{{inviteUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">पासवर्ड सेट करें</a></p>
+        <p><strong>यह लिंक {{expiresHours}} घंटे में समाप्त हो जाएगा।</strong></p>
+        <hr>
+        <p><small>यदि बटन काम न करे, तो यह लिंक कॉपी करके ब्राउज़र में खोलें: {{inviteUrl}}</small></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-invite'),
+  },
+  {
+    name: 'account-forced-password-reset',
+    locale: 'hi',
+    description: 'Sent when an admin requires a user to set a new password',
+    subject: 'कृपया नया पासवर्ड सेट करें',
+    text: 'नमस्ते {{name}},\n\nएक व्यवस्थापक ने आपके खाते का पासवर्ड रीसेट करना ज़रूरी कर दिया है और सभी डिवाइस से साइन आउट कर दिया गया है। नया पासवर्ड यहाँ सेट करें: {{resetUrl}}\n\nयह लिंक {{expiresHours}} घंटे में समाप्त हो जाएगा।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>कृपया नया पासवर्ड सेट करें</h2>
+        <p>नमस्ते {{name}},</p>
+        <p>एक व्यवस्थापक ने आपके खाते का पासवर्ड रीसेट करना ज़रूरी कर दिया है और सभी डिवाइस से साइन आउट कर दिया गया है।</p>
+        <p><a href="{{resetUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">नया पासवर्ड सेट करें</a></p>
+        <p><strong>यह लिंक {{expiresHours}} घंटे में समाप्त हो जाएगा।</strong></p>
+        <hr>
+        <p><small>यदि बटन काम न करे, तो यह लिंक कॉपी करके ब्राउज़र में खोलें: {{resetUrl}}</small></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-forced-password-reset'),
+  },
+  {
+    name: 'account-email-change-confirmation',
+    locale: 'hi',
+    description: 'Sent to the new address when a user asks to change their email',
+    subject: 'अपने नए ईमेल पते की पुष्टि करें',
+    text: 'नमस्ते {{name}},\n\nपुष्टि करें कि आप अपने खाते के लिए यह पता इस्तेमाल करना चाहते हैं: {{confirmUrl}}\n\nयह लिंक 1 घंटे में समाप्त हो जाएगा। यदि आपने यह अनुरोध नहीं किया है, तो आप इस ईमेल को अनदेखा कर सकते हैं।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>अपने नए ईमेल पते की पुष्टि करें</h2>
+        <p>नमस्ते {{name}},</p>
+        <p>पुष्टि करें कि आप अपने खाते के लिए यह पता इस्तेमाल करना चाहते हैं।</p>
+        <p><a href="{{confirmUrl}}" style="background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">ईमेल की पुष्टि करें</a></p>
+        <p><strong>यह लिंक 1 घंटे में समाप्त हो जाएगा।</strong></p>
+        <p>यदि आपने यह अनुरोध नहीं किया है, तो आप इस ईमेल को अनदेखा कर सकते हैं।</p>
+        <hr>
+        <p><small>यदि बटन काम न करे, तो यह लिंक कॉपी करके ब्राउज़र में खोलें: {{confirmUrl}}</small></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-email-change-confirmation'),
+  },
+  {
+    name: 'account-email-changed',
+    locale: 'hi',
+    description: 'Sent to the previous address after an email change is confirmed',
+    subject: 'आपका ईमेल पता बदल दिया गया है',
+    text: 'नमस्ते {{name}},\n\nआपके खाते का ईमेल पता बदलकर {{email}} कर दिया गया है।\n\nयदि यह बदलाव आपने नहीं किया है, तो तुरंत हमसे संपर्क करें।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>आपका ईमेल पता बदल दिया गया है</h2>
+        <p>नमस्ते {{name}},</p>
+        <p>आपके खाते का ईमेल पता बदलकर <strong>{{email}}</strong> कर दिया गया है।</p>
+        <p><strong>यदि यह बदलाव आपने नहीं किया है, तो तुरंत हमसे संपर्क करें।</strong></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-email-changed'),
+  },
+  {
+    name: 'account-two-factor-changed',
+    locale: 'hi',
+    description: 'Sent when two-factor authentication is turned on, turned off or reset by an admin',
+    subject: 'आपकी टू-फ़ैक्टर ऑथेंटिकेशन सेटिंग बदल गई है',
+    text: 'नमस्ते {{name}},\n\n{{#if action == "enabled"}}आपके खाते के लिए टू-फ़ैक्टर ऑथेंटिकेशन चालू कर दिया गया है।{{else if action == "disabled"}}आपके खाते के लिए टू-फ़ैक्टर ऑथेंटिकेशन बंद कर दिया गया है।{{else if action == "reset"}}एक व्यवस्थापक ने आपके खाते का टू-फ़ैक्टर ऑथेंटिकेशन रीसेट कर दिया है। साइन इन करने के बाद आप इसे फिर से चालू कर सकते हैं।{{/if}}\n\nयदि यह बदलाव आपने नहीं किया है, तो तुरंत अपना पासवर्ड रीसेट करें और हमसे संपर्क करें।',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2>टू-फ़ैक्टर ऑथेंटिकेशन में बदलाव</h2>
+        <p>नमस्ते {{name}},</p>
+        {{#if action == "enabled"}}
+          <p>आपके खाते के लिए टू-फ़ैक्टर ऑथेंटिकेशन चालू कर दिया गया है।</p>
+        {{else if action == "disabled"}}
+          <p>आपके खाते के लिए टू-फ़ैक्टर ऑथेंटिकेशन बंद कर दिया गया है।</p>
+        {{else if action == "reset"}}
+          <p>एक व्यवस्थापक ने आपके खाते का टू-फ़ैक्टर ऑथेंटिकेशन रीसेट कर दिया है। साइन इन करने के बाद आप इसे फिर से चालू कर सकते हैं।</p>
+        {{/if}}
+        <p><strong>यदि यह बदलाव आपने नहीं किया है, तो तुरंत अपना पासवर्ड रीसेट करें और हमसे संपर्क करें।</strong></p>
+      </div>
+    `,
+    sampleData: sampleDataOf('account-two-factor-changed'),
+  },
+  {
+    name: 'volunteer-confirmation',
+    locale: 'hi',
+    description: 'Sent to a volunteer after they register',
+    subject: 'MAD Foundation के स्वयंसेवक परिवार में आपका स्वागत है!',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #16a34a 0%, #2563eb 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">टीम में आपका स्वागत है!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            MAD Foundation के साथ स्वयंसेवक के रूप में पंजीकरण करने के लिए धन्यवाद! एक अधिक समावेशी दुनिया बनाने के हमारे मिशन में आपके जैसे उत्साही व्यक्ति का जुड़ना हमारे लिए खुशी की बात है।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #16a34a;">
+            <h3 style="color: #1f2937; margin-top: 0;">पंजीकरण का विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>संदर्भ संख्या:</strong> {{volunteerReference}}</p>
+            <p style="margin: 8px 0;"><strong>पंजीकरण की तारीख:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>विशेषज्ञता के क्षेत्र:</strong> {{expertise}}</p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>हमारी टीम 2-3 कार्यदिवसों में आपके आवेदन की समीक्षा करेगी</li>
+              <li>आवेदन की स्थिति की जानकारी आपको ईमेल से मिलती रहेगी</li>
+              <li>स्वीकृति के बाद हम आपको आपके अनुकूल स्वयंसेवा के अवसरों से जोड़ेंगे</li>
+              <li>आपको हमारे स्वयंसेवक ओरिएंटेशन सत्र में आमंत्रित किया जाएगा</li>
+            </ul>
+          </div>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">आप कैसे मदद करना चाहते हैं:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{howToHelp}}"
+            </p>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #16a34a 0%, #2563eb 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारा काम देखें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            आपके साथ काम करने के लिए हम उत्सुक हैं!<br>
+            MAD Foundation टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            किसी भी प्रश्न के लिए हमें <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> पर लिखें या +91 9915670267 पर कॉल करें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('volunteer-confirmation'),
+  },
+  {
+    name: 'volunteer-status-update',
+    locale: 'hi',
+    description: 'Sent to a volunteer when their status becomes approved, active or rejected',
+    subject: '{{#if status == "approved"}}आपका स्वयंसेवक आवेदन स्वीकार कर लिया गया है!{{else if status == "active"}}अब आप MAD Foundation के सक्रिय स्वयंसेवक हैं!{{else if status == "rejected"}}आपके स्वयंसेवक आवेदन के बारे में जानकारी{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #16a34a;">स्वयंसेवक आवेदन की जानकारी</h2>
+        <p>प्रिय {{fullName}},</p>
+        {{#if status == "approved"}}
+          <p style="color: #16a34a;">बधाई हो! आपका स्वयंसेवक आवेदन स्वीकार कर लिया गया है।</p>
+          <p>आपकी विशेषज्ञता और रुचि के अनुसार स्वयंसेवा के अवसरों पर बात करने के लिए हमारी टीम जल्द ही आपसे संपर्क करेगी।</p>
+          <p>MAD Foundation के स्वयंसेवक परिवार में आपका स्वागत है!</p>
+        {{else if status == "active"}}
+          <p style="color: #16a34a;">आपका स्वागत है! अब आप MAD Foundation के सक्रिय स्वयंसेवक हैं।</p>
+          <p>अब आपको स्वयंसेवा के अवसरों और कार्यक्रमों की सूचनाएँ मिलने लगेंगी। हमारे मिशन के प्रति आपकी प्रतिबद्धता के लिए धन्यवाद।</p>
+        {{else if status == "rejected"}}
+          <p style="color: #dc2626;">MAD Foundation के साथ स्वयंसेवा में रुचि दिखाने के लिए धन्यवाद। ध्यान से समीक्षा करने के बाद हमने फ़िलहाल आपके आवेदन को आगे न बढ़ाने का निर्णय लिया है।</p>
+          {{#if rejectionReason}}<p><strong>कारण:</strong> {{rejectionReason}}</p>{{/if}}
+          <p>हमारी ज़रूरतें और कार्यक्रम बदलते रहते हैं, इसलिए भविष्य में फिर से आवेदन ज़रूर करें।</p>
+        {{/if}}
+        <p><strong>संदर्भ संख्या:</strong> {{volunteerReference}}</p>
+        <p>सादर,<br>MAD Foundation टीम</p>
+      </div>
+    `,
+    sampleData: sampleDataOf('volunteer-status-update'),
+  },
+  {
+    name: 'intern-confirmation',
+    locale: 'hi',
+    description: 'Sent to an applicant after they apply for an internship',
+    subject: 'इंटर्नशिप आवेदन प्राप्त हुआ - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">आवेदन प्राप्त हुआ!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            MAD Foundation के साथ इंटर्नशिप के लिए आवेदन करने के लिए धन्यवाद! हमें आपका आवेदन मिल गया है और हमारे मिशन से जुड़ने में आपकी रुचि से हम बहुत खुश हैं।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+            <h3 style="color: #1f2937; margin-top: 0;">आवेदन का विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>संदर्भ संख्या:</strong> {{internReference}}</p>
+            <p style="margin: 8px 0;"><strong>आवेदन का क्षेत्र:</strong> {{internshipArea}}</p>
+            <p style="margin: 8px 0;"><strong>भेजने की तारीख:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>स्थिति:</strong> समीक्षा में</p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>हमारी टीम 5-7 कार्यदिवसों में आपके आवेदन की समीक्षा करेगी</li>
+              <li>चयन होने पर हम इंटरव्यू तय करने के लिए आपसे संपर्क करेंगे</li>
+              <li>आवेदन की स्थिति की जानकारी आपको ईमेल से मिलती रहेगी</li>
+              <li>चुने गए उम्मीदवारों को इंटर्नशिप का विवरण और शुरू होने की तारीख बताई जाएगी</li>
+            </ul>
+          </div>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">आपकी प्रेरणा:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{motivation}}"
+            </p>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            एक अधिक समावेशी समाज बनाने के हमारे काम में योगदान देने की आपकी इच्छा की हम सराहना करते हैं।
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारे काम के बारे में जानें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            आपके आवेदन के लिए शुभकामनाएँ!<br>
+            MAD Foundation टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            किसी भी प्रश्न के लिए हमें <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> पर लिखें या +91 9915670267 पर कॉल करें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('intern-confirmation'),
+  },
+  {
+    name: 'intern-status-update',
+    locale: 'hi',
+    description: 'Sent to an applicant when their status becomes interview-scheduled, accepted, rejected or completed',
+    subject: '{{#if status == "interview-scheduled"}}इंटरव्यू तय हुआ - MAD Foundation इंटर्नशिप{{else if status == "accepted"}}बधाई हो! इंटर्नशिप का प्रस्ताव - MAD Foundation{{else if status == "rejected"}}आपके इंटर्नशिप आवेदन के बारे में जानकारी{{else if status == "completed"}}इंटर्नशिप पूरी हुई - MAD Foundation{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">इंटर्नशिप आवेदन की जानकारी</h2>
+        <p>प्रिय {{fullName}},</p>
+        {{#if status == "interview-scheduled"}}
+          <p style="color: #2563eb;">खुशखबरी! आपका इंटर्नशिप आवेदन इंटरव्यू के चरण तक पहुँच गया है।</p>
+          {{#if interviewDate}}<p><strong>इंटरव्यू की तारीख:</strong> {{interviewDate}}</p>{{/if}}
+          <p>हमारी टीम जल्द ही इंटरव्यू की पूरी जानकारी के साथ आपसे संपर्क करेगी।</p>
+        {{else if status == "accepted"}}
+          <p style="color: #16a34a;">बधाई हो! हमें आपको MAD Foundation में इंटर्नशिप का प्रस्ताव देते हुए खुशी हो रही है।</p>
+          {{#if startDate}}<p><strong>शुरू होने की तारीख:</strong> {{startDate}}</p>{{/if}}
+          {{#if duration}}<p><strong>अवधि:</strong> {{duration}}</p>{{/if}}
+          {{#if mentor}}<p><strong>मार्गदर्शक:</strong> {{mentor}}</p>{{/if}}
+          <p>हम जल्द ही आपको जुड़ने से जुड़ी पूरी जानकारी भेजेंगे।</p>
+        {{else if status == "rejected"}}
+          <p style="color: #dc2626;">MAD Foundation के साथ इंटर्नशिप में रुचि दिखाने के लिए धन्यवाद। ध्यान से समीक्षा करने के बाद हमने फ़िलहाल आपके आवेदन को आगे न बढ़ाने का निर्णय लिया है।</p>
+          {{#if rejectionReason}}<p><strong>प्रतिक्रिया:</strong> {{rejectionReason}}</p>{{/if}}
+          <p>आगे जब भी नए अवसर आएँ, हम आपको आवेदन करने के लिए प्रोत्साहित करते हैं।</p>
+        {{else if status == "completed"}}
+          <p style="color: #16a34a;">MAD Foundation के साथ अपनी इंटर्नशिप सफलतापूर्वक पूरी करने पर बधाई!</p>
+          <p>हमारे मिशन में आपके बहुमूल्य योगदान के लिए धन्यवाद। हमें आशा है कि यह अनुभव आपके करियर के लिए उपयोगी रहा होगा।</p>
+          <p>हम आपसे जुड़े रहना और भविष्य में फिर साथ काम करना चाहेंगे।</p>
+        {{/if}}
+        <p><strong>संदर्भ संख्या:</strong> {{internReference}}</p>
+        <p>सादर,<br>MAD Foundation टीम</p>
+      </div>
+    `,
+    sampleData: sampleDataOf('intern-status-update'),
+  },
+  {
+    name: 'donation-confirmation',
+    locale: 'hi',
+    description: 'Sent to a donor after they submit the donation form',
+    subject: 'दान की इच्छा जताने के लिए धन्यवाद - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">आपकी उदारता के लिए धन्यवाद!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            MAD Foundation की सहायता करने की इच्छा के लिए धन्यवाद। आपकी उदारता दिव्यांगजनों के लिए एक अधिक समावेशी दुनिया बनाने में हमारी मदद करती है।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981;">
+            <h3 style="color: #1f2937; margin-top: 0;">दान का विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>संदर्भ संख्या:</strong> {{donationReference}}</p>
+            <p style="margin: 8px 0;"><strong>राशि:</strong> ₹{{donationAmount}}</p>
+            <p style="margin: 8px 0;"><strong>प्रकार:</strong> {{#if donationType == "One-Time"}}एकमुश्त{{else if donationType == "Monthly"}}मासिक{{else if donationType == "Sponsor a Program"}}कार्यक्रम प्रायोजन{{else if donationType == "Corporate Donation"}}कॉर्पोरेट दान{{else}}{{donationType}}{{/if}}</p>
+            <p style="margin: 8px 0;"><strong>भेजने की तारीख:</strong> {{createdOn}}</p>
+            {{#if message}}<p style="margin: 8px 0;"><strong>आपका संदेश:</strong> {{message}}</p>{{/if}}
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>हमारी टीम 24 घंटों में भुगतान की जानकारी के साथ आपसे संपर्क करेगी</li>
+              <li>सुरक्षित भुगतान के निर्देश आपको ईमेल या फ़ोन पर मिलेंगे</li>
+              <li>भुगतान पूरा होने पर आपको कर लाभ के लिए दान की रसीद मिलेगी</li>
+            </ul>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            आपका सहयोग सीधे दिव्यांगजनों के जीवन पर असर डालता है और उन्हें आत्मनिर्भरता और सम्मान पाने में मदद करता है।
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारे काम का असर देखें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            आभार सहित,<br>
+            MAD Foundation टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            किसी भी प्रश्न के लिए हमें <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> पर लिखें या +91 9915670267 पर कॉल करें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('donation-confirmation'),
+  },
+  {
+    name: 'event-confirmation',
+    locale: 'hi',
+    description: 'Sent to an attendee after they register for an event',
+    subject: 'कार्यक्रम पंजीकरण की पुष्टि - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #3b82f6 0%, #6366f1 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">पंजीकरण हो गया!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            हमारे कार्यक्रम के लिए पंजीकरण करने के लिए धन्यवाद! आपके शामिल होने से हम बहुत खुश हैं।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3b82f6;">
+            <h3 style="color: #1f2937; margin-top: 0;">पंजीकरण का विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>कार्यक्रम:</strong> {{eventTitle}}</p>
+            <p style="margin: 8px 0;"><strong>पंजीकरण संदर्भ:</strong> {{registrationReference}}</p>
+            <p style="margin: 8px 0;"><strong>स्थिति:</strong> {{#if registrationStatus == "confirmed"}}पुष्टि हो गई{{else if registrationStatus == "waitlist"}}प्रतीक्षा सूची में{{else if registrationStatus == "cancelled"}}रद्द{{else}}{{registrationStatusLabel}}{{/if}}</p>
+            <p style="margin: 8px 0;"><strong>पंजीकरण की तारीख:</strong> {{registeredOn}}</p>
+          </div>
+
+          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #92400e; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #92400e; margin: 0; padding-left: 20px;">
+              <li>यह ईमेल अपने रिकॉर्ड के लिए संभाल कर रखें</li>
+              <li>कार्यक्रम की तारीख नज़दीक आने पर हम आपको पूरी जानकारी भेजेंगे</li>
+              <li>कोई भी प्रश्न हो तो बेझिझक हमसे संपर्क करें</li>
+            </ul>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            एक अधिक समावेशी दुनिया बनाने के हमारे मिशन का हिस्सा बनने के लिए धन्यवाद।
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #3b82f6 0%, #6366f1 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारी वेबसाइट देखें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            सादर,<br>
+            MAD Foundation टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            किसी भी प्रश्न के लिए हमें <a href="mailto:contact@mad-foundation.org" style="color: #3b82f6;">contact@mad-foundation.org</a> पर लिखें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('event-confirmation'),
+  },
+  {
+    name: 'event-status-update',
+    locale: 'hi',
+    description: 'Sent to an attendee when their registration is confirmed, waitlisted or cancelled',
+    subject: '{{#if registrationStatus == "confirmed"}}पंजीकरण की पुष्टि हुई - MAD Foundation{{else if registrationStatus == "waitlist"}}पंजीकरण प्रतीक्षा सूची में - MAD Foundation{{else if registrationStatus == "cancelled"}}पंजीकरण रद्द - MAD Foundation{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #3b82f6;">पंजीकरण की स्थिति की जानकारी</h2>
+        <p>प्रिय {{fullName}},</p>
+        {{#if registrationStatus == "confirmed"}}
+          <p style="color: #16a34a;">खुशखबरी! कार्यक्रम के लिए आपके पंजीकरण की पुष्टि हो गई है।</p>
+          <p>कार्यक्रम में आपसे मिलने की प्रतीक्षा रहेगी।</p>
+        {{else if registrationStatus == "waitlist"}}
+          <p style="color: #f59e0b;">आपका पंजीकरण हमारी प्रतीक्षा सूची में रखा गया है।</p>
+          <p>जगह खाली होते ही हम आपको सूचित करेंगे।</p>
+        {{else if registrationStatus == "cancelled"}}
+          <p style="color: #dc2626;">कार्यक्रम के लिए आपका पंजीकरण रद्द कर दिया गया है।</p>
+          <p>यदि यह गलती से हुआ है, तो कृपया हमसे संपर्क करें।</p>
+        {{/if}}
+        <p><strong>कार्यक्रम:</strong> {{eventTitle}}</p>
+        <p><strong>पंजीकरण संदर्भ:</strong> {{registrationReference}}</p>
+        <p>सादर,<br>MAD Foundation टीम</p>
+      </div>
+    `,
+    sampleData: sampleDataOf('event-status-update'),
+  },
+  {
+    name: 'collaboration-confirmation',
+    locale: 'hi',
+    description: 'Sent to an organization after it submits a partnership request',
+    subject: 'साझेदारी का अनुरोध प्राप्त हुआ - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">साझेदारी का अनुरोध प्राप्त हुआ!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            MAD Foundation के साथ साझेदारी में रुचि दिखाने के लिए धन्यवाद! {{organizationName}} के साथ मिलकर काम करने की संभावनाओं को लेकर हम उत्साहित हैं।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+            <h3 style="color: #1f2937; margin-top: 0;">साझेदारी अनुरोध का विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>संदर्भ संख्या:</strong> {{collaborationReference}}</p>
+            <p style="margin: 8px 0;"><strong>संगठन:</strong> {{organizationName}}</p>
+            <p style="margin: 8px 0;"><strong>रुचि का क्षेत्र:</strong> {{areaOfInterest}}</p>
+            <p style="margin: 8px 0;"><strong>भेजने की तारीख:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>स्थिति:</strong> समीक्षा में</p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>हमारी साझेदारी टीम 48 घंटों में आपके अनुरोध की समीक्षा करेगी</li>
+              <li>साथ काम करने के अवसरों पर बात करने के लिए हम आपसे संपर्क करेंगे</li>
+              <li>दोनों ओर से रुचि होने पर हम साझेदारी पर चर्चा के लिए बैठक तय करेंगे</li>
+              <li>अनुरोध की स्थिति की जानकारी आपको ईमेल से मिलती रहेगी</li>
+            </ul>
+          </div>
+
+          {{#if message}}
+            <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="color: #1f2937; margin-top: 0;">आपका संदेश:</h3>
+              <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+                "{{message}}"
+              </p>
+            </div>
+          {{/if}}
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            एक अधिक समावेशी दुनिया बनाने के प्रति आपकी प्रतिबद्धता की हम सराहना करते हैं और साथ काम करने की आशा रखते हैं।
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारे काम के बारे में जानें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            साथ काम करने की आशा के साथ,<br>
+            MAD Foundation साझेदारी टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            किसी भी प्रश्न के लिए हमें <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> पर लिखें या +91 9915670267 पर कॉल करें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('collaboration-confirmation'),
+  },
+  {
+    name: 'collaboration-status-update',
+    locale: 'hi',
+    description: 'Sent to the contact person when a request becomes meeting-scheduled, approved, active-partnership or declined',
+    subject: '{{#if status == "meeting-scheduled"}}बैठक तय हुई - साझेदारी पर चर्चा{{else if status == "approved"}}साझेदारी स्वीकृत - MAD Foundation{{else if status == "active-partnership"}}साझेदारी अब सक्रिय है - MAD Foundation{{else if status == "declined"}}साझेदारी अनुरोध के बारे में जानकारी{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">साझेदारी अनुरोध की जानकारी</h2>
+        <p>प्रिय {{fullName}},</p>
+        {{#if status == "meeting-scheduled"}}
+          <p style="color: #2563eb;">हमें यह बताते हुए खुशी है कि साझेदारी के अवसरों पर चर्चा के लिए बैठक तय कर दी गई है।</p>
+          {{#if meetingDate}}<p><strong>बैठक की तारीख:</strong> {{meetingDate}}</p>{{/if}}
+          <p>हमारी टीम जल्द ही बैठक की पूरी जानकारी के साथ आपसे संपर्क करेगी।</p>
+        {{else if status == "approved"}}
+          <p style="color: #16a34a;">खुशखबरी! MAD Foundation ने आपका साझेदारी प्रस्ताव स्वीकार कर लिया है।</p>
+          <p>इस साझेदारी को आगे बढ़ाने के लिए हम उत्साहित हैं और इसका विवरण तय करने के लिए जल्द ही आपसे संपर्क करेंगे।</p>
+          {{#if partnershipType}}<p><strong>साझेदारी का प्रकार:</strong> {{partnershipType}}</p>{{/if}}
+        {{else if status == "active-partnership"}}
+          <p style="color: #16a34a;">बधाई हो! हमारी साझेदारी अब औपचारिक रूप से सक्रिय है।</p>
+          {{#if partnershipStartDate}}<p><strong>साझेदारी शुरू होने की तारीख:</strong> {{partnershipStartDate}}</p>{{/if}}
+          <p>एक अधिक समावेशी दुनिया बनाने के लिए साथ काम करने की हमें प्रतीक्षा है।</p>
+        {{else if status == "declined"}}
+          <p style="color: #dc2626;">MAD Foundation के साथ साझेदारी में रुचि दिखाने के लिए धन्यवाद। ध्यान से समीक्षा करने के बाद हमने फ़िलहाल इस साझेदारी को आगे न बढ़ाने का निर्णय लिया है।</p>
+          {{#if declineReason}}<p><strong>कारण:</strong> {{declineReason}}</p>{{/if}}
+          <p>हमारे साझा मिशन के प्रति आपकी प्रतिबद्धता की हम सराहना करते हैं। भविष्य के अवसरों के लिए हमसे ज़रूर संपर्क करें।</p>
+        {{/if}}
+        <p><strong>संदर्भ संख्या:</strong> {{collaborationReference}}</p>
+        <p><strong>संगठन:</strong> {{organizationName}}</p>
+        <p>सादर,<br>MAD Foundation साझेदारी टीम</p>
+      </div>
+    `,
+    sampleData: sampleDataOf('collaboration-status-update'),
+  },
+  {
+    name: 'contact-confirmation',
+    locale: 'hi',
+    description: 'Sent to the sender of a contact form message',
+    subject: 'MAD Foundation से संपर्क करने के लिए धन्यवाद',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">संपर्क करने के लिए धन्यवाद!</h2>
+        <p>प्रिय {{fullName}},</p>
+        <p>आपके संदेश के लिए धन्यवाद। हमें आपकी पूछताछ मिल गई है और हमारी टीम 24-48 घंटों में आपको उत्तर देगी।</p>
+
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="margin-top: 0; color: #1f2937;">आपका संदेश:</h3>
+          <p style="color: #4b5563;">{{message}}</p>
+        </div>
+
+        <p>तब तक हमारे काम और उसके असर के बारे में जानने के लिए हमारी वेबसाइट देखें।</p>
+
+        <p>सादर,<br>
+        MAD Foundation टीम</p>
+
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+        <p style="font-size: 12px; color: #6b7280;">
+          यह एक स्वचालित पुष्टि ईमेल है। कृपया इसका उत्तर न दें।
+        </p>
+      </div>
+    `,
+    sampleData: sampleDataOf('contact-confirmation'),
+  },
+  {
+    name: 'contact-us-confirmation',
+    locale: 'hi',
+    description: 'Sent to the sender of a contact us message with their ticket reference',
+    subject: 'हमें आपका संदेश मिल गया है - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">संदेश प्राप्त हुआ!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            MAD Foundation से संपर्क करने के लिए धन्यवाद! हमें आपका संदेश मिल गया है और हमारी टीम जल्द ही आपसे संपर्क करेगी।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+            <h3 style="color: #1f2937; margin-top: 0;">आपके संदेश का विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>टिकट संदर्भ:</strong> {{ticketReference}}</p>
+            <p style="margin: 8px 0;"><strong>विषय:</strong> {{subjectLabel}}</p>
+            <p style="margin: 8px 0;"><strong>भेजने की तारीख:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>स्थिति:</strong> समीक्षा में</p>
+          </div>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">आपका संदेश:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{message}}"
+            </p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>हमारी टीम 24-48 घंटों में आपके संदेश का उत्तर देगी</li>
+              <li>ज़रूरी मामलों में हम आपसे पहले भी संपर्क कर सकते हैं</li>
+              <li>आगे के पत्राचार के लिए अपना टिकट संदर्भ संभाल कर रखें</li>
+            </ul>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारी वेबसाइट देखें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            सादर,<br>
+            MAD Foundation टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            तुरंत सहायता के लिए हमें <a href="tel:+919915670267" style="color: #2563eb;">+91 9915670267</a> पर कॉल करें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('contact-us-confirmation'),
+  },
+  {
+    name: 'media-confirmation',
+    locale: 'hi',
+    description: 'Sent to a contributor after they submit a photo or video',
+    subject: 'मीडिया प्राप्त हुआ - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #7c3aed 0%, #dc2626 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">मीडिया प्राप्त हुआ!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            MAD Foundation के साथ अपना अनुभव साझा करने के लिए धन्यवाद! आपका भेजा हुआ मीडिया हमें मिल गया है।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #7c3aed;">
+            <h3 style="color: #1f2937; margin-top: 0;">विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>संदर्भ संख्या:</strong> {{submissionReference}}</p>
+            <p style="margin: 8px 0;"><strong>मीडिया का प्रकार:</strong> {{#if mediaType == "image"}}फ़ोटो{{else if mediaType == "video"}}वीडियो{{else}}{{mediaTypeLabel}}{{/if}}</p>
+            <p style="margin: 8px 0;"><strong>भेजने की तारीख:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>स्थिति:</strong> समीक्षा में</p>
+          </div>
+
+          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #92400e; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #92400e; margin: 0; padding-left: 20px;">
+              <li>हमारी टीम देखेगी कि आपका मीडिया हमारे मिशन के अनुरूप है या नहीं</li>
+              <li>स्वीकृत होने पर इसे हमारी वेबसाइट और सोशल मीडिया पर दिखाया जा सकता है</li>
+              <li>इसकी स्थिति की जानकारी आपको मिलती रहेगी</li>
+            </ul>
+          </div>
+
+          {{#if description}}
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">आपका विवरण:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{description}}"
+            </p>
+          </div>
+          {{/if}}
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            एक अधिक समावेशी दुनिया बनाने के हमारे मिशन का हिस्सा बनने के लिए धन्यवाद।
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #7c3aed 0%, #dc2626 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारी वेबसाइट देखें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            सादर,<br>
+            MAD Foundation टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            किसी भी प्रश्न के लिए हमें <a href="mailto:contact@mad-foundation.org" style="color: #7c3aed;">contact@mad-foundation.org</a> पर लिखें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('media-confirmation'),
+  },
+  {
+    name: 'media-status-update',
+    locale: 'hi',
+    description: 'Sent to a contributor when their submission is approved, featured or rejected',
+    subject: '{{#if status == "approved"}}आपका मीडिया स्वीकार कर लिया गया है!{{else if status == "featured"}}आपका मीडिया प्रदर्शित किया गया है!{{else if status == "rejected"}}आपके भेजे मीडिया के बारे में जानकारी{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #7c3aed;">आपके मीडिया की जानकारी</h2>
+        <p>प्रिय {{fullName}},</p>
+        {{#if status == "approved"}}
+          <p style="color: #16a34a;">खुशखबरी! आपका मीडिया स्वीकार कर लिया गया है और जल्द ही हमारे प्लेटफ़ॉर्म पर दिखाया जाएगा।</p>
+          <p>हमारे समुदाय के लिए आपके बहुमूल्य योगदान की हम सराहना करते हैं।</p>
+        {{else if status == "featured"}}
+          <p style="color: #7c3aed;">बधाई हो! आपका मीडिया अब हमारे प्लेटफ़ॉर्म पर प्रदर्शित है।</p>
+          <p>MAD Foundation समुदाय के साथ अपना अनुभव साझा करने के लिए धन्यवाद।</p>
+        {{else if status == "rejected"}}
+          <p style="color: #dc2626;">भेजने के लिए धन्यवाद। समीक्षा के बाद हमने यह मीडिया प्रदर्शित न करने का निर्णय लिया है।</p>
+          {{#if rejectionReason}}<p><strong>कारण:</strong> {{rejectionReason}}</p>{{/if}}
+          <p>भविष्य में भी अपनी अन्य प्रासंगिक फ़ोटो और वीडियो ज़रूर भेजें।</p>
+        {{/if}}
+        <p><strong>संदर्भ संख्या:</strong> {{submissionReference}}</p>
+        <p>सादर,<br>MAD Foundation टीम</p>
+      </div>
+    `,
+    sampleData: sampleDataOf('media-status-update'),
+  },
+  {
+    name: 'news-submission-confirmation',
+    locale: 'hi',
+    description: 'Sent to a contributor after they submit a news update',
+    subject: 'समाचार प्राप्त हुआ - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #ea580c 0%, #dc2626 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">समाचार प्राप्त हुआ!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            प्रिय {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            MAD Foundation के साथ अपना समाचार साझा करने के लिए धन्यवाद! हमारे समुदाय की खबरों में आपके योगदान की हम सराहना करते हैं।
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #ea580c;">
+            <h3 style="color: #1f2937; margin-top: 0;">विवरण:</h3>
+            <p style="margin: 8px 0;"><strong>संदर्भ संख्या:</strong> {{submissionReference}}</p>
+            <p style="margin: 8px 0;"><strong>भेजने की तारीख:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>स्थिति:</strong> समीक्षा में</p>
+          </div>
+
+          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #92400e; margin-top: 0;">आगे क्या होगा:</h3>
+            <ul style="color: #92400e; margin: 0; padding-left: 20px;">
+              <li>हमारी टीम देखेगी कि आपका समाचार हमारे मिशन के अनुरूप है या नहीं</li>
+              <li>स्वीकृत होने पर इसे हमारे प्लेटफ़ॉर्म पर दिखाया जा सकता है</li>
+              <li>इसकी स्थिति की जानकारी आपको मिलती रहेगी</li>
+            </ul>
+          </div>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">आपका समाचार:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{newsUpdate}}"
+            </p>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            एक अधिक समावेशी दुनिया बनाने के हमारे मिशन का हिस्सा बनने के लिए धन्यवाद।
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #ea580c 0%, #dc2626 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारी वेबसाइट देखें
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            सादर,<br>
+            MAD Foundation टीम
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            किसी भी प्रश्न के लिए हमें <a href="mailto:contact@mad-foundation.org" style="color: #ea580c;">contact@mad-foundation.org</a> पर लिखें
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('news-submission-confirmation'),
+  },
+  {
+    name: 'news-submission-status-update',
+    locale: 'hi',
+    description: 'Sent to a contributor when their submission is approved, published or rejected',
+    subject: '{{#if status == "approved"}}आपका समाचार स्वीकार कर लिया गया है!{{else if status == "published"}}आपका समाचार प्रकाशित हो गया है!{{else if status == "rejected"}}आपके भेजे समाचार के बारे में जानकारी{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #ea580c;">आपके समाचार की जानकारी</h2>
+        <p>प्रिय {{fullName}},</p>
+        {{#if status == "approved"}}
+          <p style="color: #16a34a;">खुशखबरी! आपका समाचार स्वीकार कर लिया गया है और जल्द ही हमारे प्लेटफ़ॉर्म पर दिखाया जाएगा।</p>
+          <p>हमारे समुदाय की खबरों में आपके बहुमूल्य योगदान की हम सराहना करते हैं।</p>
+        {{else if status == "published"}}
+          <p style="color: #16a34a;">बधाई हो! आपका समाचार अब हमारे प्लेटफ़ॉर्म पर प्रकाशित है।</p>
+          <p>MAD Foundation समुदाय के साथ अपनी कहानी साझा करने के लिए धन्यवाद।</p>
+        {{else if status == "rejected"}}
+          <p style="color: #dc2626;">भेजने के लिए धन्यवाद। समीक्षा के बाद हमने यह समाचार प्रदर्शित न करने का निर्णय लिया है।</p>
+          {{#if rejectionReason}}<p><strong>कारण:</strong> {{rejectionReason}}</p>{{/if}}
+          <p>भविष्य में भी अपने अन्य प्रासंगिक समाचार ज़रूर भेजें।</p>
+        {{/if}}
+        <p><strong>संदर्भ संख्या:</strong> {{submissionReference}}</p>
+        <p>सादर,<br>MAD Foundation टीम</p>
+      </div>
+    `,
+    sampleData: sampleDataOf('news-submission-status-update'),
+  },
+  {
+    name: 'newsletter-welcome',
+    locale: 'hi',
+    description: 'Sent to a new newsletter subscriber',
+    subject: 'MAD Foundation न्यूज़लेटर में आपका स्वागत है!',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">हमारे समुदाय में आपका स्वागत है!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            MAD Foundation का न्यूज़लेटर सब्सक्राइब करने के लिए धन्यवाद!
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            अब आप एक अधिक समावेशी दुनिया बनाने के हमारे मिशन का हिस्सा हैं। आपको हमसे ये मिलेगा:
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <ul style="color: #374151; margin: 0; padding-left: 20px;">
+              <li style="margin-bottom: 10px;">📈 हर महीने हमारे काम का असर और सफलता की कहानियाँ</li>
+              <li style="margin-bottom: 10px;">🤝 स्वयंसेवा के अवसर और कार्यक्रम</li>
+              <li style="margin-bottom: 10px;">📧 हमारी चल रही परियोजनाओं की जानकारी</li>
+              <li style="margin-bottom: 10px;">🌟 हमारी टीम की विशेष सामग्री</li>
+            </ul>
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              हमारी वेबसाइट देखें
+            </a>
+          </div>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            यदि आपने यह न्यूज़लेटर सब्सक्राइब नहीं किया है, तो आप
+            <a href="{{unsubscribeUrl}}" style="color: #2563eb;">यहाँ अनसब्सक्राइब</a> कर सकते हैं।
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: sampleDataOf('newsletter-welcome'),
+  },
+];
@@ -0,0 +1,18 @@
+// Built-in email templates. They are copied into the database on startup
+// (see EmailTemplate.seedDefaults) where admins can edit them, and are used
+// as a fallback when a template is missing from the database. Translations
+// carry a `locale`; the rest are English.
+module.exports = [
+  ...require('./account'),
+  ...require('./volunteer'),
+  ...require('./intern'),
+  ...require('./donation'),
+  ...require('./eventRegistration'),
+  ...require('./collaboration'),
+  ...require('./contact'),
+  ...require('./contactUs'),
+  ...require('./media'),
+  ...require('./newsSubmission'),
+  ...require('./newsletter'),
+  ...require('./hi'),
+];
@@ -0,0 +1,183 @@
+// Internship application emails
+module.exports = [
+  {
+    name: 'intern-confirmation',
+    description: 'Sent to an applicant after they apply for an internship',
+    subject: 'Internship Application Received - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Application Received!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Dear {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Thank you for applying for an internship with MAD Foundation! We've received your application and are excited about your interest in joining our mission.
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2563eb;">
+            <h3 style="color: #1f2937; margin-top: 0;">Application Details:</h3>
+            <p style="margin: 8px 0;"><strong>Reference ID:</strong> {{internReference}}</p>
+            <p style="margin: 8px 0;"><strong>Applied for:</strong> {{internshipArea}}</p>
+            <p style="margin: 8px 0;"><strong>Submitted:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>Status:</strong> Under Review</p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">What Happens Next:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>Our team will review your application within 5-7 business days</li>
+              <li>If selected, we'll contact you to schedule an interview</li>
+              <li>You'll receive updates about your application status via email</li>
+              <li>Successful candidates will be provided with internship details and start dates</li>
+            </ul>
+          </div>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">Your Motivation:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{motivation}}"
+            </p>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            We appreciate your interest in contributing to our work towards building a more inclusive society.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #1e40af 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Learn More About Our Work
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Best of luck with your application!<br>
+            The MAD Foundation Team
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            For any queries, please contact us at <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> or call +91 9915670267
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Rahul Verma',
+      email: 'rahul@example.com',
+      mobile: '9876543210',
+      internReference: 'INT-1741171800000-042',
+      internshipArea: 'Content Writing',
+      education: 'B.A. English, Delhi University',
+      motivation: 'I want to use my writing to raise awareness about accessibility.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'intern-admin-notification',
+    description: 'Sent to the admin address for each new internship application',
+    subject: 'New Internship Application',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New Internship Application</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1f2937; margin-top: 0;">Applicant Information:</h3>
+          <p><strong>Name:</strong> {{fullName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Mobile:</strong> {{mobile}}</p>
+          <p><strong>Reference ID:</strong> {{internReference}}</p>
+          <p><strong>Internship Area:</strong> {{internshipArea}}</p>
+          <p><strong>Applied at:</strong> {{createdAt}}</p>
+
+          {{#if education}}
+            <h4 style="color: #1f2937; margin-top: 20px;">Educational Background:</h4>
+            <div style="background-color: white; padding: 15px; border-radius: 4px;">
+              <p style="color: #4b5563; line-height: 1.6; margin: 0;">
+                {{education}}
+              </p>
+            </div>
+          {{/if}}
+
+          <h4 style="color: #1f2937; margin-top: 20px;">Motivation:</h4>
+          <div style="background-color: white; padding: 15px; border-radius: 4px; border-left: 4px solid #2563eb;">
+            <p style="color: #4b5563; line-height: 1.6; margin: 0;">
+              {{motivation}}
+            </p>
+          </div>
+        </div>
+
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="color: #92400e; margin: 0;">
+            <strong>Action Required:</strong> Please review this internship application and update the status accordingly.
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Rahul Verma',
+      email: 'rahul@example.com',
+      mobile: '9876543210',
+      internReference: 'INT-1741171800000-042',
+      internshipArea: 'Content Writing',
+      education: 'B.A. English, Delhi University',
+      motivation: 'I want to use my writing to raise awareness about accessibility.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'intern-status-update',
+    description: 'Sent to an applicant when their status becomes interview-scheduled, accepted, rejected or completed',
+    subject: '{{#if status == "interview-scheduled"}}Interview Scheduled - MAD Foundation Internship{{else if status == "accepted"}}Congratulations! Internship Offer - MAD Foundation{{else if status == "rejected"}}Update on Your Internship Application{{else if status == "completed"}}Internship Completion - MAD Foundation{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">Internship Application Update</h2>
+        <p>Dear {{fullName}},</p>
+        {{#if status == "interview-scheduled"}}
+          <p style="color: #2563eb;">Great news! Your internship application has progressed to the interview stage.</p>
+          {{#if interviewDate}}<p><strong>Interview Date:</strong> {{interviewDate}}</p>{{/if}}
+          <p>Our team will contact you with detailed interview information shortly.</p>
+        {{else if status == "accepted"}}
+          <p style="color: #16a34a;">Congratulations! We're pleased to offer you an internship position with MAD Foundation.</p>
+          {{#if startDate}}<p><strong>Start Date:</strong> {{startDate}}</p>{{/if}}
+          {{#if duration}}<p><strong>Duration:</strong> {{duration}}</p>{{/if}}
+          {{#if mentor}}<p><strong>Mentor:</strong> {{mentor}}</p>{{/if}}
+          <p>We'll be in touch with detailed onboarding information soon.</p>
+        {{else if status == "rejected"}}
+          <p style="color: #dc2626;">Thank you for your interest in interning with MAD Foundation. After careful review, we've decided not to proceed with your application at this time.</p>
+          {{#if rejectionReason}}<p><strong>Feedback:</strong> {{rejectionReason}}</p>{{/if}}
+          <p>We encourage you to apply for future opportunities as they become available.</p>
+        {{else if status == "completed"}}
+          <p style="color: #16a34a;">Congratulations on successfully completing your internship with MAD Foundation!</p>
+          <p>Thank you for your valuable contributions to our mission. We hope this experience has been enriching for your career development.</p>
+          <p>We'd love to stay connected and potentially collaborate in the future.</p>
+        {{/if}}
+        <p><strong>Reference ID:</strong> {{internReference}}</p>
+        <p>Best regards,<br>The MAD Foundation Team</p>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Rahul Verma',
+      email: 'rahul@example.com',
+      mobile: '9876543210',
+      internReference: 'INT-1741171800000-042',
+      internshipArea: 'Content Writing',
+      education: 'B.A. English, Delhi University',
+      motivation: 'I want to use my writing to raise awareness about accessibility.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+      status: 'accepted',
+      interviewDate: '',
+      startDate: '1 April 2025',
+      duration: '3 months',
+      mentor: 'Anita Singh',
+      rejectionReason: '',
+    },
+  },
+];
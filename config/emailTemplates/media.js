@@ -0,0 +1,167 @@
+// Media submission emails
+module.exports = [
+  {
+    name: 'media-confirmation',
+    description: 'Sent to a contributor after they submit a photo or video',
+    subject: 'Media Submission Received - MAD Foundation',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #7c3aed 0%, #dc2626 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Media Submission Received!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Dear {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Thank you for sharing your experience with MAD Foundation! Your media submission has been received successfully.
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #7c3aed;">
+            <h3 style="color: #1f2937; margin-top: 0;">Submission Details:</h3>
+            <p style="margin: 8px 0;"><strong>Reference ID:</strong> {{submissionReference}}</p>
+            <p style="margin: 8px 0;"><strong>Media Type:</strong> {{mediaTypeLabel}}</p>
+            <p style="margin: 8px 0;"><strong>Submitted:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>Status:</strong> Under Review</p>
+          </div>
+
+          <div style="background-color: #fef3c7; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #92400e; margin-top: 0;">What's Next:</h3>
+            <ul style="color: #92400e; margin: 0; padding-left: 20px;">
+              <li>Our team will review your submission for alignment with our mission</li>
+              <li>If approved, your media may be featured on our website and social media</li>
+              <li>You'll receive updates about the status of your submission</li>
+            </ul>
+          </div>
+
+          {{#if description}}
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">Your Description:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{description}}"
+            </p>
+          </div>
+          {{/if}}
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Thank you for being part of our mission to create a more inclusive world.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #7c3aed 0%, #dc2626 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Visit Our Website
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Best regards,<br>
+            The MAD Foundation Team
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            For any queries, please contact us at <a href="mailto:contact@mad-foundation.org" style="color: #7c3aed;">contact@mad-foundation.org</a>
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Arjun Nair',
+      email: 'arjun@example.com',
+      mediaType: 'photo',
+      mediaTypeLabel: 'Photo',
+      mediaUrl: 'https://example.com/photo.jpg',
+      description: 'Volunteers at the accessibility awareness camp.',
+      submissionReference: 'MED-1741171800000-042',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'media-admin-notification',
+    description: 'Sent to the admin address for each media submission',
+    subject: 'New Media Submission for Review',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #7c3aed;">New Media Submission for Review</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1f2937; margin-top: 0;">Submission Details:</h3>
+          <p><strong>Submitter:</strong> {{fullName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Reference ID:</strong> {{submissionReference}}</p>
+          <p><strong>Media Type:</strong> {{mediaType}}</p>
+          <p><strong>Media URL:</strong> <a href="{{mediaUrl}}" target="_blank">{{mediaUrl}}</a></p>
+          <p><strong>Submitted at:</strong> {{createdAt}}</p>
+
+          {{#if description}}
+          <h4 style="color: #1f2937; margin-top: 20px;">Description:</h4>
+          <div style="background-color: white; padding: 15px; border-radius: 4px; border-left: 4px solid #7c3aed;">
+            <p style="color: #4b5563; line-height: 1.6; margin: 0;">
+              {{description}}
+            </p>
+          </div>
+          {{else}}
+          <p><strong>Description:</strong> No description provided</p>
+          {{/if}}
+        </div>
+
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="color: #92400e; margin: 0;">
+            <strong>Action Required:</strong> Please review this submission and update its status accordingly.
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Arjun Nair',
+      email: 'arjun@example.com',
+      mediaType: 'photo',
+      mediaTypeLabel: 'Photo',
+      mediaUrl: 'https://example.com/photo.jpg',
+      description: 'Volunteers at the accessibility awareness camp.',
+      submissionReference: 'MED-1741171800000-042',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'media-status-update',
+    description: 'Sent to a contributor when their submission is approved, featured or rejected',
+    subject: '{{#if status == "approved"}}Your Media Submission Has Been Approved!{{else if status == "featured"}}Your Media Has Been Featured!{{else if status == "rejected"}}Update on Your Media Submission{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #7c3aed;">Media Submission Update</h2>
+        <p>Dear {{fullName}},</p>
+        {{#if status == "approved"}}
+          <p style="color: #16a34a;">Great news! Your media submission has been approved and will be featured on our platform soon.</p>
+          <p>We appreciate your valuable contribution to our community.</p>
+        {{else if status == "featured"}}
+          <p style="color: #7c3aed;">Congratulations! Your media is now featured on our platform.</p>
+          <p>Thank you for sharing your experience with the MAD Foundation community.</p>
+        {{else if status == "rejected"}}
+          <p style="color: #dc2626;">Thank you for your submission. After review, we've decided not to feature this particular media.</p>
+          {{#if rejectionReason}}<p><strong>Reason:</strong> {{rejectionReason}}</p>{{/if}}
+          <p>We encourage you to submit other relevant photos and videos in the future.</p>
+        {{/if}}
+        <p><strong>Reference ID:</strong> {{submissionReference}}</p>
+        <p>Best regards,<br>The MAD Foundation Team</p>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Arjun Nair',
+      email: 'arjun@example.com',
+      mediaType: 'photo',
+      mediaTypeLabel: 'Photo',
+      mediaUrl: 'https://example.com/photo.jpg',
+      description: 'Volunteers at the accessibility awareness camp.',
+      submissionReference: 'MED-1741171800000-042',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+      status: 'approved',
+      rejectionReason: '',
+    },
+  },
+];
@@ -0,0 +1,78 @@
+// Newsletter subscription emails
+module.exports = [
+  {
+    name: 'newsletter-welcome',
+    description: 'Sent to a new newsletter subscriber',
+    subject: 'Welcome to MAD Foundation Newsletter!',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Welcome to Our Community!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Thank you for subscribing to the MAD Foundation newsletter!
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            You're now part of our mission to create a more inclusive world. Here's what you can expect:
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <ul style="color: #374151; margin: 0; padding-left: 20px;">
+              <li style="margin-bottom: 10px;">📈 Monthly impact reports and success stories</li>
+              <li style="margin-bottom: 10px;">🤝 Volunteer opportunities and events</li>
+              <li style="margin-bottom: 10px;">📧 Updates on our ongoing projects</li>
+              <li style="margin-bottom: 10px;">🌟 Exclusive content from our team</li>
+            </ul>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Together, we can make a difference in the lives of those who need it most.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #2563eb 0%, #4f46e5 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Visit Our Website
+            </a>
+          </div>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            If you didn't subscribe to this newsletter, you can 
+            <a href="{{unsubscribeUrl}}" style="color: #2563eb;">unsubscribe here</a>.
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      email: 'reader@example.com',
+      unsubscribeUrl: 'https://example.org/api/newsletter/unsubscribe/sample-token',
+      subscribedAt: '5/3/2025, 10:30:00 am',
+      source: 'website',
+    },
+  },
+  {
+    name: 'newsletter-admin-notification',
+    description: 'Sent to the admin address for each new subscriber',
+    subject: 'New Newsletter Subscription',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New Newsletter Subscription</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Subscribed at:</strong> {{subscribedAt}}</p>
+          <p><strong>Source:</strong> {{source}}</p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      email: 'reader@example.com',
+      unsubscribeUrl: 'https://example.org/api/newsletter/unsubscribe/sample-token',
+      subscribedAt: '5/3/2025, 10:30:00 am',
+      source: 'website',
+    },
+  },
+];
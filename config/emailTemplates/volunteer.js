@@ -0,0 +1,171 @@
+// Volunteer registration emails
+module.exports = [
+  {
+    name: 'volunteer-confirmation',
+    description: 'Sent to a volunteer after they register',
+    subject: 'Welcome to the MAD Foundation Volunteer Family!',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #16a34a 0%, #2563eb 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Welcome to the Team!</h1>
+        </div>
+
+        <div style="background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px;">
+          <p style="font-size: 18px; color: #1f2937; margin-bottom: 20px;">
+            Dear {{fullName}},
+          </p>
+
+          <p style="color: #4b5563; line-height: 1.6; margin-bottom: 20px;">
+            Thank you for registering as a volunteer with MAD Foundation! We're thrilled to have someone with your passion join our mission to create a more inclusive world.
+          </p>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #16a34a;">
+            <h3 style="color: #1f2937; margin-top: 0;">Registration Details:</h3>
+            <p style="margin: 8px 0;"><strong>Reference ID:</strong> {{volunteerReference}}</p>
+            <p style="margin: 8px 0;"><strong>Registered:</strong> {{createdOn}}</p>
+            <p style="margin: 8px 0;"><strong>Areas of Expertise:</strong> {{expertise}}</p>
+          </div>
+
+          <div style="background-color: #dbeafe; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1e40af; margin-top: 0;">What Happens Next:</h3>
+            <ul style="color: #1e40af; margin: 0; padding-left: 20px;">
+              <li>Our team will review your application within 2-3 business days</li>
+              <li>You'll receive updates about your application status via email</li>
+              <li>Once approved, we'll match you with suitable volunteer opportunities</li>
+              <li>You'll be invited to our volunteer orientation session</li>
+            </ul>
+          </div>
+
+          <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="color: #1f2937; margin-top: 0;">How You Want to Help:</h3>
+            <p style="color: #4b5563; line-height: 1.6; font-style: italic;">
+              "{{howToHelp}}"
+            </p>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            Your dedication to making a difference will help us empower individuals with disabilities and build a more inclusive society.
+          </p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="{{siteUrl}}" style="background: linear-gradient(135deg, #16a34a 0%, #2563eb 100%); color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold;">
+              Explore Our Work
+            </a>
+          </div>
+
+          <p style="color: #4b5563; line-height: 1.6;">
+            We're excited to work with you!<br>
+            The MAD Foundation Team
+          </p>
+
+          <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
+
+          <p style="font-size: 12px; color: #6b7280; text-align: center; margin: 0;">
+            For any queries, please contact us at <a href="mailto:contact@mad-foundation.org" style="color: #2563eb;">contact@mad-foundation.org</a> or call +91 9915670267
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Priya Sharma',
+      email: 'priya@example.com',
+      mobile: '9876543210',
+      volunteerReference: 'VOL-1741171800000-042',
+      expertise: 'Teaching, Sign Language',
+      howToHelp: 'I would like to help with weekend teaching sessions.',
+      message: 'Available from next month.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'volunteer-admin-notification',
+    description: 'Sent to the admin address for each new volunteer',
+    subject: 'New Volunteer Registration',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #16a34a;">New Volunteer Registration</h2>
+        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #1f2937; margin-top: 0;">Volunteer Information:</h3>
+          <p><strong>Name:</strong> {{fullName}}</p>
+          <p><strong>Email:</strong> {{email}}</p>
+          <p><strong>Mobile:</strong> {{mobile}}</p>
+          <p><strong>Reference ID:</strong> {{volunteerReference}}</p>
+          <p><strong>Areas of Expertise:</strong> {{expertise}}</p>
+          <p><strong>Registered at:</strong> {{createdAt}}</p>
+
+          <h4 style="color: #1f2937; margin-top: 20px;">How They Want to Help:</h4>
+          <div style="background-color: white; padding: 15px; border-radius: 4px; border-left: 4px solid #16a34a;">
+            <p style="color: #4b5563; line-height: 1.6; margin: 0;">
+              {{howToHelp}}
+            </p>
+          </div>
+
+          {{#if message}}
+            <h4 style="color: #1f2937; margin-top: 20px;">Additional Message:</h4>
+            <div style="background-color: white; padding: 15px; border-radius: 4px;">
+              <p style="color: #4b5563; line-height: 1.6; margin: 0;">
+                {{message}}
+              </p>
+            </div>
+          {{/if}}
+        </div>
+
+        <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; border-left: 4px solid #f59e0b;">
+          <p style="color: #92400e; margin: 0;">
+            <strong>Action Required:</strong> Please review this volunteer application and update the status accordingly.
+          </p>
+        </div>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Priya Sharma',
+      email: 'priya@example.com',
+      mobile: '9876543210',
+      volunteerReference: 'VOL-1741171800000-042',
+      expertise: 'Teaching, Sign Language',
+      howToHelp: 'I would like to help with weekend teaching sessions.',
+      message: 'Available from next month.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+    },
+  },
+  {
+    name: 'volunteer-status-update',
+    description: 'Sent to a volunteer when their status becomes approved, active or rejected',
+    subject: '{{#if status == "approved"}}Your Volunteer Application Has Been Approved!{{else if status == "active"}}You\'re Now an Active MAD Foundation Volunteer!{{else if status == "rejected"}}Update on Your Volunteer Application{{/if}}',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #16a34a;">Volunteer Application Update</h2>
+        <p>Dear {{fullName}},</p>
+        {{#if status == "approved"}}
+          <p style="color: #16a34a;">Congratulations! Your volunteer application has been approved.</p>
+          <p>Our team will be in touch soon to discuss specific volunteer opportunities that match your expertise and interests.</p>
+          <p>Welcome to the MAD Foundation volunteer family!</p>
+        {{else if status == "active"}}
+          <p style="color: #16a34a;">Welcome aboard! You are now an active volunteer with MAD Foundation.</p>
+          <p>You'll start receiving notifications about volunteer opportunities and events. Thank you for your commitment to our mission.</p>
+        {{else if status == "rejected"}}
+          <p style="color: #dc2626;">Thank you for your interest in volunteering with MAD Foundation. After careful review, we've decided not to proceed with your application at this time.</p>
+          {{#if rejectionReason}}<p><strong>Reason:</strong> {{rejectionReason}}</p>{{/if}}
+          <p>We encourage you to apply again in the future as our needs and programs evolve.</p>
+        {{/if}}
+        <p><strong>Reference ID:</strong> {{volunteerReference}}</p>
+        <p>Best regards,<br>The MAD Foundation Team</p>
+      </div>
+    `,
+    sampleData: {
+      fullName: 'Priya Sharma',
+      email: 'priya@example.com',
+      mobile: '9876543210',
+      volunteerReference: 'VOL-1741171800000-042',
+      expertise: 'Teaching, Sign Language',
+      howToHelp: 'I would like to help with weekend teaching sessions.',
+      message: 'Available from next month.',
+      createdOn: '5 March 2025',
+      createdAt: '5/3/2025, 10:30:00 am',
+      status: 'approved',
+      rejectionReason: '',
+    },
+  },
+];
@@ -0,0 +1,62 @@
+const { hasPermission } = require('./permissions');
+
+// Submission lifecycle events, sent to webhook subscriptions and the admin
+// stream (see utils/events). Webhooks may subscribe to "*" for all of them.
+// Status changes carry the old status as `previousStatus` next to `data`.
+const EVENTS = {
+  'volunteer.created': 'A volunteer registered',
+  'volunteer.status_changed': 'A volunteer application changed status',
+  'internship.created': 'An internship application was submitted',
+  'internship.status_changed': 'An internship application changed status',
+  'donation.created': 'A donation pledge was made',
+  'donation.status_changed': 'A donation pledge changed status',
+  'event.registration.created': 'Someone registered for an event',
+  'event.registration.status_changed': 'An event registration changed status',
+  'collaboration.created': 'A partnership request was submitted',
+  'collaboration.status_changed': 'A partnership request changed status',
+  'contact.created': 'A contact form was submitted',
+  'contact.status_changed': 'A contact form submission changed status',
+  'ticket.created': 'A contact us message opened a ticket',
+  'ticket.status_changed': 'A contact us ticket changed status',
+  'media.submission.created': 'Media was submitted',
+  'media.submission.status_changed': 'A media submission changed status',
+  'news.submission.created': 'A news update was submitted',
+  'news.submission.status_changed': 'A news submission changed status',
+  'newsletter.subscribed': 'Someone subscribed to the newsletter',
+  'newsletter.unsubscribed': 'Someone unsubscribed from the newsletter',
+  'webhook.test': 'Sent from the admin panel to check a subscription',
+};
+
+// Permission an admin needs to see each kind of event in the stream, by the
+// event name without its last part
+const EVENT_READ_PERMISSIONS = {
+  volunteer: 'volunteers:read',
+  internship: 'interns:read',
+  donation: 'donations:read',
+  'event.registration': 'events:read',
+  collaboration: 'collaborations:read',
+  contact: 'contacts:read',
+  ticket: 'contacts:read',
+  'media.submission': 'media:read',
+  'news.submission': 'news:read',
+  newsletter: 'newsletter:read',
+};
+
+const getEventPermission = event => EVENT_READ_PERMISSIONS[event.slice(0, event.lastIndexOf('.'))];
+
+// Any one of these lets an admin open the stream
+const STREAM_PERMISSIONS = [...new Set(Object.values(EVENT_READ_PERMISSIONS))];
+
+// Whether the given permission grants cover an event's data. "*" stands for
+// every event; webhook.test carries no submission data.
+const canReadEvent = (grants, event) => {
+  const required = event === '*' ? STREAM_PERMISSIONS : [getEventPermission(event)].filter(Boolean);
+  return required.every(permission => hasPermission(grants || [], permission));
+};
+
+module.exports = {
+  EVENTS,
+  STREAM_PERMISSIONS,
+  getEventPermission,
+  canReadEvent,
+};
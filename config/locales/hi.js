@@ -0,0 +1,148 @@
+// Hindi. Keys are the English messages exactly as the code sends them; {name}
+// stands for a value filled in at runtime, which is itself translated when it
+// is in this catalog (e.g. a field label). Messages missing here stay English.
+module.exports = {
+  // Validation
+  'Validation failed': 'दी गई जानकारी मान्य नहीं है',
+  'Unknown field': 'अज्ञात फ़ील्ड',
+  '{label} is required': '{label} आवश्यक है',
+  '{label} must be text': '{label} टेक्स्ट होना चाहिए',
+  '{label} must be between {min}-{max} characters': '{label} {min}-{max} अक्षरों के बीच होना चाहिए',
+  '{label} must be at least {min} characters': '{label} कम से कम {min} अक्षरों का होना चाहिए',
+  '{label} must be at most {max} characters': '{label} अधिकतम {max} अक्षरों का हो सकता है',
+  '{label} is not in the right format': '{label} सही प्रारूप में नहीं है',
+  '{label} must be a valid number of 10-15 digits': '{label} 10-15 अंकों का मान्य नंबर होना चाहिए',
+  '{label} must be one of: {values}': '{label} इनमें से एक होना चाहिए: {values}',
+  '{label} must be a number': '{label} एक संख्या होनी चाहिए',
+  '{label} must be a whole number': '{label} एक पूर्ण संख्या होनी चाहिए',
+  '{label} must be at least {min}': '{label} कम से कम {min} होना चाहिए',
+  '{label} must be at most {max}': '{label} अधिकतम {max} हो सकता है',
+  '{label} must be true or false': '{label} हाँ या नहीं (true/false) होना चाहिए',
+  '{label} must be a valid date': '{label} एक मान्य तारीख होनी चाहिए',
+  '{label} must be a valid id': '{label} एक मान्य आईडी होनी चाहिए',
+  '{label} must be a valid http(s) URL': '{label} एक मान्य http(s) लिंक होना चाहिए',
+  '{label} must be a list': '{label} एक सूची होनी चाहिए',
+  '{label} must have at least {min} item(s)': '{label} में कम से कम {min} विकल्प होने चाहिए',
+  '{label} must have at most {max} item(s)': '{label} में अधिकतम {max} विकल्प हो सकते हैं',
+  'Please enter a valid email address': 'कृपया एक मान्य ईमेल पता दर्ज करें',
+  'Invalid area of interest selected': 'चुना गया रुचि का क्षेत्र मान्य नहीं है',
+  'Invalid donation type selected': 'चुना गया दान का प्रकार मान्य नहीं है',
+  'Invalid internship area selected': 'चुना गया इंटर्नशिप क्षेत्र मान्य नहीं है',
+  'Invalid subject selected': 'चुना गया विषय मान्य नहीं है',
+  'Please specify if you are a person with disability': 'कृपया बताएं कि क्या आप दिव्यांग व्यक्ति हैं',
+  'Please select disability type': 'कृपया दिव्यांगता का प्रकार चुनें',
+  'Please specify your disability type': 'कृपया अपनी दिव्यांगता का प्रकार बताएं',
+  'Please provide a valid image/video URL or link from supported platforms (YouTube, Vimeo, Google Drive, etc.)': 'कृपया एक मान्य फोटो/वीडियो लिंक दें, जैसे YouTube, Vimeo या Google Drive',
+  'Password must be at least 8 characters long': 'पासवर्ड कम से कम 8 अक्षरों का होना चाहिए',
+  'Password must contain at least one lowercase letter, one uppercase letter, and one number': 'पासवर्ड में कम से कम एक छोटा अक्षर, एक बड़ा अक्षर और एक अंक होना चाहिए',
+  'Reference number is not valid. Please check it for typos': 'संदर्भ संख्या मान्य नहीं है। कृपया जाँचें कि कहीं टाइप करने में गलती तो नहीं हुई',
+
+  // Field labels, used in the validation messages above
+  'Name': 'नाम',
+  'Full name': 'पूरा नाम',
+  'Email': 'ईमेल',
+  'Mobile': 'मोबाइल नंबर',
+  'Mobile number': 'मोबाइल नंबर',
+  'Phone number': 'फ़ोन नंबर',
+  'Password': 'पासवर्ड',
+  'Message': 'संदेश',
+  'Subject': 'विषय',
+  'City': 'शहर',
+  'City name': 'शहर का नाम',
+  'Occupation': 'व्यवसाय',
+  'Organization': 'संस्था',
+  'Organization name': 'संस्था का नाम',
+  'Organization type': 'संस्था का प्रकार',
+  'Partnership type': 'साझेदारी का प्रकार',
+  'Description': 'विवरण',
+  'Education background': 'शैक्षिक पृष्ठभूमि',
+  'Motivation': 'प्रेरणा',
+  'Internship area': 'इंटर्नशिप क्षेत्र',
+  'Expertise': 'विशेषज्ञता',
+  'How to help': 'आप कैसे मदद करना चाहते हैं',
+  'Availability': 'उपलब्धता',
+  'Area of interest': 'रुचि का क्षेत्र',
+  'Donation amount': 'दान राशि',
+  'Donation type': 'दान का प्रकार',
+  'Media URL': 'मीडिया लिंक',
+  'Category': 'श्रेणी',
+  'News update': 'समाचार',
+  'Event ID': 'कार्यक्रम आईडी',
+  'Event title': 'कार्यक्रम का नाम',
+  'Person with disability': 'दिव्यांग व्यक्ति',
+  'Disability type': 'दिव्यांगता का प्रकार',
+  'Other disability text': 'अन्य दिव्यांगता',
+  'Preferred language': 'पसंदीदा भाषा',
+  'Reference': 'संदर्भ संख्या',
+
+  // Public forms
+  'Thank you for registering as a volunteer with MAD Foundation. Our team will connect with you soon to discuss how you can make an impact.': 'MAD Foundation के साथ स्वयंसेवक के रूप में पंजीकरण करने के लिए धन्यवाद। हमारी टीम जल्द ही आपसे संपर्क करेगी और बताएगी कि आप कैसे बदलाव ला सकते हैं।',
+  'Thank you for applying for an internship with MAD Foundation. Our team will review your application and get in touch with you soon.': 'MAD Foundation में इंटर्नशिप के लिए आवेदन करने के लिए धन्यवाद। हमारी टीम आपके आवेदन की समीक्षा करके जल्द ही आपसे संपर्क करेगी।',
+  'Thank you for your generous intention! Our team will contact you with donation details shortly.': 'आपकी उदार भावना के लिए धन्यवाद! हमारी टीम जल्द ही दान की जानकारी के साथ आपसे संपर्क करेगी।',
+  'Thank you for submitting your response. Your response has been submitted successfully.': 'आपका जवाब भेजने के लिए धन्यवाद। आपका जवाब सफलतापूर्वक जमा हो गया है।',
+  "Thank you for your interest in partnering with MAD Foundation. We're excited about the potential collaboration opportunities.": 'MAD Foundation के साथ साझेदारी में रुचि के लिए धन्यवाद। हम साथ मिलकर काम करने के अवसरों को लेकर उत्साहित हैं।',
+  'Thank you for your message. We will get back to you soon!': 'आपके संदेश के लिए धन्यवाद। हम जल्द ही आपसे संपर्क करेंगे!',
+  'Thank you for contacting us! We have received your message and will get back to you soon.': 'हमसे संपर्क करने के लिए धन्यवाद! हमें आपका संदेश मिल गया है और हम जल्द ही आपसे संपर्क करेंगे।',
+  'Thank you for sharing your experience with MAD Foundation. Your media submission has been received successfully.': 'MAD Foundation के साथ अपना अनुभव साझा करने के लिए धन्यवाद। आपकी मीडिया सामग्री सफलतापूर्वक प्राप्त हो गई है।',
+  'Thank you for sharing your news with MAD Foundation. We appreciate your contribution to our community updates.': 'MAD Foundation के साथ अपना समाचार साझा करने के लिए धन्यवाद। सामुदायिक समाचारों में आपके योगदान की हम सराहना करते हैं।',
+  'Thank you for subscribing! Check your email for confirmation.': 'सदस्यता लेने के लिए धन्यवाद! पुष्टि के लिए अपना ईमेल देखें।',
+  'Welcome back! Your subscription has been reactivated.': 'फिर से स्वागत है! आपकी सदस्यता दोबारा शुरू हो गई है।',
+  'You have been successfully unsubscribed from our newsletter.': 'आपको हमारे न्यूज़लेटर से सफलतापूर्वक हटा दिया गया है।',
+  'Invalid or expired unsubscribe link': 'सदस्यता समाप्त करने का लिंक अमान्य है या उसकी अवधि समाप्त हो गई है',
+  'This email is already subscribed to our newsletter': 'यह ईमेल पहले से हमारे न्यूज़लेटर की सदस्य है',
+  'A volunteer with this email already exists': 'इस ईमेल से पहले ही स्वयंसेवक पंजीकरण हो चुका है',
+  'An internship application with this email already exists': 'इस ईमेल से पहले ही इंटर्नशिप आवेदन किया जा चुका है',
+  'You are already registered for this event': 'आप इस कार्यक्रम के लिए पहले से पंजीकृत हैं',
+  'A collaboration request from this organization already exists within the last 24 hours': 'इस संस्था की ओर से पिछले 24 घंटों में पहले ही साझेदारी का अनुरोध भेजा जा चुका है',
+  'A collaboration request from this email already exists within the last 24 hours': 'इस ईमेल से पिछले 24 घंटों में पहले ही साझेदारी का अनुरोध भेजा जा चुका है',
+  'Please wait a few minutes before submitting another message': 'कृपया दूसरा संदेश भेजने से पहले कुछ मिनट प्रतीक्षा करें',
+  'Please wait at least 15 minutes before submitting another contact request': 'कृपया दूसरा अनुरोध भेजने से पहले कम से कम 15 मिनट प्रतीक्षा करें',
+  'Please wait at least one hour before submitting another media upload': 'कृपया दूसरी मीडिया सामग्री भेजने से पहले कम से कम एक घंटा प्रतीक्षा करें',
+  'Please wait at least one hour before submitting another news update': 'कृपया दूसरा समाचार भेजने से पहले कम से कम एक घंटा प्रतीक्षा करें',
+  'No submission found for this reference and email': 'इस संदर्भ संख्या और ईमेल से कोई आवेदन नहीं मिला',
+
+  // Accounts
+  'Email already registered': 'यह ईमेल पहले से पंजीकृत है',
+  'Phone number already registered': 'यह फ़ोन नंबर पहले से पंजीकृत है',
+  'Invalid credentials': 'ईमेल या पासवर्ड गलत है',
+  'Please verify your email address before logging in': 'लॉग इन करने से पहले कृपया अपना ईमेल पता सत्यापित करें',
+  'This account has been deactivated. Please contact an administrator.': 'यह खाता निष्क्रिय कर दिया गया है। कृपया व्यवस्थापक से संपर्क करें।',
+  'Too many failed login attempts. Please try again later.': 'लॉग इन के बहुत अधिक असफल प्रयास हुए। कृपया बाद में फिर से प्रयास करें।',
+  'Enter the code from your authenticator app or a recovery code': 'अपने ऑथेंटिकेटर ऐप का कोड या रिकवरी कोड दर्ज करें',
+  'Invalid two-factor code': 'टू-फ़ैक्टर कोड गलत है',
+  'Two-factor session expired, please log in again': 'टू-फ़ैक्टर सत्र समाप्त हो गया, कृपया फिर से लॉग इन करें',
+  'Password reset link sent to your email': 'पासवर्ड रीसेट करने का लिंक आपके ईमेल पर भेज दिया गया है',
+  'Invalid or expired reset token': 'रीसेट लिंक अमान्य है या उसकी अवधि समाप्त हो गई है',
+  'Password has been reset successfully. Please log in with your new password.': 'पासवर्ड सफलतापूर्वक रीसेट हो गया है। कृपया नए पासवर्ड से लॉग इन करें।',
+  'Email verified successfully': 'ईमेल सफलतापूर्वक सत्यापित हो गया',
+  'Invalid or expired verification link': 'सत्यापन लिंक अमान्य है या उसकी अवधि समाप्त हो गई है',
+  'If this account needs verification, a new link has been sent': 'यदि इस खाते का सत्यापन बाकी है, तो एक नया लिंक भेज दिया गया है',
+  'Please wait {seconds} seconds before requesting another verification email': 'दूसरा सत्यापन ईमेल मंगाने से पहले कृपया {seconds} सेकंड प्रतीक्षा करें',
+  'Your account has been unlocked. You can log in again.': 'आपका खाता अनलॉक हो गया है। अब आप फिर से लॉग इन कर सकते हैं।',
+  'Invalid or expired unlock link': 'अनलॉक लिंक अमान्य है या उसकी अवधि समाप्त हो गई है',
+  'Logged out successfully': 'आप सफलतापूर्वक लॉग आउट हो गए',
+  'Logged out from all devices': 'आप सभी डिवाइस से लॉग आउट हो गए',
+  'Profile updated': 'प्रोफ़ाइल अपडेट हो गई',
+  'Nothing to update. Provide a name, phone number or preferred language.': 'अपडेट करने के लिए कुछ नहीं है। नाम, फ़ोन नंबर या पसंदीदा भाषा दें।',
+  'Password changed successfully': 'पासवर्ड सफलतापूर्वक बदल गया',
+  'Current password is incorrect': 'मौजूदा पासवर्ड गलत है',
+  'New password must be different from the current password': 'नया पासवर्ड मौजूदा पासवर्ड से अलग होना चाहिए',
+  'A confirmation link has been sent to {email}. Your email will change once you confirm it.': '{email} पर पुष्टि का लिंक भेज दिया गया है। पुष्टि करने के बाद आपका ईमेल बदल जाएगा।',
+  'Email address updated successfully': 'ईमेल पता सफलतापूर्वक अपडेट हो गया',
+  'Invalid or expired confirmation link': 'पुष्टि का लिंक अमान्य है या उसकी अवधि समाप्त हो गई है',
+  'Not authorized, no token': 'अनुमति नहीं है, कृपया लॉग इन करें',
+  'Not authorized, token failed': 'अनुमति नहीं है, कृपया फिर से लॉग इन करें',
+
+  // Contact us subjects, as shown in emails
+  'General Inquiry': 'सामान्य पूछताछ',
+  'Volunteering': 'स्वयंसेवा',
+  'Internship': 'इंटर्नशिप',
+  'Partnership': 'साझेदारी',
+  'Donation': 'दान',
+  'Other': 'अन्य',
+
+  // General
+  'Too many requests. Please try again later.': 'बहुत अधिक अनुरोध। कृपया बाद में फिर से प्रयास करें।',
+  'Request body is not valid JSON': 'अनुरोध में भेजा गया डेटा मान्य JSON नहीं है',
+  'Internal server error': 'सर्वर में कोई समस्या आ गई है। कृपया बाद में फिर से प्रयास करें।',
+};
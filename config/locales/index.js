@@ -0,0 +1,8 @@
+// Message catalogs by locale. English is the source language: messages are
+// written in English in the code and each catalog maps them to a translation.
+// To add a language, add a catalog here; it becomes a valid preferredLanguage
+// and Accept-Language match, and email templates can be added for it.
+module.exports = {
+  en: {},
+  hi: require('./hi'),
+};
@@ -0,0 +1,104 @@
+// Permissions are "<resource>:<action>". A role may also be granted
+// "<resource>:*" for every action on a resource, or "*" for everything.
+const PERMISSIONS = {
+  'users:read': 'View user accounts',
+  'users:create': 'Invite new user accounts',
+  'users:update': 'Change user accounts and sign them out',
+  'users:delete': 'Delete user accounts',
+  'roles:manage': 'Create, edit and delete roles',
+  'security:read': 'View login lockouts, rate limits and security events',
+  'security:update': 'Clear login lockouts and rate limits',
+  'audit:read': 'View the audit log of admin actions',
+  'emails:read': 'View the outbound email log',
+  'emails:update': 'Resend emails',
+  'templates:read': 'View email templates and their history',
+  'templates:update': 'Edit email templates and roll back to earlier versions',
+  'contacts:read': 'View contact and contact-us submissions',
+  'contacts:update': 'Update contact and contact-us submissions',
+  'collaborations:read': 'View partnership requests',
+  'collaborations:update': 'Update partnership requests',
+  'donations:read': 'View donation pledges',
+  'donations:update': 'Update donation pledges',
+  'events:read': 'View event registrations and statistics',
+  'events:update': 'Update event registrations',
+  'interns:read': 'View internship applications',
+  'interns:update': 'Update internship applications',
+  'volunteers:read': 'View volunteer applications',
+  'volunteers:update': 'Update volunteer applications',
+  'news:read': 'View news submissions',
+  'news:update': 'Update news submissions',
+  'media:read': 'View media submissions',
+  'media:update': 'Update media submissions',
+  'newsletter:read': 'View newsletter subscribers',
+  'spam:read': 'View quarantined spam from the public forms (limited to forms the role can read)',
+  'spam:update': 'Release, mark and delete spam (limited to forms the role can update)',
+  'webhooks:read': 'View webhook subscriptions and their delivery history',
+  'webhooks:manage': 'Add, change and delete webhook subscriptions and replay deliveries',
+};
+
+// Roles created on startup when missing. System roles cannot be deleted.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every admin feature',
+    permissions: ['*'],
+    system: true,
+  },
+  {
+    name: 'user',
+    description: 'Registered website user without staff access',
+    permissions: [],
+    system: true,
+  },
+  {
+    name: 'event-coordinator',
+    description: 'Manages event registrations',
+    permissions: ['events:read', 'events:update'],
+  },
+  {
+    name: 'hr-reviewer',
+    description: 'Reviews internship and volunteer applications',
+    permissions: ['interns:read', 'interns:update', 'volunteers:read', 'volunteers:update'],
+  },
+  {
+    name: 'finance',
+    description: 'Handles donation pledges',
+    permissions: ['donations:read', 'donations:update'],
+  },
+  {
+    name: 'editor',
+    description: 'Reviews news and media submissions',
+    permissions: ['news:read', 'news:update', 'media:read', 'media:update', 'newsletter:read'],
+  },
+  {
+    name: 'communications',
+    description: 'Edits the wording of outgoing emails',
+    permissions: ['templates:read', 'templates:update', 'emails:read'],
+  },
+];
+
+// Check whether a permission grant list covers the required permission
+const hasPermission = (grants, required) => {
+  const [resource] = required.split(':');
+  return grants.some(grant => grant === '*' || grant === required || grant === `${resource}:*`);
+};
+
+// Check whether a permission grant list may act on an account with the given role.
+// Staff accounts can only be changed by those who could also assign their role.
+const canManageUser = (grants, targetRole) => targetRole === 'user' || hasPermission(grants, 'roles:manage');
+
+// Check whether a permission string can be granted to a role
+const isValidPermission = (permission) => {
+  if (permission === '*' || PERMISSIONS[permission]) return true;
+
+  const [resource, action] = permission.split(':');
+  return action === '*' && Object.keys(PERMISSIONS).some(key => key.startsWith(`${resource}:`));
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  hasPermission,
+  canManageUser,
+  isValidPermission,
+};
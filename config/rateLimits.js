@@ -0,0 +1,85 @@
+// Rate-limit policies by name. Each rule counts requests per client, where the
+// client is identified `by`:
+//   ip     the request IP (set TRUST_PROXY when running behind a proxy)
+//   email  the email field of the validated request body
+//   user   the logged-in user
+// A window starts with the client's first request and lasts `windowMinutes`.
+// `skipFailed` stops requests that end in an error from counting, so a
+// rejected form does not use up the client's only submission.
+//
+// Any rule can be overridden with RATE_LIMIT_<POLICY>_<BY>=<max>/<minutes>,
+// e.g. RATE_LIMIT_FORGOT_PASSWORD_EMAIL=5/60.
+const RATE_LIMIT_POLICIES = {
+  login: [
+    { by: 'ip', max: 30, windowMinutes: 15 },
+  ],
+  'two-factor-login': [
+    { by: 'ip', max: 30, windowMinutes: 15 },
+  ],
+  signup: [
+    { by: 'ip', max: 5, windowMinutes: 60 },
+  ],
+  'forgot-password': [
+    { by: 'ip', max: 10, windowMinutes: 60 },
+    { by: 'email', max: 3, windowMinutes: 60, message: 'Too many password reset requests for this email. Please try again later.' },
+  ],
+  'account-security': [
+    { by: 'user', max: 10, windowMinutes: 15 },
+  ],
+  newsletter: [
+    { by: 'ip', max: 10, windowMinutes: 60 },
+    { by: 'email', max: 3, windowMinutes: 60 },
+  ],
+  'public-form': [
+    { by: 'ip', max: 20, windowMinutes: 60 },
+  ],
+  'form-token': [
+    { by: 'ip', max: 120, windowMinutes: 60 },
+  ],
+  'reference-lookup': [
+    { by: 'ip', max: 30, windowMinutes: 15 },
+  ],
+  contact: [
+    { by: 'ip', max: 20, windowMinutes: 60 },
+    { by: 'email', max: 1, windowMinutes: 5, skipFailed: true, message: 'Please wait a few minutes before submitting another message' },
+  ],
+  'contact-us': [
+    { by: 'ip', max: 20, windowMinutes: 60 },
+    { by: 'email', max: 1, windowMinutes: 15, skipFailed: true, message: 'Please wait at least 15 minutes before submitting another contact request' },
+  ],
+  collaboration: [
+    { by: 'ip', max: 20, windowMinutes: 60 },
+    { by: 'email', max: 1, windowMinutes: 24 * 60, skipFailed: true, message: 'A collaboration request from this email already exists within the last 24 hours' },
+  ],
+  'media-submission': [
+    { by: 'ip', max: 20, windowMinutes: 60 },
+    { by: 'email', max: 1, windowMinutes: 60, skipFailed: true, message: 'Please wait at least one hour before submitting another media upload' },
+  ],
+  'news-submission': [
+    { by: 'ip', max: 20, windowMinutes: 60 },
+    { by: 'email', max: 1, windowMinutes: 60, skipFailed: true, message: 'Please wait at least one hour before submitting another news update' },
+  ],
+};
+
+// "forgot-password" + "email" -> RATE_LIMIT_FORGOT_PASSWORD_EMAIL
+const getOverrideName = (policy, by) => `RATE_LIMIT_${policy}_${by}`.toUpperCase().replace(/-/g, '_');
+
+// Rules of a policy with any environment overrides applied
+const getRateLimitRules = (policy) => {
+  const rules = RATE_LIMIT_POLICIES[policy];
+  if (!rules) {
+    throw new Error(`Unknown rate limit policy "${policy}"`);
+  }
+
+  return rules.map((rule) => {
+    const override = process.env[getOverrideName(policy, rule.by)];
+    const match = override && override.match(/^(\d+)\/(\d+)$/);
+    if (!match) return rule;
+    return { ...rule, max: parseInt(match[1], 10), windowMinutes: parseInt(match[2], 10) };
+  });
+};
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  getRateLimitRules,
+};
@@ -0,0 +1,83 @@
+// Spam scoring for the public forms. Every check adds points to a submission;
+// one that reaches the threshold is stored with status "spam" and waits in the
+// quarantine view (/api/admin/spam) instead of being processed.
+//
+// Settings can be changed through the environment:
+//   SPAM_SCORE_THRESHOLD          points that make a submission spam (default 5)
+//   SPAM_KEYWORDS                 extra comma-separated keywords
+//   SPAM_DISPOSABLE_DOMAINS       extra comma-separated disposable email domains
+//   FORM_TOKEN_SECRET             key for form tokens (defaults to JWT_SECRET)
+//   FORM_TOKEN_MIN_SECONDS        a form sent back sooner was filled in by a bot (default 3)
+//   FORM_TOKEN_MAX_AGE_MINUTES    how long a form token stays valid (default 120)
+//   FORM_TOKEN_REQUIRED=true      treat submissions without a token as spam
+//   CAPTCHA_PROVIDER              recaptcha, hcaptcha or turnstile; off when unset
+//   CAPTCHA_SITE_KEY              handed to the website with the form token
+//   CAPTCHA_SECRET                the provider's server-side secret
+//   CAPTCHA_MIN_SCORE             lowest passing score for scoring providers (default 0.5)
+
+// Hidden field that people never see and bots fill in
+const HONEYPOT_FIELD = 'website';
+
+const SPAM_WEIGHTS = {
+  honeypot: 10,
+  missingToken: 1,
+  invalidToken: 5,
+  expiredToken: 2,
+  tooFast: 5,
+  captchaFailed: 5,
+  keyword: 2,
+  maxKeywords: 6,
+  someLinks: 1,
+  manyLinks: 4,
+  linkMarkup: 3,
+  linkInName: 3,
+  repeatedText: 2,
+  duplicateContent: 3,
+  disposableEmail: 3,
+};
+
+// Phrases that practically never appear in a genuine message to the organization
+const SPAM_KEYWORDS = [
+  'viagra', 'cialis', 'casino', 'betting tips', 'crypto investment', 'bitcoin investment',
+  'forex signals', 'payday loan', 'seo services', 'backlinks', 'guest post', 'rank your website',
+  'first page of google', 'web traffic', 'buy followers', 'click here', 'make money fast',
+  'work from home and earn', 'adult dating', 'hot singles', 'replica watches', 'weight loss pills',
+];
+
+const DISPOSABLE_EMAIL_DOMAINS = [
+  'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com',
+  'temp-mail.org', 'tempmail.com', 'tempmail.net', 'yopmail.com', 'trashmail.com', 'getnada.com',
+  'dispostable.com', 'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com', 'mintemail.com',
+  'mohmal.com', 'emailondeck.com', 'spamgourmet.com', 'mailnesia.com',
+];
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(entry => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+const SPAM_SETTINGS = {
+  threshold: parseInt(process.env.SPAM_SCORE_THRESHOLD, 10) || 5,
+  keywords: [...SPAM_KEYWORDS, ...splitList(process.env.SPAM_KEYWORDS)],
+  disposableDomains: [...DISPOSABLE_EMAIL_DOMAINS, ...splitList(process.env.SPAM_DISPOSABLE_DOMAINS)],
+  tokenSecret: process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET,
+  tokenMinSeconds: process.env.FORM_TOKEN_MIN_SECONDS !== undefined
+    ? parseInt(process.env.FORM_TOKEN_MIN_SECONDS, 10) || 0
+    : 3,
+  tokenMaxAgeMinutes: parseInt(process.env.FORM_TOKEN_MAX_AGE_MINUTES, 10) || 120,
+  tokenRequired: process.env.FORM_TOKEN_REQUIRED === 'true',
+  captcha: {
+    provider: process.env.CAPTCHA_PROVIDER || null,
+    siteKey: process.env.CAPTCHA_SITE_KEY || null,
+    secret: process.env.CAPTCHA_SECRET || null,
+    minScore: parseFloat(process.env.CAPTCHA_MIN_SCORE) || 0.5,
+  },
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  SPAM_WEIGHTS,
+  SPAM_KEYWORDS,
+  DISPOSABLE_EMAIL_DOMAINS,
+  SPAM_SETTINGS,
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Role = require('../models/role');
+const { openStream } = require('../utils/adminStream');
+const { generateStreamToken, STREAM_TOKEN_EXPIRES_SECONDS } = require('../utils/tokens');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { logger } = require('../utils/logger');
+
+// Connected admins' sessions and roles are checked again this often
+const REVALIDATE_MS = 60 * 1000;
+
+// @desc Get a one-minute token for opening the stream with EventSource, which
+// cannot send an Authorization header. It opens the stream once; get a new one
+// to reconnect.
+// @route POST /api/admin/stream/token
+// @access Private (any permission to read submissions)
+exports.createStreamToken = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      token: generateStreamToken(req.user._id, req.authSession._id),
+      expiresIn: STREAM_TOKEN_EXPIRES_SECONDS,
+    },
+  });
+});
+
+// @desc Stream new submissions and status changes as Server-Sent Events, limited
+// to the forms the user can read. Reconnecting with Last-Event-ID (or ?lastEventId=)
+// sends the events missed in between, up to a day back.
+// @route GET /api/admin/stream
+// @access Private (any permission to read submissions)
+exports.streamEvents = asyncHandler(async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  const client = await openStream(req, res, {
+    grants: req.permissions,
+    lastEventId: mongoose.isValidObjectId(lastEventId) ? lastEventId : undefined,
+  });
+
+  // Role changes apply to an open stream, and revoked sessions are cut off
+  const timer = setInterval(() => revalidateStream(req, res, client), REVALIDATE_MS);
+  req.on('close', () => clearInterval(timer));
+});
+
+// Helper function to re-check the session and role behind an open stream
+const revalidateStream = async (req, res, client) => {
+  try {
+    const [session, user] = await Promise.all([
+      Session.findById(req.authSession._id),
+      User.findById(req.user._id).select('isActive role'),
+    ]);
+
+    if (!session || !session.isActive() || !user || !user.isActive) {
+      res.end();
+      return;
+    }
+
+    const role = await Role.findOne({ name: user.role });
+    client.grants = role ? role.permissions : [];
+  } catch (error) {
+    logger.warn('Admin stream could not be revalidated', { error });
+  }
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog');
+const { asyncHandler } = require('../utils/asyncHandler');
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc Get audit log entries with filters
+// @route GET /api/admin/audit
+// @access Private (audit:read)
+exports.getAuditLog = asyncHandler(async (req, res) => {
+  const { page, limit, actor, action, targetType, targetId, from, to } = req.query;
+
+  const query = {};
+
+  // Actor can be a user id or (part of) an email address
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      query['actor.user'] = new mongoose.Types.ObjectId(actor);
+    } else {
+      query['actor.email'] = { $regex: escapeRegex(actor.toLowerCase()), $options: 'i' };
+    }
+  }
+
+  // "user" matches every user.* action, "user.delete" only that one
+  if (action) {
+    query.action = { $regex: `^${escapeRegex(action)}(\\.|$)` };
+  }
+
+  if (targetType) {
+    query.targetType = targetType;
+  }
+
+  if (targetId) {
+    query.targetId = targetId;
+  }
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  const entries = await AuditLog.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await AuditLog.countDocuments(query);
+
+  const stats = {
+    total: await AuditLog.countDocuments(),
+    last24Hours: await AuditLog.countDocuments({ createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }),
+    byAction: await AuditLog.aggregate([
+      { $match: query },
+      { $group: { _id: '$action', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]).then(result => result.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {})),
+  };
+
+  res.json({
+    success: true,
+    data: entries,
+    stats,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  });
+});
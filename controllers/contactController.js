@@ -1,350 +1,166 @@
 const Contact = require('../models/contact');
-const nodemailer = require('nodemailer');
-
-// Input sanitization function
-const sanitizeInput = (input) => {
-  if (typeof input !== 'string') return input;
-  
-  return input
-    .trim()
-    .replace(/[<>]/g, '') // Remove < and > to prevent HTML injection
-    .replace(/javascript:/gi, '') // Remove javascript: protocol
-    .replace(/on\w+=/gi, ''); // Remove event handlers
-};
-
-// Email validation function
-const validateEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!email) return { isValid: false, message: 'Email is required' };
-  if (!emailRegex.test(email)) return { isValid: false, message: 'Please enter a valid email address' };
-  if (email.length > 254) return { isValid: false, message: 'Email is too long' };
-  return { isValid: true };
-};
-
-// Phone number validation function
-const validateMobile = (mobile) => {
-  if (!mobile) return { isValid: false, message: 'Mobile number is required' };
-  
-  const phoneStr = String(mobile);
-  const cleanPhone = phoneStr.replace(/\D/g, '');
-  
-  if (cleanPhone.length < 10 || cleanPhone.length > 15) {
-    return { isValid: false, message: 'Mobile number must be between 10-15 digits' };
-  }
-  
-  // Check for suspicious patterns
-  const suspiciousPatterns = [
-    /^0{10,}$/, // All zeros
-    /^1{10,}$/, // All ones
-    /^(.)\1{9,}$/, // Repeated same digit
-  ];
-  
-  if (suspiciousPatterns.some(pattern => pattern.test(cleanPhone))) {
-    return { isValid: false, message: 'Invalid mobile number format' };
-  }
-  
-  return { isValid: true, cleanPhone };
-};
+const { recordAudit } = require('../utils/audit');
+const { publishEvent } = require('../utils/events');
+const { sendMail, ADMIN_ADDRESS } = require('../utils/mailer');
+const { renderEmail } = require('../utils/emailTemplates');
+const { getSpamFields } = require('../utils/spam');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
 
 // @desc Submit contact form
 // @route POST /api/contact/submit
 // @access Public
-exports.submitContactForm = async (req, res) => {
-  try {
-    let { fullName, email, mobile, message } = req.body;
-
-    // Input validation
-    if (!fullName || !email || !mobile || !message) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'All fields are required' 
-      });
-    }
-
-    // Sanitize inputs
-    fullName = sanitizeInput(fullName);
-    email = sanitizeInput(email.toLowerCase());
-    mobile = sanitizeInput(mobile);
-    message = sanitizeInput(message);
+exports.submitContactForm = asyncHandler(async (req, res) => {
+  const { fullName, email, mobile, message } = req.body;
+
+  // Get client info
+  const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+  const userAgent = req.get('User-Agent') || '';
+
+  // Create contact entry
+  const contact = await Contact.create({
+    fullName,
+    email,
+    mobile,
+    message,
+    preferredLanguage: req.locale,
+    ipAddress,
+    userAgent,
+    ...getSpamFields(req),
+  });
 
-    // Validate name
-    if (fullName.length < 2 || fullName.length > 100) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Name must be between 2-100 characters' 
-      });
-    }
+  // Spam waits in the quarantine view without emails or events
+  if (contact.status !== 'spam') {
+    await publishEvent('contact.created', contact);
 
-    // Validate email
-    const emailValidation = validateEmail(email);
-    if (!emailValidation.isValid) {
-      return res.status(400).json({ 
-        success: false,
-        message: emailValidation.message 
-      });
-    }
-
-    // Validate mobile
-    const mobileValidation = validateMobile(mobile);
-    if (!mobileValidation.isValid) {
-      return res.status(400).json({ 
-        success: false,
-        message: mobileValidation.message 
-      });
-    }
-
-    // Validate message
-    if (message.length < 10 || message.length > 1000) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Message must be between 10-1000 characters' 
-      });
+    // Send notification email to admin (optional)
+    try {
+      await sendNotificationEmail(contact);
+    } catch (emailError) {
+      logger.error('Failed to send notification email', { error: emailError });
+      // Don't fail the request if email fails
     }
 
-    // Check for duplicate submissions (same email within last 5 minutes)
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    const existingContact = await Contact.findOne({
-      email,
-      createdAt: { $gte: fiveMinutesAgo }
-    });
-
-    if (existingContact) {
-      return res.status(429).json({ 
-        success: false,
-        message: 'Please wait a few minutes before submitting another message' 
-      });
+    // Send confirmation email to user (optional)
+    try {
+      await sendConfirmationEmail(contact);
+    } catch (emailError) {
+      logger.error('Failed to send confirmation email', { error: emailError });
+      // Don't fail the request if email fails
     }
-
-    // Get client info
-    const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
-    const userAgent = req.get('User-Agent') || '';
-
-    // Create contact entry
-    const contact = await Contact.create({
-      fullName,
-      email,
-      mobile: mobileValidation.cleanPhone,
-      message,
-      ipAddress,
-      userAgent,
-    });
-
-    // Send notification email to admin (optional)
-    // try {
-    //   await sendNotificationEmail(contact);
-    // } catch (emailError) {
-    //   console.error('Failed to send notification email:', emailError);
-    //   // Don't fail the request if email fails
-    // }
-
-    // // Send confirmation email to user (optional)
-    // try {
-    //   await sendConfirmationEmail(contact);
-    // } catch (emailError) {
-    //   console.error('Failed to send confirmation email:', emailError);
-    //   // Don't fail the request if email fails
-    // }
-
-    res.status(201).json({
-      success: true,
-      message: 'Thank you for your message. We will get back to you soon!',
-      data: {
-        id: contact._id,
-        submittedAt: contact.createdAt,
-      },
-    });
-
-  } catch (error) {
-    console.error('Contact form submission error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Internal server error. Please try again later.' 
-    });
   }
-};
+
+  res.status(201).json({
+    success: true,
+    message: 'Thank you for your message. We will get back to you soon!',
+    data: {
+      id: contact._id,
+      submittedAt: contact.createdAt,
+    },
+  });
+});
 
 // @desc Get all contact submissions (Admin only)
 // @route GET /api/contact/all
-// @access Private (Admin)
-exports.getAllContacts = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status, search } = req.query;
-    
-    const query = {};
-    
-    // Filter by status
-    if (status && ['new', 'in-progress', 'resolved'].includes(status)) {
-      query.status = status;
-    }
-    
-    // Search functionality
-    if (search) {
-      query.$or = [
-        { fullName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { message: { $regex: search, $options: 'i' } },
-      ];
-    }
-
-    const contacts = await Contact.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('-userAgent -ipAddress'); // Hide sensitive info
-
-    const total = await Contact.countDocuments(query);
-
-    res.json({
-      success: true,
-      data: contacts,
-      pagination: {
-        current: page,
-        pages: Math.ceil(total / limit),
-        total,
-      },
-    });
-  } catch (error) {
-    console.error('Get contacts error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Internal server error' 
-    });
+// @access Private (contacts:read)
+exports.getAllContacts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, status, search } = req.query;
+  
+  const query = {};
+  
+  // Filter by status
+  if (status) {
+    query.status = status;
+  } else {
+    query.status = { $ne: 'spam' }; // Spam is reviewed in the quarantine view
   }
-};
+  
+  // Search functionality
+  if (search) {
+    query.$or = [
+      { fullName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { message: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const contacts = await Contact.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .select('-userAgent -ipAddress'); // Hide sensitive info
+
+  const total = await Contact.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: contacts,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  });
+});
 
 // @desc Update contact status (Admin only)
 // @route PATCH /api/contact/:id/status
-// @access Private (Admin)
-exports.updateContactStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status } = req.body;
+// @access Private (contacts:update)
+exports.updateContactStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
 
-    if (!['new', 'in-progress', 'resolved'].includes(status)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid status. Must be: new, in-progress, or resolved' 
-      });
-    }
+  const previous = await Contact.findById(id).lean();
 
-    const contact = await Contact.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true, runValidators: true }
-    );
+  const contact = await Contact.findByIdAndUpdate(
+    id,
+    { status },
+    { new: true, runValidators: true }
+  );
 
-    if (!contact) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Contact not found' 
-      });
-    }
-
-    res.json({
-      success: true,
-      message: 'Status updated successfully',
-      data: contact,
-    });
-  } catch (error) {
-    console.error('Update contact status error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Internal server error' 
-    });
+  if (!contact) {
+    throw new NotFoundError('Contact not found');
   }
-};
 
-// Helper function to send notification email to admin
-const sendNotificationEmail = async (contact) => {
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    console.log('Email credentials not configured, skipping admin notification');
-    return;
+  await recordAudit(req, {
+    action: 'contact.update',
+    targetType: 'Contact',
+    targetId: contact._id,
+    before: previous,
+    after: contact,
+  });
+
+  if (previous.status !== contact.status) {
+    await publishEvent('contact.status_changed', contact, { previousStatus: previous.status });
   }
 
-  const transporter = nodemailer.createTransporter({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-    secure: true,
-    tls: {
-      rejectUnauthorized: true
-    }
+  res.json({
+    success: true,
+    message: 'Status updated successfully',
+    data: contact,
   });
+});
 
-  const mailOptions = {
-    from: `"MAD Foundation Website" <${process.env.EMAIL_USER}>`,
-    to: process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
-    subject: 'New Contact Form Submission',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2563eb;">New Contact Form Submission</h2>
-        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <p><strong>Name:</strong> ${contact.fullName}</p>
-          <p><strong>Email:</strong> ${contact.email}</p>
-          <p><strong>Mobile:</strong> ${contact.mobile}</p>
-          <p><strong>Message:</strong></p>
-          <div style="background-color: white; padding: 15px; border-radius: 4px; margin-top: 10px;">
-            ${contact.message}
-          </div>
-          <p style="margin-top: 20px; font-size: 12px; color: #666;">
-            Submitted at: ${contact.createdAt.toLocaleString()}
-          </p>
-        </div>
-      </div>
-    `
-  };
+// Helper function to send notification email to admin
+const sendNotificationEmail = async (contact) => {
+  const email = await renderEmail('contact-admin-notification', getContactEmailData(contact));
 
-  await transporter.sendMail(mailOptions);
+  await sendMail({ to: ADMIN_ADDRESS, ...email });
 };
 
 // Helper function to send confirmation email to user
 const sendConfirmationEmail = async (contact) => {
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    console.log('Email credentials not configured, skipping user confirmation');
-    return;
-  }
-
-  const transporter = nodemailer.createTransporter({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-    secure: true,
-    tls: {
-      rejectUnauthorized: true
-    }
-  });
+  const email = await renderEmail('contact-confirmation', getContactEmailData(contact), contact.preferredLanguage);
 
-  const mailOptions = {
-    from: `"MAD Foundation" <${process.env.EMAIL_USER}>`,
-    to: contact.email,
-    subject: 'Thank you for contacting MAD Foundation',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2563eb;">Thank you for reaching out!</h2>
-        <p>Dear ${contact.fullName},</p>
-        <p>Thank you for your message. We have received your inquiry and our team will get back to you within 24-48 hours.</p>
-        
-        <div style="background-color: #f8fafc; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="margin-top: 0; color: #1f2937;">Your Message:</h3>
-          <p style="color: #4b5563;">${contact.message}</p>
-        </div>
-        
-        <p>In the meantime, feel free to explore our website to learn more about our work and impact.</p>
-        
-        <p>Best regards,<br>
-        The MAD Foundation Team</p>
-        
-        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e5e7eb;">
-        <p style="font-size: 12px; color: #6b7280;">
-          This is an automated confirmation email. Please do not reply to this email.
-        </p>
-      </div>
-    `
-  };
+  await sendMail({ to: contact.email, ...email });
+};
 
-  await transporter.sendMail(mailOptions);
-};
\ No newline at end of file
+// Helper function to build the template variables for contact emails
+const getContactEmailData = (contact) => ({
+  fullName: contact.fullName,
+  email: contact.email,
+  mobile: contact.mobile,
+  message: contact.message,
+  createdAt: contact.createdAt.toLocaleString(),
+});
\ No newline at end of file
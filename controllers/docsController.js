@@ -0,0 +1,38 @@
+const { buildOpenApiSpec } = require('../utils/openapi');
+const { asyncHandler } = require('../utils/asyncHandler');
+
+// Routes do not change while the server runs, so the document is built once
+let spec = null;
+
+// @desc Get the OpenAPI 3 document for every /api route
+// @route GET /api/docs/openapi.json
+// @access Public
+exports.getOpenApiSpec = asyncHandler(async (req, res) => {
+  if (!spec) {
+    spec = buildOpenApiSpec(req.app.locals.apiRoutes);
+  }
+
+  res.json(spec);
+});
+
+// @desc Browse the API documentation (Swagger UI, served from swagger-ui-dist so
+// no third-party script runs next to the tokens entered in it)
+// @route GET /api/docs
+// @access Public
+exports.getDocsPage = asyncHandler(async (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>MAD Foundation API</title>
+  <link rel="stylesheet" href="${req.baseUrl}/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${req.baseUrl}/assets/swagger-ui-bundle.js"></script>
+  <script>
+    SwaggerUIBundle({ url: '${req.baseUrl}/openapi.json', dom_id: '#docs' });
+  </script>
+</body>
+</html>`);
+});
@@ -0,0 +1,107 @@
+const EmailJob = require('../models/emailJob');
+const { resendEmail: queueResend } = require('../utils/emailQueue');
+const { recordAudit } = require('../utils/audit');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// @desc Get the outbound email log
+// @route GET /api/admin/emails
+// @access Private (emails:read)
+exports.getEmails = asyncHandler(async (req, res) => {
+  const { page, limit, status, to, category, relatedId } = req.query;
+
+  const query = {};
+
+  // Filter by delivery status
+  if (status) {
+    query.status = status;
+  }
+
+  if (to) {
+    query.to = to;
+  }
+
+  if (category) {
+    query.category = category;
+  }
+
+  if (relatedId) {
+    query['related.id'] = relatedId;
+  }
+
+  const emails = await EmailJob.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .select('-html -text'); // Bodies are only returned for a single email
+
+  const total = await EmailJob.countDocuments(query);
+
+  const stats = {
+    total: await EmailJob.countDocuments(),
+    byStatus: await EmailJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).then(result => result.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {})),
+  };
+
+  res.json({
+    success: true,
+    data: emails,
+    stats,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  });
+});
+
+// @desc Get a single email including its body and delivery attempts
+// @route GET /api/admin/emails/:id
+// @access Private (emails:read)
+exports.getEmail = asyncHandler(async (req, res) => {
+  const email = await EmailJob.findById(req.params.id)
+    .populate('requestedBy', 'name email');
+
+  if (!email) {
+    throw new NotFoundError('Email not found');
+  }
+
+  res.json({
+    success: true,
+    data: email,
+  });
+});
+
+// @desc Queue a fresh copy of an email
+// @route POST /api/admin/emails/:id/resend
+// @access Private (emails:update)
+exports.resendEmail = asyncHandler(async (req, res) => {
+  const email = await EmailJob.findById(req.params.id);
+
+  if (!email) {
+    throw new NotFoundError('Email not found');
+  }
+
+  if (['queued', 'sending', 'retrying'].includes(email.status)) {
+    throw new ConflictError('This email is still being delivered');
+  }
+
+  const job = await queueResend(email, req.user._id);
+
+  await recordAudit(req, {
+    action: 'email.resend',
+    targetType: 'EmailJob',
+    targetId: email._id,
+    metadata: { to: email.to, category: email.category, newJob: job._id },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Email queued for delivery',
+    data: { _id: job._id, status: job.status },
+  });
+});
@@ -0,0 +1,312 @@
+const EmailTemplate = require('../models/emailTemplate');
+const { recordAudit } = require('../utils/audit');
+const { renderContent, getGlobalData, getDefaultTemplate } = require('../utils/emailTemplates');
+const { compile, extractVariables } = require('../utils/templateRenderer');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { BadRequestError, ConflictError, NotFoundError, conflictOnDuplicate } = require('../utils/errors');
+const { DEFAULT_LOCALE } = require('../utils/i18n');
+
+// @desc Get all email templates, optionally only those in one locale
+// @route GET /api/admin/email-templates
+// @access Private (templates:read)
+exports.getTemplates = asyncHandler(async (req, res) => {
+  const filter = req.query.locale ? { locale: req.query.locale } : {};
+
+  const templates = await EmailTemplate.find(filter)
+    .sort({ name: 1, locale: 1 })
+    .select('-versions -html -text -sampleData');
+
+  const stats = {
+    total: templates.length,
+    edited: templates.filter(template => template.version > 1).length,
+    translations: templates.filter(template => template.locale !== DEFAULT_LOCALE).length,
+  };
+
+  res.json({
+    success: true,
+    data: templates,
+    stats,
+  });
+});
+
+// @desc Get a single email template with its version history
+// @route GET /api/admin/email-templates/:name
+// @access Private (templates:read)
+exports.getTemplate = asyncHandler(async (req, res) => {
+  const template = await EmailTemplate.findOne({ name: req.params.name, locale: req.query.locale }).lean();
+
+  if (!template) {
+    throw new NotFoundError('Email template not found');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...template,
+      variables: getTemplateVariables(template),
+      // History without the bodies; fetch a version to see its content
+      versions: template.versions
+        .map(({ version, note, changedBy, rolledBackFrom, createdAt }) => ({ version, note, changedBy, rolledBackFrom, createdAt }))
+        .reverse(),
+    },
+  });
+});
+
+// @desc Get the content of one version of an email template
+// @route GET /api/admin/email-templates/:name/versions/:version
+// @access Private (templates:read)
+exports.getTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await EmailTemplate.findOne({ name: req.params.name, locale: req.query.locale }).lean();
+  const version = template && template.versions.find(item => item.version === req.params.version);
+
+  if (!version) {
+    throw new NotFoundError('Template version not found');
+  }
+
+  res.json({
+    success: true,
+    data: version,
+  });
+});
+
+// @desc Save new content for an email template as the next version.
+// Saving a locale the template has not been translated to yet adds the translation.
+// @route PUT /api/admin/email-templates/:name
+// @access Private (templates:update)
+exports.updateTemplate = asyncHandler(async (req, res) => {
+  const { subject, html, text, note, sampleData, baseVersion } = req.body;
+
+  const errors = getSyntaxErrors({ subject, html, text });
+  if (errors.length > 0) {
+    throw new BadRequestError('Template has syntax errors', { code: 'TEMPLATE_SYNTAX_ERROR', errors });
+  }
+
+  const { locale } = req.query;
+  const template = await EmailTemplate.findOne({ name: req.params.name, locale });
+
+  if (!template) {
+    if (locale === DEFAULT_LOCALE) {
+      throw new NotFoundError('Email template not found');
+    }
+    return addTranslation(req, res);
+  }
+
+  // Stop two admins from silently overwriting each other's edits
+  if (baseVersion !== undefined && baseVersion !== template.version) {
+    throw new ConflictError(`Template was changed by someone else (now version ${template.version})`, { code: 'VERSION_CONFLICT' });
+  }
+
+  const unchanged = subject === template.subject && html === template.html && text === template.text;
+
+  if (unchanged && sampleData === undefined) {
+    throw new BadRequestError('No changes to save');
+  }
+
+  const previousVersion = template.version;
+
+  if (!unchanged) {
+    template.addVersion({
+      subject,
+      html,
+      text,
+      note,
+      changedBy: req.user.email,
+    });
+  }
+
+  if (sampleData !== undefined) {
+    template.sampleData = sampleData;
+    template.markModified('sampleData');
+  }
+
+  await template.save();
+
+  await recordAudit(req, {
+    action: 'email-template.update',
+    targetType: 'EmailTemplate',
+    targetId: template.name,
+    metadata: { locale, fromVersion: previousVersion, toVersion: template.version, note },
+  });
+
+  res.json({
+    success: true,
+    message: unchanged ? 'Sample data updated' : `Template saved as version ${template.version}`,
+    data: {
+      name: template.name,
+      locale: template.locale,
+      version: template.version,
+      variables: getTemplateVariables(template),
+      unknownVariables: getUnknownVariables(template, template.sampleData),
+    },
+  });
+});
+
+// @desc Render an email template, or unsaved changes to it, with sample data
+// @route POST /api/admin/email-templates/:name/preview
+// @access Private (templates:read)
+exports.previewTemplate = asyncHandler(async (req, res) => {
+  const { subject, html, text, data } = req.body;
+
+  const template = await EmailTemplate.findOne({ name: req.params.name, locale: req.query.locale }).lean();
+
+  if (!template) {
+    throw new NotFoundError('Email template not found');
+  }
+
+  // Fields left out of the request are taken from the saved template
+  const content = {
+    name: template.name,
+    subject: subject !== undefined ? subject : template.subject,
+    html: html !== undefined ? html : template.html,
+    text: text !== undefined ? text : template.text,
+  };
+
+  const errors = getSyntaxErrors(content);
+  if (errors.length > 0) {
+    throw new BadRequestError('Template has syntax errors', { code: 'TEMPLATE_SYNTAX_ERROR', errors });
+  }
+
+  const previewData = {
+    ...template.sampleData,
+    ...data,
+  };
+
+  res.json({
+    success: true,
+    data: {
+      ...renderContent(content, previewData),
+      unknownVariables: getUnknownVariables(content, previewData),
+    },
+  });
+});
+
+// @desc Restore an earlier version of an email template as a new version
+// @route POST /api/admin/email-templates/:name/rollback
+// @access Private (templates:update)
+exports.rollbackTemplate = asyncHandler(async (req, res) => {
+  const { version, note } = req.body;
+
+  const template = await EmailTemplate.findOne({ name: req.params.name, locale: req.query.locale });
+
+  if (!template) {
+    throw new NotFoundError('Email template not found');
+  }
+
+  const target = template.versions.find(item => item.version === version);
+
+  if (!target) {
+    throw new NotFoundError('Template version not found');
+  }
+
+  if (target.version === template.version) {
+    throw new BadRequestError('That version is already current');
+  }
+
+  const previousVersion = template.version;
+
+  template.addVersion({
+    subject: target.subject,
+    html: target.html,
+    text: target.text,
+    note: note || `Rolled back to version ${target.version}`,
+    changedBy: req.user.email,
+    rolledBackFrom: target.version,
+  });
+
+  await template.save();
+
+  await recordAudit(req, {
+    action: 'email-template.rollback',
+    targetType: 'EmailTemplate',
+    targetId: template.name,
+    metadata: { locale: template.locale, fromVersion: previousVersion, toVersion: template.version, restoredVersion: target.version },
+  });
+
+  res.json({
+    success: true,
+    message: `Version ${target.version} restored as version ${template.version}`,
+    data: {
+      name: template.name,
+      locale: template.locale,
+      version: template.version,
+    },
+  });
+});
+
+// Helper function to save the first version of a template in another locale,
+// taking the description and sample data from the English template
+const addTranslation = async (req, res) => {
+  const { subject, html, text, note, sampleData } = req.body;
+  const { locale } = req.query;
+
+  const original = await EmailTemplate.findOne({ name: req.params.name, locale: DEFAULT_LOCALE }).lean();
+
+  if (!original) {
+    throw new NotFoundError('Email template not found');
+  }
+
+  const template = await EmailTemplate.create({
+    name: original.name,
+    locale,
+    description: original.description,
+    subject,
+    html,
+    text,
+    sampleData: sampleData !== undefined ? sampleData : original.sampleData,
+    updatedBy: req.user.email,
+    versions: [{
+      version: 1,
+      subject,
+      html,
+      text,
+      note: note || 'Translation added',
+      changedBy: req.user.email,
+    }],
+  }).catch(conflictOnDuplicate('Template was changed by someone else', { code: 'VERSION_CONFLICT' }));
+
+  await recordAudit(req, {
+    action: 'email-template.translate',
+    targetType: 'EmailTemplate',
+    targetId: template.name,
+    metadata: { locale, toVersion: template.version, note },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Translation saved as version ${template.version}`,
+    data: {
+      name: template.name,
+      locale: template.locale,
+      version: template.version,
+      variables: getTemplateVariables(template),
+      unknownVariables: getUnknownVariables(template, template.sampleData),
+    },
+  });
+};
+
+// Helper function to collect syntax errors for each part of a template
+const getSyntaxErrors = (content) => ['subject', 'html', 'text'].reduce((errors, field) => {
+  try {
+    compile(content[field] || '');
+  } catch (error) {
+    errors.push({ field, message: error.message });
+  }
+  return errors;
+}, []);
+
+// Helper function to list the variables a template uses
+const getTemplateVariables = (content) => [...new Set([
+  ...extractVariables(content.subject),
+  ...extractVariables(content.html),
+  ...extractVariables(content.text),
+])].sort();
+
+// Helper function to find variables the sender will not fill in, usually typos
+const getUnknownVariables = (content, sampleData) => {
+  const known = new Set([
+    ...Object.keys(getGlobalData()),
+    ...Object.keys(sampleData || {}),
+    ...Object.keys((getDefaultTemplate(content.name) || {}).sampleData || {}),
+  ]);
+  return getTemplateVariables(content).filter(variable => !known.has(variable.split('.')[0]));
+};
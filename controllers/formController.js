@@ -0,0 +1,25 @@
+const { HONEYPOT_FIELD, SPAM_SETTINGS } = require('../config/spam');
+const { issueFormToken } = require('../utils/formTokens');
+const { getCaptchaConfig } = require('../utils/captcha');
+const { asyncHandler } = require('../utils/asyncHandler');
+
+// @desc Get a signed form token to send back with a public form, plus the
+// honeypot field to render hidden and the CAPTCHA widget settings (if enabled)
+// @route GET /api/forms/token
+// @access Public
+exports.getFormToken = asyncHandler(async (req, res) => {
+  const { form } = req.query;
+  const { token, expiresAt } = issueFormToken(form);
+
+  res.json({
+    success: true,
+    data: {
+      form,
+      token,
+      expiresAt,
+      minSeconds: SPAM_SETTINGS.tokenMinSeconds,
+      honeypotField: HONEYPOT_FIELD,
+      captcha: getCaptchaConfig(),
+    },
+  });
+});
@@ -0,0 +1,41 @@
+const { getDbState } = require('../config/db');
+const { checkTransport } = require('../utils/mailer');
+const { isShuttingDown } = require('../utils/shutdown');
+const { asyncHandler } = require('../utils/asyncHandler');
+
+// @desc Liveness: the process is up and serving requests. Dependencies are left
+// to /readyz, so a slow database or mail server cannot get a healthy process restarted.
+// @route GET /healthz
+// @access Public
+exports.getHealth = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      uptimeSeconds: Math.round(process.uptime()),
+      shuttingDown: isShuttingDown(),
+    },
+  });
+});
+
+// @desc Readiness: MongoDB is connected and the server is not shutting down.
+// Mail problems are reported but do not make it unready, as the email queue retries.
+// @route GET /readyz
+// @access Public
+exports.getReadiness = asyncHandler(async (req, res) => {
+  const status = await getStatus();
+  const ready = status.database === 'connected' && !status.shuttingDown;
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    message: ready ? 'Ready' : 'Not ready',
+    data: status,
+  });
+});
+
+// Helper function to collect the state of the server's dependencies
+const getStatus = async () => ({
+  uptimeSeconds: Math.round(process.uptime()),
+  shuttingDown: isShuttingDown(),
+  database: getDbState(),
+  mail: await checkTransport(),
+});
@@ -0,0 +1,99 @@
+const {
+  INBOX_TYPES,
+  getReadableTypes,
+  parseSearchTerm,
+  getSearchQuery,
+  getItemFields,
+  toInboxItem,
+} = require('../utils/inbox');
+const { FEED_MAX_PAGE, getMergedPage } = require('../utils/feeds');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { ForbiddenError } = require('../utils/errors');
+
+// Most records returned per type by a search
+const SEARCH_LIMIT_PER_TYPE = 50;
+
+// @desc Get new submissions from every collection the user can read as one feed,
+// newest first. Spam stays in the quarantine view unless asked for by status.
+// @route GET /api/admin/inbox
+// @access Private (read permission for any submission type)
+exports.getInbox = asyncHandler(async (req, res) => {
+  const { page, limit, type, status, since } = req.query;
+
+  const types = getReadableTypes(req.permissions).filter(name => !type || name === type);
+  if (type && types.length === 0) {
+    throw new ForbiddenError('Access denied. You do not have permission to view these submissions.');
+  }
+
+  const { items, total, byName } = await getMergedPage(types.map((name) => {
+    const { model, statusField } = INBOX_TYPES[name];
+    const query = { [statusField]: status || { $ne: 'spam' } };
+    if (since) {
+      query.createdAt = { $gte: since };
+    }
+    return { name, model, query, select: getItemFields(name) };
+  }), { page, limit });
+
+  const now = Date.now();
+  res.json({
+    success: true,
+    data: items.map(({ name, doc }) => toInboxItem(name, doc, now)),
+    stats: { byType: byName },
+    pagination: {
+      current: page,
+      pages: Math.min(Math.ceil(total / limit), FEED_MAX_PAGE),
+      total,
+    },
+  });
+});
+
+// @desc Find every record of one person across the collections the user can
+// read, by email address, mobile number or reference number. Spam is included.
+// @route GET /api/admin/inbox/search
+// @access Private (read permission for any submission type)
+exports.searchInbox = asyncHandler(async (req, res) => {
+  // The validator made sure the term is one of the three
+  const criteria = parseSearchTerm(req.query.q);
+
+  const results = await Promise.all(getReadableTypes(req.permissions).map(async (name) => {
+    const query = getSearchQuery(name, criteria);
+    if (!query) {
+      return { name, total: 0, docs: [] };
+    }
+
+    const { model } = INBOX_TYPES[name];
+    const [docs, total] = await Promise.all([
+      model.find(query)
+        .sort({ createdAt: -1 })
+        .limit(SEARCH_LIMIT_PER_TYPE)
+        .select(getItemFields(name))
+        .lean(),
+      model.countDocuments(query),
+    ]);
+    return { name, total, docs };
+  }));
+
+  res.json({
+    success: true,
+    data: mergeNewestFirst(results),
+    stats: {
+      searchedBy: criteria.by,
+      total: results.reduce((sum, result) => sum + result.total, 0),
+      byType: countByType(results),
+    },
+  });
+});
+
+// Helper function to turn each type's records into inbox items, newest first
+const mergeNewestFirst = (results) => {
+  const now = Date.now();
+  return results
+    .flatMap(({ name, docs }) => docs.map(doc => toInboxItem(name, doc, now)))
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Helper function to map each type to its number of matching records
+const countByType = results => results.reduce((counts, result) => {
+  counts[result.name] = result.total;
+  return counts;
+}, {});
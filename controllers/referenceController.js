@@ -0,0 +1,58 @@
+const Collaboration = require('../models/collaboration');
+const ContactUs = require('../models/contactUs');
+const Donation = require('../models/donation');
+const EventRegistration = require('../models/eventRegistration');
+const Intern = require('../models/intern');
+const MediaSubmission = require('../models/mediaSubmission');
+const NewsSubmission = require('../models/newsSubmission');
+const Volunteer = require('../models/volunteer');
+const { parseReference } = require('../utils/references');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+// Where each reference prefix is stored
+const REFERENCE_TYPES = {
+  COLLAB: { type: 'collaboration', model: Collaboration, field: 'collaborationReference' },
+  DON: { type: 'donation', model: Donation, field: 'donationReference' },
+  INT: { type: 'internship', model: Intern, field: 'internReference' },
+  MED: { type: 'media-submission', model: MediaSubmission, field: 'submissionReference' },
+  NEWS: { type: 'news-submission', model: NewsSubmission, field: 'submissionReference' },
+  REG: { type: 'event-registration', model: EventRegistration, field: 'registrationReference', statusField: 'registrationStatus' },
+  TICKET: { type: 'contact-us', model: ContactUs, field: 'ticketReference' },
+  VOL: { type: 'volunteer', model: Volunteer, field: 'volunteerReference' },
+};
+
+// @desc Look up the status of a submission by its reference number. The email
+// it was submitted with is required, as sequential numbers are easy to guess.
+// @route GET /api/references/:reference
+// @access Public
+exports.lookupReference = asyncHandler(async (req, res) => {
+  // The format and check digit were verified by the validator
+  const { reference, prefix } = parseReference(req.params.reference);
+  const { type, model, field, statusField = 'status' } = REFERENCE_TYPES[prefix];
+
+  const submission = await model.findOne({ [field]: reference, email: req.query.email })
+    .select(`${statusField} createdAt updatedAt`)
+    .lean();
+
+  // The same answer for an unknown reference and a wrong email
+  if (!submission) {
+    throw new NotFoundError('No submission found for this reference and email');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      reference,
+      type,
+      status: getPublicStatus(model, statusField, submission[statusField]),
+      submittedAt: submission.createdAt,
+      updatedAt: submission.updatedAt,
+    },
+  });
+});
+
+// Helper function to hide quarantine from submitters: spam shows as newly received
+const getPublicStatus = (model, statusField, status) => (
+  status === 'spam' ? model.schema.path(statusField).defaultValue : status
+);
@@ -0,0 +1,152 @@
+const Role = require('../models/role');
+const User = require('../models/user');
+const { PERMISSIONS } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+
+// @desc Get all roles with their member counts
+// @route GET /api/admin/roles
+// @access Private (roles:manage)
+exports.getAllRoles = asyncHandler(async (req, res) => {
+  const roles = await Role.find().sort({ system: -1, name: 1 });
+
+  const counts = await User.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+  const countByRole = counts.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {});
+
+  res.json({
+    success: true,
+    data: roles.map(role => ({
+      ...role.toObject(),
+      userCount: countByRole[role.name] || 0,
+    })),
+  });
+});
+
+// @desc Get every permission that can be granted
+// @route GET /api/admin/roles/permissions
+// @access Private (roles:manage)
+exports.getPermissions = async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+};
+
+// @desc Create a role
+// @route POST /api/admin/roles
+// @access Private (roles:manage)
+exports.createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions = [], requireTwoFactor } = req.body;
+
+  const existingRole = await Role.findOne({ name });
+  if (existingRole) {
+    throw new ConflictError('A role with this name already exists');
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions,
+    requireTwoFactor,
+  });
+
+  await recordAudit(req, {
+    action: 'role.create',
+    targetType: 'Role',
+    targetId: role.name,
+    before: null,
+    after: role,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: role,
+  });
+});
+
+// @desc Update a role's description, permissions or 2FA requirement
+// @route PATCH /api/admin/roles/:name
+// @access Private (roles:manage)
+exports.updateRole = asyncHandler(async (req, res) => {
+  const { description, permissions, requireTwoFactor } = req.body;
+
+  const role = await Role.findOne({ name: req.params.name });
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+  const previous = role.toObject();
+
+  if (description !== undefined) {
+    role.description = description;
+  }
+
+  if (permissions !== undefined) {
+    // Admin must always keep full access, otherwise nobody could manage roles
+    if (role.name === 'admin') {
+      throw new BadRequestError('Permissions of the admin role cannot be changed');
+    }
+
+    role.permissions = permissions;
+  }
+
+  if (requireTwoFactor !== undefined) {
+    role.requireTwoFactor = requireTwoFactor;
+  }
+
+  await role.save();
+
+  await recordAudit(req, {
+    action: 'role.update',
+    targetType: 'Role',
+    targetId: role.name,
+    before: previous,
+    after: role,
+  });
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: role,
+  });
+});
+
+// @desc Delete a role that no user holds
+// @route DELETE /api/admin/roles/:name
+// @access Private (roles:manage)
+exports.deleteRole = asyncHandler(async (req, res) => {
+  const role = await Role.findOne({ name: req.params.name });
+  if (!role) {
+    throw new NotFoundError('Role not found');
+  }
+
+  if (role.system) {
+    throw new BadRequestError('System roles cannot be deleted');
+  }
+
+  const members = await User.countDocuments({ role: role.name });
+  if (members > 0) {
+    throw new ConflictError(`This role is assigned to ${members} user(s). Reassign them before deleting it.`);
+  }
+
+  await role.deleteOne();
+
+  await recordAudit(req, {
+    action: 'role.delete',
+    targetType: 'Role',
+    targetId: role.name,
+    before: role,
+    after: null,
+  });
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully',
+  });
+});
@@ -0,0 +1,222 @@
+const LoginAttempt = require('../models/loginAttempt');
+const SecurityEvent = require('../models/securityEvent');
+const RateLimit = require('../models/rateLimit');
+const { clearLockout: clearLoginLockout } = require('../utils/loginThrottle');
+const { clearRateLimit: clearRateLimitCounter } = require('../utils/rateLimiter');
+const { RATE_LIMIT_POLICIES, getRateLimitRules } = require('../config/rateLimits');
+const { recordAudit } = require('../utils/audit');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { NotFoundError } = require('../utils/errors');
+
+// @desc Get login lockouts and failed-attempt counters
+// @route GET /api/admin/security/lockouts
+// @access Private (security:read)
+exports.getLockouts = asyncHandler(async (req, res) => {
+  const { page, limit, scope, active } = req.query;
+
+  const query = {};
+
+  // Filter by scope
+  if (scope) {
+    query.scope = scope;
+  }
+
+  // Only currently locked entries unless active=false
+  if (active) {
+    query.lockedUntil = { $gt: new Date() };
+  }
+
+  const lockouts = await LoginAttempt.find(query)
+    .sort({ lastFailedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .select('-unlockToken -unlockTokenExpire'); // Never expose unlock tokens
+
+  const total = await LoginAttempt.countDocuments(query);
+
+  const now = new Date();
+  const stats = {
+    lockedAccounts: await LoginAttempt.countDocuments({ scope: 'account', lockedUntil: { $gt: now } }),
+    lockedIps: await LoginAttempt.countDocuments({ scope: 'ip', lockedUntil: { $gt: now } }),
+  };
+
+  res.json({
+    success: true,
+    data: lockouts,
+    stats,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  });
+});
+
+// @desc Clear a lockout and its failure counter
+// @route DELETE /api/admin/security/lockouts/:id
+// @access Private (security:update)
+exports.clearLockout = asyncHandler(async (req, res) => {
+  const attempt = await clearLoginLockout(req.params.id, req.user);
+
+  if (!attempt) {
+    throw new NotFoundError('Lockout not found');
+  }
+
+  await recordAudit(req, {
+    action: 'lockout.clear',
+    targetType: 'LoginAttempt',
+    targetId: attempt._id,
+    before: attempt,
+    after: null,
+  });
+
+  res.json({
+    success: true,
+    message: 'Lockout cleared successfully',
+  });
+});
+
+// @desc Get recorded security events (lockouts, unlocks)
+// @route GET /api/admin/security/events
+// @access Private (security:read)
+exports.getSecurityEvents = asyncHandler(async (req, res) => {
+  const { page, limit, type, email, ipAddress, staffOnly, since } = req.query;
+
+  const query = {};
+
+  // Filter by event type
+  if (type) {
+    query.type = type;
+  }
+
+  if (email) {
+    query.email = email;
+  }
+
+  if (ipAddress) {
+    query.ipAddress = ipAddress;
+  }
+
+  // Lockouts against staff accounts are the ones worth watching for credential stuffing
+  if (staffOnly) {
+    query.staffAccount = true;
+  }
+
+  if (since) {
+    query.createdAt = { $gte: since };
+  }
+
+  const events = await SecurityEvent.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .populate('user', 'name email role')
+    .populate('performedBy', 'name email');
+
+  const total = await SecurityEvent.countDocuments(query);
+
+  // Which IPs locked the most accounts in the last 24 hours
+  const topIps = await SecurityEvent.aggregate([
+    { $match: { type: 'account-locked', createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } } },
+    { $group: { _id: '$ipAddress', lockouts: { $sum: 1 }, accounts: { $addToSet: '$email' }, staffAccounts: { $sum: { $cond: ['$staffAccount', 1, 0] } } } },
+    { $project: { _id: 0, ipAddress: '$_id', lockouts: 1, staffAccounts: 1, accounts: { $size: '$accounts' } } },
+    { $sort: { lockouts: -1 } },
+    { $limit: 10 },
+  ]);
+
+  res.json({
+    success: true,
+    data: events,
+    stats: { topIps },
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  });
+});
+
+// @desc Get rate-limit counters, by default the clients that are being throttled
+// @route GET /api/admin/security/rate-limits
+// @access Private (security:read)
+exports.getRateLimits = asyncHandler(async (req, res) => {
+  const { page, limit, policy, scope, key, throttled } = req.query;
+  const now = new Date();
+
+  const query = {};
+
+  if (policy) {
+    query.policy = policy;
+  }
+
+  if (scope) {
+    query.scope = scope;
+  }
+
+  if (key) {
+    query.key = key;
+  }
+
+  // Over the limit in a window that is still running
+  if (throttled) {
+    query.blocked = { $gt: 0 };
+    query.resetAt = { $gt: now };
+  }
+
+  const counters = await RateLimit.find(query)
+    .sort({ lastBlockedAt: -1, updatedAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await RateLimit.countDocuments(query);
+
+  // Which policies rejected the most requests in the last 24 hours
+  const byPolicy = await RateLimit.aggregate([
+    { $match: { lastBlockedAt: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) } } },
+    { $group: { _id: '$policy', clients: { $sum: 1 }, blocked: { $sum: '$blocked' } } },
+    { $project: { _id: 0, policy: '$_id', clients: 1, blocked: 1 } },
+    { $sort: { blocked: -1 } },
+  ]);
+
+  res.json({
+    success: true,
+    data: counters.map(counter => ({
+      ...counter.toObject(),
+      throttled: counter.blocked > 0 && counter.resetAt > now,
+    })),
+    stats: {
+      throttledNow: await RateLimit.countDocuments({ blocked: { $gt: 0 }, resetAt: { $gt: now } }),
+      byPolicy,
+    },
+    policies: Object.keys(RATE_LIMIT_POLICIES).map(name => ({ name, rules: getRateLimitRules(name) })),
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  });
+});
+
+// @desc Reset a client's rate-limit counter
+// @route DELETE /api/admin/security/rate-limits/:id
+// @access Private (security:update)
+exports.clearRateLimit = asyncHandler(async (req, res) => {
+  const counter = await clearRateLimitCounter(req.params.id);
+
+  if (!counter) {
+    throw new NotFoundError('Rate limit counter not found');
+  }
+
+  await recordAudit(req, {
+    action: 'rate-limit.clear',
+    targetType: 'RateLimit',
+    targetId: counter._id,
+    before: counter,
+    after: null,
+  });
+
+  res.json({
+    success: true,
+    message: 'Rate limit cleared successfully',
+  });
+});
@@ -0,0 +1,212 @@
+const { SPAM_FORMS } = require('../utils/spam');
+const { hasPermission } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const { FEED_MAX_PAGE, getMergedPage } = require('../utils/feeds');
+const { publishEvent } = require('../utils/events');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// @desc Get quarantined spam from the forms the user can read
+// @route GET /api/admin/spam
+// @access Private (spam:read)
+exports.getSpamSubmissions = asyncHandler(async (req, res) => {
+  const { page, limit, form, search } = req.query;
+
+  const forms = getAllowedForms(req, 'read').filter(name => !form || name === form);
+  if (form && forms.length === 0) {
+    throw new ForbiddenError('Access denied. You do not have permission to view these submissions.');
+  }
+
+  const query = {};
+
+  if (search) {
+    query.$or = [
+      { fullName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+    ];
+  }
+
+  const { items, total, byName } = await getMergedPage(forms.map((name) => {
+    const { model, statusField } = SPAM_FORMS[name];
+    return { name, model, query: { ...query, [statusField]: 'spam' }, select: '-userAgent' };
+  }), { page, limit });
+
+  res.json({
+    success: true,
+    data: items.map(({ name, doc }) => ({ form: name, ...doc })),
+    stats: { byForm: byName },
+    pagination: {
+      current: page,
+      pages: Math.min(Math.ceil(total / limit), FEED_MAX_PAGE),
+      total,
+    },
+  });
+});
+
+// @desc Release a submission from quarantine back to its form's first status.
+// Emails that were held back when it was quarantined are not sent; the
+// "created" event is, as webhooks and the admin stream have not seen it yet.
+// @route PATCH /api/admin/spam/:form/:id/release
+// @access Private (spam:update)
+exports.releaseSpam = asyncHandler(async (req, res) => {
+  const { form, id } = req.params;
+
+  if (!canUpdate(req, form)) {
+    throw new ForbiddenError('Access denied. You do not have permission to update these submissions.');
+  }
+
+  const { model, statusField, webhookPrefix } = SPAM_FORMS[form];
+  const releasedStatus = model.schema.path(statusField).defaultValue;
+
+  const previous = await model.findOne({ _id: id, [statusField]: 'spam' }).lean();
+  if (!previous) {
+    throw new NotFoundError('Spam submission not found');
+  }
+
+  const submission = await model.findByIdAndUpdate(
+    id,
+    { [statusField]: releasedStatus },
+    { new: true, runValidators: true }
+  );
+
+  await recordAudit(req, {
+    action: 'spam.release',
+    targetType: model.modelName,
+    targetId: submission._id,
+    before: previous,
+    after: submission,
+    metadata: { form },
+  });
+
+  await publishEvent(`${webhookPrefix}.created`, submission);
+
+  res.json({
+    success: true,
+    message: 'Submission released from quarantine',
+    data: submission,
+  });
+});
+
+// @desc Move a submission that got through into quarantine
+// @route PATCH /api/admin/spam/:form/:id/mark
+// @access Private (spam:update)
+exports.markAsSpam = asyncHandler(async (req, res) => {
+  const { form, id } = req.params;
+  const { reason } = req.body;
+
+  if (!canUpdate(req, form)) {
+    throw new ForbiddenError('Access denied. You do not have permission to update these submissions.');
+  }
+
+  const { model, statusField } = SPAM_FORMS[form];
+
+  const previous = await model.findById(id).lean();
+  if (!previous) {
+    throw new NotFoundError('Submission not found');
+  }
+
+  if (previous[statusField] === 'spam') {
+    throw new ConflictError('Submission is already marked as spam');
+  }
+
+  const submission = await model.findByIdAndUpdate(
+    id,
+    {
+      [statusField]: 'spam',
+      $push: { spamReasons: reason ? `Marked by staff: ${reason}` : 'Marked by staff' },
+    },
+    { new: true, runValidators: true }
+  );
+
+  await recordAudit(req, {
+    action: 'spam.mark',
+    targetType: model.modelName,
+    targetId: submission._id,
+    before: previous,
+    after: submission,
+    metadata: { form },
+  });
+
+  res.json({
+    success: true,
+    message: 'Submission marked as spam',
+    data: submission,
+  });
+});
+
+// @desc Delete a quarantined submission
+// @route DELETE /api/admin/spam/:form/:id
+// @access Private (spam:update)
+exports.deleteSpam = asyncHandler(async (req, res) => {
+  const { form, id } = req.params;
+
+  if (!canUpdate(req, form)) {
+    throw new ForbiddenError('Access denied. You do not have permission to update these submissions.');
+  }
+
+  const { model, statusField } = SPAM_FORMS[form];
+
+  const submission = await model.findOneAndDelete({ _id: id, [statusField]: 'spam' });
+  if (!submission) {
+    throw new NotFoundError('Spam submission not found');
+  }
+
+  await recordAudit(req, {
+    action: 'spam.delete',
+    targetType: model.modelName,
+    targetId: submission._id,
+    before: submission,
+    after: null,
+    metadata: { form },
+  });
+
+  res.json({
+    success: true,
+    message: 'Spam submission deleted',
+  });
+});
+
+// @desc Delete quarantined submissions older than a number of days
+// @route DELETE /api/admin/spam
+// @access Private (spam:update)
+exports.purgeSpam = asyncHandler(async (req, res) => {
+  const { form, olderThanDays } = req.query;
+
+  const forms = getAllowedForms(req, 'update').filter(name => !form || name === form);
+  if (forms.length === 0) {
+    throw new ForbiddenError('Access denied. You do not have permission to update these submissions.');
+  }
+
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+
+  const deleted = {};
+  for (const name of forms) {
+    const { model, statusField } = SPAM_FORMS[name];
+    const result = await model.deleteMany({ [statusField]: 'spam', createdAt: { $lt: cutoff } });
+    deleted[name] = result.deletedCount;
+  }
+
+  const total = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+
+  await recordAudit(req, {
+    action: 'spam.purge',
+    targetType: 'Spam',
+    before: null,
+    after: null,
+    metadata: { olderThanDays, deleted },
+  });
+
+  res.json({
+    success: true,
+    message: `${total} spam submission(s) deleted`,
+    data: { deleted },
+  });
+});
+
+// Helper function to list the forms whose submissions the user may read or update
+const getAllowedForms = (req, action) => Object.keys(SPAM_FORMS).filter(
+  name => hasPermission(req.permissions || [], `${SPAM_FORMS[name].permission}:${action}`)
+);
+
+// Helper function to check update access to one form's submissions
+const canUpdate = (req, form) => hasPermission(req.permissions || [], `${SPAM_FORMS[form].permission}:update`);
@@ -0,0 +1,248 @@
+const { sendMail } = require('../utils/mailer');
+const { renderEmail } = require('../utils/emailTemplates');
+const User = require('../models/user');
+const Role = require('../models/role');
+const { revokeAllSessions } = require('../utils/tokens');
+const { recordAudit } = require('../utils/audit');
+const { canManageUser } = require('../config/permissions');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} = require('../utils/totp');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { BadRequestError, ForbiddenError, NotFoundError, UnauthorizedError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'MAD Foundation';
+
+// Whether the user's role makes 2FA mandatory
+const roleRequiresTwoFactor = async (roleName) => {
+  const role = await Role.findOne({ name: roleName });
+  return !!(role && role.requireTwoFactor);
+};
+
+// @desc Get the current user's 2FA status
+// @route GET /api/auth/2fa
+// @access Private
+exports.getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      requiredByRole: await roleRequiresTwoFactor(user.role),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    },
+  });
+});
+
+// @desc Start 2FA enrollment - returns a new secret and otpauth URI
+// @route POST /api/auth/2fa/setup
+// @access Private
+exports.setupTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  const user = await User.findById(req.user._id);
+  if (user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled');
+  }
+
+  if (!password || !(await user.matchPassword(password))) {
+    throw new UnauthorizedError('Current password is incorrect', { code: 'INVALID_PASSWORD' });
+  }
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email, getIssuer()),
+    },
+  });
+});
+
+// @desc Confirm enrollment with a first code - returns the recovery codes once
+// @route POST /api/auth/2fa/enable
+// @access Private
+exports.enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+  if (user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new BadRequestError('Start the setup first');
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new BadRequestError('Invalid code. Check that your device clock is correct and try again.', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  // Other devices signed in with the password alone
+  await revokeAllSessions(user._id, 'logout-all', req.authSession._id);
+
+  try {
+    await sendTwoFactorChangedEmail(user, 'enabled');
+  } catch (emailError) {
+    logger.error('Failed to send 2FA notice', { error: emailError });
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+    data: { recoveryCodes: codes },
+  });
+});
+
+// @desc Turn off 2FA (password and a current code required)
+// @route POST /api/auth/2fa/disable
+// @access Private
+exports.disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactor.secret');
+  if (!user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+
+  if (await roleRequiresTwoFactor(user.role)) {
+    throw new ForbiddenError('Your role requires two-factor authentication', { code: 'TWO_FACTOR_REQUIRED_BY_ROLE' });
+  }
+
+  if (!password || !(await user.matchPassword(password))) {
+    throw new UnauthorizedError('Current password is incorrect', { code: 'INVALID_PASSWORD' });
+  }
+
+  if (!(await user.consumeTwoFactorCode(code))) {
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  await clearTwoFactor(user._id);
+
+  try {
+    await sendTwoFactorChangedEmail(user, 'disabled');
+  } catch (emailError) {
+    logger.error('Failed to send 2FA notice', { error: emailError });
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc Replace the recovery codes (a current code is required)
+// @route POST /api/auth/2fa/recovery-codes
+// @access Private
+exports.regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select('+twoFactor.secret');
+  if (!user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled');
+  }
+
+  if (!(await user.consumeTwoFactorCode(code))) {
+    throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated. Your old codes no longer work.',
+    data: { recoveryCodes: codes },
+  });
+});
+
+// @desc Reset a user's 2FA, e.g. after a lost device (Admin only)
+// @route DELETE /api/auth/users/:id/2fa
+// @access Private (users:update)
+exports.resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  // Staff accounts are off limits without roles:manage, as in the user admin routes
+  if (!canManageUser(req.permissions, user.role)) {
+    throw new ForbiddenError('You do not have permission to manage this account', { code: 'USER_NOT_MANAGEABLE' });
+  }
+
+  if (!user.twoFactor.enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled for this user');
+  }
+
+  await clearTwoFactor(user._id);
+  const revoked = await revokeAllSessions(user._id, 'admin');
+
+  await recordAudit(req, {
+    action: 'user.2fa.reset',
+    targetType: 'User',
+    targetId: user._id,
+    metadata: { email: user.email, revokedSessions: revoked },
+  });
+
+  try {
+    await sendTwoFactorChangedEmail(user, 'reset');
+  } catch (emailError) {
+    logger.error('Failed to send 2FA notice', { error: emailError });
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication reset. The user must enroll again at next login.',
+    revoked,
+  });
+});
+
+// Helper function to remove every 2FA secret from an account
+const clearTwoFactor = async (userId) => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.enabledAt': 1,
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+      },
+    }
+  );
+};
+
+// Helper function to tell the user their 2FA settings changed
+const sendTwoFactorChangedEmail = async (user, action) => {
+  const email = await renderEmail('account-two-factor-changed', {
+    name: user.name,
+    action,
+  }, user.preferredLanguage);
+
+  await sendMail({ to: user.email, ...email });
+};
@@ -0,0 +1,324 @@
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { EVENTS, canReadEvent } = require('../config/events');
+const { generateSecret, sendTestEvent, replayDelivery: queueReplay } = require('../utils/webhooks');
+const { recordAudit } = require('../utils/audit');
+const { asyncHandler } = require('../utils/asyncHandler');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// @desc Get the events a webhook can subscribe to
+// @route GET /api/admin/webhooks/events
+// @access Private (webhooks:read)
+exports.getWebhookEvents = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(EVENTS).map(([name, description]) => ({ name, description })),
+  });
+});
+
+// @desc Get all webhook subscriptions
+// @route GET /api/admin/webhooks
+// @access Private (webhooks:read)
+exports.getWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find()
+    .sort({ createdAt: -1 })
+    .populate('createdBy', 'name email');
+
+  const stats = {
+    total: webhooks.length,
+    active: webhooks.filter(webhook => webhook.active).length,
+    pendingDeliveries: await WebhookDelivery.countDocuments({ status: { $in: ['queued', 'sending', 'retrying'] } }),
+  };
+
+  res.json({
+    success: true,
+    data: webhooks,
+    stats,
+  });
+});
+
+// @desc Add a webhook subscription. The signing secret is only shown in this response.
+// @route POST /api/admin/webhooks
+// @access Private (webhooks:manage, and read permission for every event subscribed to)
+exports.createWebhook = asyncHandler(async (req, res) => {
+  const { url, description, events, active } = req.body;
+
+  checkReadableEvents(events, req.permissions);
+
+  const webhook = await Webhook.create({
+    url,
+    description,
+    events,
+    active,
+    secret: generateSecret(),
+    createdBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: 'webhook.create',
+    targetType: 'Webhook',
+    targetId: webhook._id,
+    after: webhook,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created. Store the secret now; it is not shown again.',
+    data: {
+      ...webhook.toObject(),
+      secret: webhook.secret,
+    },
+  });
+});
+
+// @desc Get a webhook subscription with its delivery counts
+// @route GET /api/admin/webhooks/:id
+// @access Private (webhooks:read)
+exports.getWebhook = asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id)
+    .populate('createdBy', 'name email');
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  const byStatus = await WebhookDelivery.aggregate([
+    { $match: { webhook: webhook._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]).then(result => result.reduce((acc, item) => {
+    acc[item._id] = item.count;
+    return acc;
+  }, {}));
+
+  res.json({
+    success: true,
+    data: webhook,
+    stats: { byStatus },
+  });
+});
+
+// @desc Change a webhook's URL, events, description or whether it is active
+// @route PATCH /api/admin/webhooks/:id
+// @access Private (webhooks:manage, and read permission for every event subscribed to)
+exports.updateWebhook = asyncHandler(async (req, res) => {
+  const fields = ['url', 'description', 'events', 'active'].filter(field => req.body[field] !== undefined);
+
+  if (fields.length === 0) {
+    throw new BadRequestError('No valid fields to update');
+  }
+
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  // Moving a webhook to another URL redirects the events it already receives
+  if (req.body.events || req.body.url) {
+    checkReadableEvents(req.body.events || webhook.events, req.permissions);
+  }
+
+  const previous = webhook.toObject();
+  fields.forEach((field) => {
+    webhook[field] = req.body[field];
+  });
+  await webhook.save();
+
+  await recordAudit(req, {
+    action: 'webhook.update',
+    targetType: 'Webhook',
+    targetId: webhook._id,
+    before: previous,
+    after: webhook,
+  });
+
+  res.json({
+    success: true,
+    message: 'Webhook updated successfully',
+    data: webhook,
+  });
+});
+
+// @desc Delete a webhook subscription. Deliveries still queued for it fail.
+// @route DELETE /api/admin/webhooks/:id
+// @access Private (webhooks:manage)
+exports.deleteWebhook = asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findByIdAndDelete(req.params.id);
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  await recordAudit(req, {
+    action: 'webhook.delete',
+    targetType: 'Webhook',
+    targetId: webhook._id,
+    before: webhook,
+    after: null,
+  });
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted successfully',
+  });
+});
+
+// @desc Replace a webhook's signing secret. Deliveries from now on use the new one.
+// @route POST /api/admin/webhooks/:id/rotate-secret
+// @access Private (webhooks:manage)
+exports.rotateSecret = asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  webhook.secret = generateSecret();
+  await webhook.save();
+
+  await recordAudit(req, {
+    action: 'webhook.rotate-secret',
+    targetType: 'Webhook',
+    targetId: webhook._id,
+  });
+
+  res.json({
+    success: true,
+    message: 'Secret rotated. Store it now; it is not shown again.',
+    data: {
+      _id: webhook._id,
+      secret: webhook.secret,
+    },
+  });
+});
+
+// @desc Send a webhook.test event to a webhook
+// @route POST /api/admin/webhooks/:id/test
+// @access Private (webhooks:manage)
+exports.testWebhook = asyncHandler(async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  if (!webhook.active) {
+    throw new ConflictError('Activate the webhook before testing it');
+  }
+
+  const delivery = await sendTestEvent(webhook, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Test event queued for delivery',
+    data: { _id: delivery._id, status: delivery.status },
+  });
+});
+
+// @desc Get a webhook's delivery history
+// @route GET /api/admin/webhooks/:id/deliveries
+// @access Private (webhooks:read)
+exports.getDeliveries = asyncHandler(async (req, res) => {
+  const { page, limit, status, event } = req.query;
+
+  const query = { webhook: req.params.id };
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (event) {
+    query.event = event;
+  }
+
+  const deliveries = await WebhookDelivery.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .select('-payload -history'); // Returned for a single delivery
+
+  const total = await WebhookDelivery.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: deliveries,
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+    },
+  });
+});
+
+// @desc Get a single delivery with its payload and every attempt. The payload's
+// data is left out unless the user can read that event.
+// @route GET /api/admin/webhooks/deliveries/:deliveryId
+// @access Private (webhooks:read)
+exports.getDelivery = asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+    .populate('webhook', 'url description active')
+    .populate('requestedBy', 'name email');
+
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found');
+  }
+
+  const data = delivery.toObject();
+  if (!canReadEvent(req.permissions, delivery.event)) {
+    const { id, event, createdAt } = data.payload;
+    data.payload = { id, event, createdAt };
+    data.payloadRedacted = true;
+  }
+
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+// @desc Send the payload of a delivery again
+// @route POST /api/admin/webhooks/deliveries/:deliveryId/replay
+// @access Private (webhooks:manage, and read permission for the event)
+exports.replayDelivery = asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+
+  if (!delivery) {
+    throw new NotFoundError('Delivery not found');
+  }
+
+  checkReadableEvents([delivery.event], req.permissions);
+
+  if (['queued', 'sending', 'retrying'].includes(delivery.status)) {
+    throw new ConflictError('This delivery is still being attempted');
+  }
+
+  const webhook = await Webhook.findById(delivery.webhook);
+
+  if (!webhook || !webhook.active) {
+    throw new ConflictError('The webhook for this delivery was deleted or is disabled');
+  }
+
+  const replay = await queueReplay(delivery, req.user._id);
+
+  await recordAudit(req, {
+    action: 'webhook.replay',
+    targetType: 'WebhookDelivery',
+    targetId: delivery._id,
+    metadata: { webhook: webhook._id, event: delivery.event, newDelivery: replay._id },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Delivery queued again',
+    data: { _id: replay._id, status: replay.status },
+  });
+});
+
+// Helper function to make sure a user only sends events they could read
+// themselves to a receiver of their choosing
+const checkReadableEvents = (events, grants) => {
+  const unreadable = events.filter(event => !canReadEvent(grants, event));
+  if (unreadable.length > 0) {
+    throw new ForbiddenError(`You do not have permission to read these events: ${unreadable.join(', ')}`, { code: 'EVENT_NOT_READABLE' });
+  }
+};
@@ -0,0 +1,9 @@
+// Document a route for the API docs (utils/openapi) where it is declared: a
+// one-line summary, optionally a longer description, and the status it answers
+// with when that is not 200. Requests pass straight through.
+const apiDoc = (summary, { description, status = 200 } = {}) => Object.assign(
+  (req, res, next) => next(),
+  { doc: { summary, description, status } }
+);
+
+module.exports = { apiDoc };
@@ -1,42 +1,167 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user");
+const Session = require("../models/session");
+const Role = require("../models/role");
+const { hasPermission } = require("../config/permissions");
+const { consumeToken } = require("../utils/tokens");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+// Resolve a bearer token to its user and session. `purpose` is set for tokens
+// issued for one use only, such as stream tokens, which are spent here; plain
+// access tokens have none.
+// Returns { user, session } or { error, code } with the reason the token was refused.
+// Throws the jsonwebtoken error for malformed or expired tokens.
+const authenticate = async (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose) {
+    return { error: "Not authorized, token failed", code: "INVALID_TOKEN" };
+  }
+
+  if (purpose && !(await consumeToken(decoded))) {
+    return { error: "This token has already been used", code: "TOKEN_USED" };
+  }
+
+  const user = await User.findById(decoded.id).select("-password");
+
+  if (!user) {
+    return { error: "User not found", code: "USER_NOT_FOUND" };
+  }
+
+  // Deactivation takes effect on the very next request
+  if (!user.isActive) {
+    return { error: "This account has been deactivated", code: "ACCOUNT_DEACTIVATED" };
+  }
+
+  // Tokens issued before a password change are no longer valid
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: "Password recently changed, please log in again", code: "PASSWORD_CHANGED" };
+  }
+
+  // Access tokens are only honoured while their session is still active
+  const session = decoded.sid ? await Session.findOne({ _id: decoded.sid, user: user._id }) : null;
+  if (!session || !session.isActive()) {
+    return { error: "Session expired or revoked, please log in again", code: "SESSION_REVOKED" };
+  }
+
+  return { user, session };
+};
+
+const isTokenError = (error) => error.name === "JsonWebTokenError"
+  || error.name === "TokenExpiredError"
+  || error.name === "NotBeforeError";
+
+// Attach the token's user and session to the request, or pass on why it was refused
+const authorizeRequest = async (req, next, token, purpose) => {
+  let result;
+  try {
+    result = await authenticate(token, purpose);
+  } catch (error) {
+    if (!isTokenError(error)) {
+      return next(error);
+    }
+    // Expired access tokens get their own code so clients know to refresh
+    return next(new UnauthorizedError("Not authorized, token failed", {
+      code: error.name === "TokenExpiredError" ? "TOKEN_EXPIRED" : "INVALID_TOKEN",
+    }));
+  }
+
+  if (result.error) {
+    return next(new UnauthorizedError(result.error, { code: result.code }));
+  }
+
+  req.user = result.user;
+  req.authSession = result.session;
+  next();
+};
 
 // Protect routes - verify JWT token
 exports.protect = async (req, res, next) => {
-  let token;
+  const { authorization } = req.headers;
 
+  if (!authorization || !authorization.startsWith("Bearer")) {
+    return next(new UnauthorizedError("Not authorized, no token", { code: "NO_TOKEN" }));
+  }
+
+  return authorizeRequest(req, next, authorization.split(" ")[1]);
+};
+
+// Protect event streams. Browsers' EventSource cannot send an Authorization
+// header, so a short-lived stream token in ?token= is accepted instead.
+exports.protectStream = async (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    return authorizeRequest(req, next, req.query.token, "admin-stream");
+  }
+
+  return exports.protect(req, res, next);
+};
+
+// Optional auth for public forms - attaches req.user when a valid token is sent,
+// otherwise the request simply continues anonymously
+exports.optionalAuth = async (req, res, next) => {
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith("Bearer")
   ) {
     try {
-      token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
-
-      if (!req.user) {
-        return res.status(401).json({ message: "User not found" });
+      const { user, session } = await authenticate(req.headers.authorization.split(" ")[1]);
+      if (user) {
+        req.user = user;
+        req.authSession = session;
       }
-
-      next();
     } catch (error) {
-      console.error("Auth middleware error:", error);
-      return res.status(401).json({ message: "Not authorized, token failed" });
+      // An expired or malformed token must not block a public submission
     }
   }
 
-  if (!token) {
-    return res.status(401).json({ message: "Not authorized, no token" });
-  }
+  next();
 };
 
-// Admin only middleware
-exports.adminOnly = (req, res, next) => {
-  if (req.user && req.user.role === "admin") {
-    next();
-  } else {
-    res.status(403).json({ 
-      message: "Access denied. Admin privileges required." 
-    });
+// Load the user's role and let the request through when `allowed(grants)` holds
+// and the role's email verification and 2FA requirements are met
+const permissionGuard = (allowed) => async (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError("Not authorized, no token", { code: "NO_TOKEN" }));
   }
-};
\ No newline at end of file
+
+  // Express 5 passes a rejected promise (e.g. a database error) on to the error middleware
+  const role = await Role.findOne({ name: req.user.role });
+  const grants = role ? role.permissions : [];
+
+  if (!allowed(grants)) {
+    return next(new ForbiddenError(
+      "Access denied. You do not have permission to perform this action.",
+      { code: "PERMISSION_DENIED" }
+    ));
+  }
+
+  // REQUIRE_EMAIL_VERIFICATION=admin keeps unverified accounts out of staff routes
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === "admin" && !req.user.emailVerified) {
+    return next(new ForbiddenError(
+      "Please verify your email address to access admin features.",
+      { code: "EMAIL_NOT_VERIFIED" }
+    ));
+  }
+
+  // Roles flagged requireTwoFactor only reach staff routes once 2FA is enrolled
+  if (role && role.requireTwoFactor && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+    return next(new ForbiddenError(
+      "Your role requires two-factor authentication. Please enable it to continue.",
+      { code: "TWO_FACTOR_SETUP_REQUIRED", twoFactorSetupRequired: true }
+    ));
+  }
+
+  req.permissions = grants;
+  next();
+};
+
+// Permission middleware - the user's role must grant every listed permission
+exports.requirePermission = (...permissions) => Object.assign(
+  permissionGuard(grants => permissions.every(permission => hasPermission(grants, permission))),
+  { permissions }
+);
+
+// The user's role must grant at least one of the listed permissions
+exports.requireAnyPermission = (...permissions) => Object.assign(
+  permissionGuard(grants => permissions.some(permission => hasPermission(grants, permission))),
+  { anyPermissions: permissions }
+);
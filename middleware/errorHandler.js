@@ -0,0 +1,78 @@
+const { AppError, NotFoundError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Turn errors that are not AppErrors into one: Mongoose validation and cast
+// errors, duplicate keys, and body-parser failures keep their meaning;
+// everything else is an unexpected 500.
+const toAppError = (error) => {
+  if (error instanceof AppError) return error;
+
+  if (error.name === 'ValidationError' && error.errors) {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+    }));
+    return new AppError('Validation failed', 400, { code: 'VALIDATION_FAILED', errors });
+  }
+
+  if (error.name === 'CastError') {
+    return error.path === '_id'
+      ? new AppError('Invalid ID', 400, { code: 'INVALID_ID' })
+      : new AppError(`Invalid value for ${error.path}`, 400, { code: 'INVALID_VALUE', field: error.path });
+  }
+
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+    return new AppError(
+      field ? `A record with this ${field} already exists` : 'This record already exists',
+      409,
+      { code: 'DUPLICATE_KEY', field }
+    );
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', 400, { code: 'INVALID_JSON' });
+  }
+
+  if (error.type === 'entity.too.large') {
+    return new AppError('Request body is too large', 413, { code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  return null;
+};
+
+// 404 for requests no route answered
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// The last middleware: answer every error in the same shape.
+// Express recognises error middleware by its four arguments.
+const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const appError = toAppError(error) || new AppError('Internal server error');
+
+  if (appError.status >= 500) {
+    logger.error('Unhandled error', { error, method: req.method });
+  }
+
+  if (appError.details.retryAfter !== undefined) {
+    res.set('Retry-After', String(appError.details.retryAfter));
+  }
+
+  res.status(appError.status).json({
+    success: false,
+    message: appError.message,
+    code: appError.code,
+    requestId: req.id,
+    ...appError.details,
+  });
+};
+
+module.exports = {
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,46 @@
+const { translate, negotiateLocale } = require('../utils/i18n');
+
+// Copy a response body with its message and field errors translated
+const translateBody = (locale, body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+
+  const translated = { ...body };
+  if (typeof body.message === 'string') {
+    translated.message = translate(locale, body.message);
+  }
+  if (Array.isArray(body.errors)) {
+    translated.errors = body.errors.map(error => (
+      error && typeof error.message === 'string' ? { ...error, message: translate(locale, error.message) } : error
+    ));
+  }
+  return translated;
+};
+
+// Choose the request's locale (see utils/i18n) and answer in it: req.locale is
+// stored with submissions so later emails use it too, and the `message` and
+// `errors` of every JSON response are translated on the way out. It is worked
+// out when read, so a form's preferredLanguage counts once the body is parsed
+// while errors from express.json() itself are translated too.
+const locale = (req, res, next) => {
+  Object.defineProperty(req, 'locale', {
+    get: () => negotiateLocale({
+      preferredLanguage: req.body && typeof req.body.preferredLanguage === 'string' ? req.body.preferredLanguage : undefined,
+      acceptLanguage: req.get('Accept-Language'),
+    }),
+    configurable: true,
+    enumerable: true,
+  });
+
+  res.vary('Accept-Language');
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const responseLocale = req.locale;
+    res.set('Content-Language', responseLocale);
+    return json(translateBody(responseLocale, body));
+  };
+
+  next();
+};
+
+module.exports = { locale };
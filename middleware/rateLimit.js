@@ -0,0 +1,74 @@
+const { getRateLimitRules } = require('../config/rateLimits');
+const { hitRateLimit, undoRateLimitHit } = require('../utils/rateLimiter');
+const { TooManyRequestsError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Identify the client for a rule; rules without a client (no email, not logged in) are skipped
+const getClientKey = (req, by) => {
+  if (by === 'ip') return req.ip || req.socket.remoteAddress;
+  if (by === 'email') {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' && email ? email.toLowerCase() : null;
+  }
+  if (by === 'user') return req.user ? String(req.user._id) : null;
+  return null;
+};
+
+// Standard headers describing the rule closest to its limit
+const setRateLimitHeaders = (res, result) => {
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${result.limit};w=${result.rule.windowMinutes * 60}`,
+  });
+  return resetSeconds;
+};
+
+// Limit requests under a named policy from config/rateLimits.
+// Place it after `validate` (email rules read the cleaned body) and after `protect` for user rules.
+const rateLimit = (policy) => Object.assign(async (req, res, next) => {
+  let results;
+  try {
+    results = [];
+    for (const rule of getRateLimitRules(policy)) {
+      const key = getClientKey(req, rule.by);
+      if (key) {
+        // Without the query string, which can carry an email address
+        results.push({ rule, ...(await hitRateLimit(policy, rule, key, req.baseUrl + req.path)) });
+      }
+    }
+  } catch (error) {
+    // An unavailable counter store must not take every form down with it
+    logger.error('Rate limit error', { policy, error });
+    return next();
+  }
+
+  if (results.length === 0) return next();
+
+  const uncounted = results.filter(result => result.rule.skipFailed);
+  if (uncounted.length > 0) {
+    res.on('finish', () => {
+      if (res.statusCode < 400) return;
+      uncounted.forEach(result => undoRateLimitHit(result.counter._id).catch((error) => {
+        logger.error('Rate limit undo error', { policy, error });
+      }));
+    });
+  }
+
+  const limited = results.find(result => result.limited);
+  const closest = limited || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  const resetSeconds = setRateLimitHeaders(res, closest);
+
+  if (limited) {
+    return next(new TooManyRequestsError(
+      limited.rule.message || 'Too many requests. Please try again later.',
+      resetSeconds
+    ));
+  }
+
+  next();
+}, { policy });
+
+module.exports = { rateLimit };
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/logger');
+
+// Give every request a correlation ID: the caller's X-Request-Id when it looks
+// sane (so a proxy's ID carries through), otherwise a new UUID. It is echoed in
+// the X-Request-Id response header and in every error body, and the rest of the
+// request runs in a logging context so every log entry carries it.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  runWithContext({ requestId: req.id, req }, next);
+};
+
+module.exports = { requestId };
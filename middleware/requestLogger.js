@@ -0,0 +1,37 @@
+const { logger } = require('../utils/logger');
+
+// Reset, unlock, verification and unsubscribe links carry their token in the path
+const maskTokens = (path) => path
+  .split('/')
+  .map(segment => (/^[\w.-]{32,}$/.test(segment) ? ':token' : segment))
+  .join('/');
+
+// Log one entry per request when the response is finished. Place it after requestId.
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const status = res.statusCode;
+    let level = 'info';
+    if (status >= 500) level = 'error';
+    else if (status >= 400) level = 'warn';
+
+    // Passed explicitly: 'finish' may fire outside the request's logging context
+    logger[level]('Request completed', {
+      requestId: req.id,
+      userId: req.user ? String(req.user._id) : undefined,
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+      path: maskTokens(req.originalUrl.split('?')[0]),
+      status,
+      durationMs: Math.round(durationMs * 10) / 10,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+  });
+
+  next();
+};
+
+module.exports = { requestLogger };
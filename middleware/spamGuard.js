@@ -0,0 +1,36 @@
+const { HONEYPOT_FIELD } = require('../config/spam');
+const { scoreSubmission } = require('../utils/spam');
+const { logger } = require('../utils/logger');
+
+// Score a public form submission (see utils/spam) and leave the result in
+// req.spam for the controller, which stores spam with status "spam" instead of
+// processing it. The form token, CAPTCHA response and honeypot are removed from
+// req.body. Place it after `validate` and `rateLimit`; the form's schema must
+// include spamFields().
+const spamGuard = (form) => Object.assign(async (req, res, next) => {
+  const {
+    formToken,
+    captchaToken,
+    [HONEYPOT_FIELD]: honeypot,
+    ...fields
+  } = req.body || {};
+
+  req.body = fields;
+
+  try {
+    req.spam = await scoreSubmission(form, fields, {
+      formToken,
+      captchaToken,
+      honeypot,
+      ipAddress: req.ip || req.socket.remoteAddress,
+    });
+  } catch (error) {
+    // Losing a genuine submission is worse than letting one spam message through
+    logger.error('Spam check error', { form, error });
+    req.spam = { score: 0, reasons: [], isSpam: false };
+  }
+
+  next();
+}, { form });
+
+module.exports = { spamGuard };
@@ -0,0 +1,33 @@
+const { validateInput } = require('../utils/validation');
+const { ValidationFailedError } = require('../utils/errors');
+
+// Validate req.params, req.query and req.body against the matching schema in
+// `schemas` (see utils/validation). Parts without a schema are left alone.
+// On success each validated part is replaced with its cleaned values.
+// The schemas stay on the middleware for the API docs (utils/openapi).
+const validate = (schemas) => Object.assign((req, res, next) => {
+  const errors = [];
+
+  ['params', 'query', 'body'].forEach((part) => {
+    if (!schemas[part]) return;
+
+    const result = validateInput(schemas[part], req[part]);
+    errors.push(...result.errors);
+
+    // Express 5 exposes req.query through a getter, so shadow it on the request
+    Object.defineProperty(req, part, {
+      value: result.value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  });
+
+  if (errors.length > 0) {
+    return next(new ValidationFailedError(errors));
+  }
+
+  next();
+}, { schemas });
+
+module.exports = { validate };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// An event for the admin stream, kept for a day so reconnecting admins get
+// what they missed (Last-Event-ID) and every server instance can pick it up.
+// Written by utils/adminStream.js.
+const adminEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+  },
+  // Who may see it, e.g. "volunteers:read"
+  permission: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  minimize: false,
+});
+
+adminEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AdminEvent', adminEventSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every admin mutation
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: String,
+    name: String,
+    role: String,
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+  },
+  targetType: {
+    type: String,
+    required: [true, 'Target type is required'],
+  },
+  targetId: {
+    type: String,
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ipAddress: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Entries can be added but never changed or removed through the application
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+// Index for faster queries
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const collaborationSchema = new mongoose.Schema({
   fullName: {
@@ -20,7 +23,7 @@ const collaborationSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mobile: {
     type: String,
@@ -40,9 +43,15 @@ const collaborationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'under-review', 'meeting-scheduled', 'in-discussion', 'approved', 'active-partnership', 'declined', 'on-hold'],
+    enum: ['pending', 'under-review', 'meeting-scheduled', 'in-discussion', 'approved', 'active-partnership', 'declined', 'on-hold', 'spam'],
     default: 'pending',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   organizationType: {
     type: String,
     enum: ['ngo', 'corporate', 'government', 'institution', 'individual', 'startup', 'other'],
@@ -56,6 +65,12 @@ const collaborationSchema = new mongoose.Schema({
     type: String,
     default: 'website-collaborate-form',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
@@ -95,13 +110,10 @@ const collaborationSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate collaboration reference
-collaborationSchema.pre('save', function(next) {
+collaborationSchema.pre('save', async function() {
   if (!this.collaborationReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.collaborationReference = `COLLAB-${timestamp}-${random}`;
+    this.collaborationReference = await generateReference('COLLAB');
   }
-  next();
 });
 
 // Index for faster queries
@@ -1,5 +1,7 @@
 // models/Contact.js
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const contactSchema = new mongoose.Schema({
   fullName: {
@@ -14,7 +16,7 @@ const contactSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mobile: {
     type: String,
@@ -31,13 +33,25 @@ const contactSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['new', 'in-progress', 'resolved'],
+    enum: ['new', 'in-progress', 'resolved', 'spam'],
     default: 'new',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   source: {
     type: String,
     default: 'website-contact-form',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
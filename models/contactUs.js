@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const contactUsSchema = new mongoose.Schema({
   fullName: {
@@ -13,7 +16,7 @@ const contactUsSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mobile: {
     type: String,
@@ -35,9 +38,15 @@ const contactUsSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['new', 'in-progress', 'resolved', 'closed'],
+    enum: ['new', 'in-progress', 'resolved', 'closed', 'spam'],
     default: 'new',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -47,6 +56,12 @@ const contactUsSchema = new mongoose.Schema({
     type: String,
     default: 'website-contact-us',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
@@ -72,13 +87,10 @@ const contactUsSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate ticket reference
-contactUsSchema.pre('save', function(next) {
+contactUsSchema.pre('save', async function() {
   if (!this.ticketReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.ticketReference = `TICKET-${timestamp}-${random}`;
+    this.ticketReference = await generateReference('TICKET');
   }
-  next();
 });
 
 // Index for faster queries
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A named sequence, e.g. "DON-2026-27" for donation references in that
+// financial year. Only utils/references should touch it.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
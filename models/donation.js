@@ -1,5 +1,8 @@
 // models/Donation.js
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const donationSchema = new mongoose.Schema({
   fullName: {
@@ -14,7 +17,7 @@ const donationSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mobile: {
     type: String,
@@ -40,9 +43,15 @@ const donationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'contacted', 'completed', 'cancelled'],
+    enum: ['pending', 'contacted', 'completed', 'cancelled', 'spam'],
     default: 'pending',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   paymentStatus: {
     type: String,
     enum: ['pending', 'processing', 'completed', 'failed'],
@@ -52,12 +61,22 @@ const donationSchema = new mongoose.Schema({
     type: String,
     default: 'website-donation-form',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
   userAgent: {
     type: String,
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Set when the form was submitted while logged in
+  },
   donationReference: {
     type: String,
     unique: true,
@@ -73,17 +92,15 @@ const donationSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate donation reference
-donationSchema.pre('save', function(next) {
+donationSchema.pre('save', async function() {
   if (!this.donationReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.donationReference = `DON-${timestamp}-${random}`;
+    this.donationReference = await generateReference('DON');
   }
-  next();
 });
 
 // Index for faster queries
 donationSchema.index({ email: 1 });
+donationSchema.index({ userId: 1 });
 donationSchema.index({ createdAt: -1 });
 donationSchema.index({ status: 1 });
 donationSchema.index({ donationReference: 1 });
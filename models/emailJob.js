@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// One outbound email. Handlers enqueue jobs; utils/emailQueue.js delivers them.
+const emailJobSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true,
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+  },
+  html: {
+    type: String,
+  },
+  text: {
+    type: String,
+  },
+  replyTo: {
+    type: String,
+  },
+  // What the email is for, e.g. "volunteer-confirmation"
+  category: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // The submission the email is about
+  related: {
+    model: String,
+    id: mongoose.Schema.Types.ObjectId,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'retrying', 'sent', 'skipped', 'dead'],
+    default: 'queued',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  lastError: {
+    type: String,
+  },
+  failures: [{
+    _id: false,
+    at: Date,
+    message: String,
+    code: String,
+  }],
+  messageId: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  resendOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // X-Request-Id of the request that queued the email, for tracing it in the logs
+  requestId: {
+    type: String,
+  },
+  // Finished jobs are removed by MongoDB once this passes (TTL index)
+  expiresAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ to: 1, createdAt: -1 });
+emailJobSchema.index({ category: 1, createdAt: -1 });
+emailJobSchema.index({ 'related.id': 1 });
+emailJobSchema.index({ createdAt: -1 });
+emailJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const DEFAULT_TEMPLATES = require('../config/emailTemplates');
+const { htmlToText } = require('../utils/templateRenderer');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
+
+// One saved revision of a template. Rolling back copies an old revision into a new one.
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  html: {
+    type: String,
+    required: true,
+  },
+  text: {
+    type: String,
+    default: '',
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note must be less than 200 characters'],
+  },
+  changedBy: {
+    type: String, // Admin email, or "system" for seeded defaults
+    default: 'system',
+  },
+  rolledBackFrom: {
+    type: Number,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  _id: false,
+});
+
+const emailTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+  },
+  // Each name has an English template and optionally translations of it
+  locale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+  },
+  html: {
+    type: String,
+    required: [true, 'HTML body is required'],
+  },
+  text: {
+    type: String,
+    default: '', // Derived from the HTML when empty
+  },
+  sampleData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  version: {
+    type: Number,
+    default: 1,
+  },
+  updatedBy: {
+    type: String,
+    default: 'system',
+  },
+  versions: [versionSchema],
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+emailTemplateSchema.index({ name: 1, locale: 1 }, { unique: true });
+
+// Save new content as the next version
+emailTemplateSchema.methods.addVersion = function({ subject, html, text, note, changedBy, rolledBackFrom }) {
+  this.version += 1;
+  this.subject = subject;
+  this.html = html;
+  this.text = text || '';
+  this.updatedBy = changedBy;
+  this.versions.push({
+    version: this.version,
+    subject,
+    html,
+    text: this.text,
+    note,
+    changedBy,
+    rolledBackFrom,
+  });
+};
+
+// Static method to create any default template that does not exist yet
+emailTemplateSchema.statics.seedDefaults = async function() {
+  // Templates saved before translations existed are English and were unique by
+  // name alone, which would block adding a translation
+  await this.updateMany({ locale: { $exists: false } }, { $set: { locale: DEFAULT_LOCALE } });
+  const indexes = await this.collection.indexes().catch(() => []);
+  if (indexes.some(index => index.name === 'name_1' && index.unique)) {
+    await this.collection.dropIndex('name_1');
+  }
+
+  for (const template of DEFAULT_TEMPLATES) {
+    const text = template.text || htmlToText(template.html);
+    const locale = template.locale || DEFAULT_LOCALE;
+    await this.updateOne(
+      { name: template.name, locale },
+      {
+        $setOnInsert: {
+          name: template.name,
+          locale,
+          description: template.description,
+          subject: template.subject,
+          html: template.html,
+          text,
+          sampleData: template.sampleData || {},
+          version: 1,
+          updatedBy: 'system',
+          versions: [{
+            version: 1,
+            subject: template.subject,
+            html: template.html,
+            text,
+            note: 'Default template',
+            changedBy: 'system',
+          }],
+        },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
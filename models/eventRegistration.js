@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const eventRegistrationSchema = new mongoose.Schema({
   fullName: {
@@ -13,7 +16,7 @@ const eventRegistrationSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mobileNumber: {
     type: String,
@@ -94,19 +97,35 @@ const eventRegistrationSchema = new mongoose.Schema({
   },
   registrationStatus: {
     type: String,
-    enum: ['confirmed', 'waitlist', 'cancelled'],
+    enum: ['confirmed', 'waitlist', 'cancelled', 'spam'],
     default: 'confirmed',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   source: {
     type: String,
     default: 'website-event-registration',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
   userAgent: {
     type: String,
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Set when the form was submitted while logged in
+  },
   registrationDate: {
     type: Date,
     default: Date.now,
@@ -139,17 +158,15 @@ const eventRegistrationSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate registration reference
-eventRegistrationSchema.pre('save', function(next) {
+eventRegistrationSchema.pre('save', async function() {
   if (!this.registrationReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.registrationReference = `REG-${timestamp}-${random}`;
+    this.registrationReference = await generateReference('REG');
   }
-  next();
 });
 
 // Index for faster queries
 eventRegistrationSchema.index({ email: 1, eventId: 1 }, { unique: true }); // Prevent duplicate registrations
+eventRegistrationSchema.index({ userId: 1 });
 eventRegistrationSchema.index({ registrationReference: 1 });
 eventRegistrationSchema.index({ eventId: 1 });
 eventRegistrationSchema.index({ registrationStatus: 1 });
@@ -180,7 +197,7 @@ eventRegistrationSchema.statics.getEventStats = async function(eventId) {
   ]);
   
   const disabilityStats = await this.aggregate([
-    { $match: { eventId: eventId, isPersonWithDisability: 'Yes' } },
+    { $match: { eventId: eventId, isPersonWithDisability: 'Yes', registrationStatus: { $ne: 'spam' } } },
     {
       $group: {
         _id: '$disabilityType',
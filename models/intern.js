@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const internSchema = new mongoose.Schema({
   fullName: {
@@ -14,7 +17,7 @@ const internSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
     unique: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mobile: {
     type: String,
@@ -41,9 +44,15 @@ const internSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'under-review', 'interview-scheduled', 'accepted', 'rejected', 'completed'],
+    enum: ['pending', 'under-review', 'interview-scheduled', 'accepted', 'rejected', 'completed', 'spam'],
     default: 'pending',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   duration: {
     type: String,
     enum: ['1-month', '3-months', '6-months', 'flexible'],
@@ -53,12 +62,22 @@ const internSchema = new mongoose.Schema({
     type: String,
     default: 'website-internship-form',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
   userAgent: {
     type: String,
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Set when the form was submitted while logged in
+  },
   internReference: {
     type: String,
     unique: true,
@@ -93,17 +112,15 @@ const internSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate intern reference
-internSchema.pre('save', function(next) {
+internSchema.pre('save', async function() {
   if (!this.internReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.internReference = `INT-${timestamp}-${random}`;
+    this.internReference = await generateReference('INT');
   }
-  next();
 });
 
 // Index for faster queries
 internSchema.index({ email: 1 });
+internSchema.index({ userId: 1 });
 internSchema.index({ createdAt: -1 });
 internSchema.index({ status: 1 });
 internSchema.index({ internReference: 1 });
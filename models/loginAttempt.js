@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one account (by email) or one client IP
+const loginAttemptSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedAt: {
+    type: Date,
+  },
+  // Progressive delay: no new attempt is evaluated before this time
+  nextAttemptAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+  unlockToken: {
+    type: String,
+  },
+  unlockTokenExpire: {
+    type: Date,
+  },
+  // Counters are forgotten once this passes
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+loginAttemptSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginAttemptSchema.index({ lockedUntil: 1 });
+loginAttemptSchema.index({ unlockToken: 1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const mediaSubmissionSchema = new mongoose.Schema({
   fullName: {
@@ -13,7 +16,7 @@ const mediaSubmissionSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mediaUrl: {
     type: String,
@@ -33,9 +36,15 @@ const mediaSubmissionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'under-review', 'approved', 'featured', 'rejected'],
+    enum: ['pending', 'under-review', 'approved', 'featured', 'rejected', 'spam'],
     default: 'pending',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   category: {
     type: String,
     enum: ['event', 'initiative', 'testimonial', 'achievement', 'other'],
@@ -45,12 +54,22 @@ const mediaSubmissionSchema = new mongoose.Schema({
     type: String,
     default: 'website-media-form',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
   userAgent: {
     type: String,
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Set when the form was submitted while logged in
+  },
   submissionReference: {
     type: String,
     unique: true,
@@ -72,11 +91,9 @@ const mediaSubmissionSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate submission reference and detect media type
-mediaSubmissionSchema.pre('save', function(next) {
+mediaSubmissionSchema.pre('save', async function() {
   if (!this.submissionReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.submissionReference = `MED-${timestamp}-${random}`;
+    this.submissionReference = await generateReference('MED');
   }
   
   // Auto-detect media type from URL if not already set
@@ -93,12 +110,11 @@ mediaSubmissionSchema.pre('save', function(next) {
       this.mediaType = 'image';
     }
   }
-  
-  next();
 });
 
 // Index for faster queries
 mediaSubmissionSchema.index({ email: 1 });
+mediaSubmissionSchema.index({ userId: 1 });
 mediaSubmissionSchema.index({ createdAt: -1 });
 mediaSubmissionSchema.index({ status: 1 });
 mediaSubmissionSchema.index({ submissionReference: 1 });
@@ -1,5 +1,7 @@
 // models/Newsletter.js
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const newsletterSchema = new mongoose.Schema({
   email: {
@@ -8,7 +10,7 @@ const newsletterSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
     unique: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   status: {
     type: String,
@@ -19,6 +21,12 @@ const newsletterSchema = new mongoose.Schema({
     type: String,
     default: 'website-subscription',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const newsSubmissionSchema = new mongoose.Schema({
   fullName: {
@@ -13,7 +16,7 @@ const newsSubmissionSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   newsUpdate: {
     type: String,
@@ -24,9 +27,15 @@ const newsSubmissionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'under-review', 'approved', 'published', 'rejected'],
+    enum: ['pending', 'under-review', 'approved', 'published', 'rejected', 'spam'],
     default: 'pending',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   category: {
     type: String,
     enum: ['announcement', 'event', 'achievement', 'accessibility', 'inclusion', 'other'],
@@ -36,12 +45,22 @@ const newsSubmissionSchema = new mongoose.Schema({
     type: String,
     default: 'website-news-form',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
   userAgent: {
     type: String,
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Set when the form was submitted while logged in
+  },
   submissionReference: {
     type: String,
     unique: true,
@@ -63,17 +82,15 @@ const newsSubmissionSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate submission reference
-newsSubmissionSchema.pre('save', function(next) {
+newsSubmissionSchema.pre('save', async function() {
   if (!this.submissionReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.submissionReference = `NEWS-${timestamp}-${random}`;
+    this.submissionReference = await generateReference('NEWS');
   }
-  next();
 });
 
 // Index for faster queries
 newsSubmissionSchema.index({ email: 1 });
+newsSubmissionSchema.index({ userId: 1 });
 newsSubmissionSchema.index({ createdAt: -1 });
 newsSubmissionSchema.index({ status: 1 });
 newsSubmissionSchema.index({ submissionReference: 1 });
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Request counter for one client under one rate-limit rule
+const rateLimitSchema = new mongoose.Schema({
+  policy: {
+    type: String,
+    required: true,
+  },
+  scope: {
+    type: String,
+    enum: ['ip', 'email', 'user'],
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  limit: {
+    type: Number,
+    required: true,
+  },
+  windowStart: {
+    type: Date,
+    required: true,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+  // Requests rejected in the current window
+  blocked: {
+    type: Number,
+    default: 0,
+  },
+  lastBlockedAt: {
+    type: Date,
+  },
+  lastPath: {
+    type: String,
+  },
+  // Kept a while after the window ends so admins can see who was throttled
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+rateLimitSchema.index({ policy: 1, scope: 1, key: 1 }, { unique: true });
+rateLimitSchema.index({ lastBlockedAt: -1 });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
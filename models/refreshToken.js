@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set once the token has been exchanged; presenting it again means it leaked
+  rotatedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+refreshTokenSchema.index({ session: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop expired tokens automatically
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
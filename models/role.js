@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES, isValidPermission } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,39}$/, 'Role name must be 2-40 lowercase letters, numbers or hyphens'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description must be less than 200 characters'],
+  },
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function(permissions) {
+        return permissions.every(isValidPermission);
+      },
+      message: 'Unknown permission in permission list',
+    },
+  },
+  requireTwoFactor: {
+    type: Boolean,
+    default: false,
+  },
+  system: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+// Static method to create any default role that does not exist yet
+roleSchema.statics.seedDefaults = async function() {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: role },
+      { upsert: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('Role', roleSchema);
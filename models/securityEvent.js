@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['account-locked', 'ip-locked', 'account-unlocked', 'lockout-cleared'],
+    required: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // True when the targeted account holds any role other than "user"
+  staffAccount: {
+    type: Boolean,
+    default: false,
+  },
+  ipAddress: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  failures: {
+    type: Number,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Index for faster queries
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1 });
+securityEventSchema.index({ ipAddress: 1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// One session per signed-in device. Every refresh token issued for the device
+// belongs to the same session, so revoking it revokes the whole token family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  userAgent: {
+    type: String,
+  },
+  ipAddress: {
+    type: String,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'token-reuse', 'password-reset', 'password-change', 'admin'],
+  },
+}, {
+  timestamps: true,
+});
+
+// Check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Index for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop expired sessions automatically
+
+module.exports = mongoose.model('Session', sessionSchema);
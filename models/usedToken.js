@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// ID (`jti`) of a single-use token that has been presented, kept until the
+// token would have expired anyway so it cannot be presented again
+const usedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+usedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Drop entries once the token has expired
+
+module.exports = mongoose.model('UsedToken', usedTokenSchema);
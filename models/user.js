@@ -1,18 +1,43 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { verifyTotp, decryptSecret, hashRecoveryCode } = require("../utils/totp");
+const { isValidEmail } = require("../utils/validation");
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require("../utils/i18n");
 
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
+  email: { type: String, required: true, unique: true, validate: [isValidEmail, "Please provide a valid email"] },
   phoneNumber: { type: Number, required: true },
   password: { type: String, required: true },
   role: { 
     type: String, 
-    enum: ["user", "admin"], // Restrict to only these values
-    default: "user" 
+    lowercase: true,
+    trim: true,
+    default: "user" // Name of a Role document, see models/role.js
   },
+  preferredLanguage: { type: String, enum: SUPPORTED_LOCALES, default: DEFAULT_LOCALE }, // Language of account emails
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  verificationEmailSentAt: Date,
+  verificationEmailCount: { type: Number, default: 0 }, // Sends within the current 24h window
+  pendingEmail: { type: String, lowercase: true, trim: true }, // Requested new address, not yet confirmed
+  pendingEmailRequestedAt: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  passwordChangedAt: Date,
+  isActive: { type: Boolean, default: true },
+  deactivatedAt: Date,
+  deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  invitedAt: Date,
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: Date,
+    secret: { type: String, select: false }, // Encrypted TOTP secret, see utils/totp.js
+    pendingSecret: { type: String, select: false }, // Issued by setup, awaiting the first code
+    recoveryCodes: { type: [String], select: false }, // SHA-256 hashes of unused codes
+    lastUsedStep: { type: Number, select: false }, // Time step of the last accepted code
+  },
 }, { timestamps: true });
 
 // Hash password before saving
@@ -20,6 +45,9 @@ userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = Date.now();
+  }
   next();
 });
 
@@ -28,4 +56,58 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check if the password was changed after a token was issued. `iat` only has whole
+// seconds, so a token from the same second as the change counts as older.
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return this.passwordChangedAt.getTime() > tokenIssuedAt * 1000;
+};
+
+// Check a 2FA code (TOTP or recovery code) and consume it so it cannot be replayed.
+// The user must be loaded with +twoFactor.secret. Returns "totp", "recovery" or null.
+userSchema.methods.consumeTwoFactorCode = async function (code) {
+  if (!this.twoFactor || !this.twoFactor.enabled || !this.twoFactor.secret || typeof code !== "string") {
+    return null;
+  }
+
+  const User = this.constructor;
+  const normalized = code.trim().replace(/\s/g, "");
+
+  if (/^\d{6}$/.test(normalized)) {
+    const step = verifyTotp(decryptSecret(this.twoFactor.secret), normalized);
+    if (step === null) return null;
+
+    // Only one request may use a given time step
+    const result = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { "twoFactor.lastUsedStep": null },
+          { "twoFactor.lastUsedStep": { $lt: step } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1 ? "totp" : null;
+  }
+
+  const hash = hashRecoveryCode(normalized);
+  const result = await User.updateOne(
+    { _id: this._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return result.modifiedCount === 1 ? "recovery" : null;
+};
+
+// Delete self-registered accounts that never verified their email
+userSchema.statics.purgeUnverified = async function (olderThanDays) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  const query = { emailVerified: { $ne: true }, role: "user", createdAt: { $lt: cutoff } };
+
+  const users = await this.find(query).select("_id");
+  await this.deleteMany({ _id: { $in: users.map(user => user._id) } });
+
+  return users.map(user => user._id);
+};
+
 module.exports = mongoose.model("User", userSchema);
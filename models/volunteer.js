@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { isValidEmail } = require('../utils/validation');
+const { generateReference } = require('../utils/references');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
 
 const volunteerSchema = new mongoose.Schema({
   fullName: {
@@ -14,7 +17,7 @@ const volunteerSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
     unique: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email'],
+    validate: [isValidEmail, 'Please provide a valid email'],
   },
   mobile: {
     type: String,
@@ -40,9 +43,15 @@ const volunteerSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'reviewed', 'approved', 'active', 'inactive', 'rejected'],
+    enum: ['pending', 'reviewed', 'approved', 'active', 'inactive', 'rejected', 'spam'],
     default: 'pending',
   },
+  // Points from the public form spam check; see utils/spam
+  spamScore: {
+    type: Number,
+    default: 0,
+  },
+  spamReasons: [String],
   availability: {
     type: String,
     enum: ['part-time', 'full-time', 'weekends', 'flexible'],
@@ -52,12 +61,22 @@ const volunteerSchema = new mongoose.Schema({
     type: String,
     default: 'website-volunteer-form',
   },
+  // Language of the emails about this submission
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: DEFAULT_LOCALE,
+  },
   ipAddress: {
     type: String,
   },
   userAgent: {
     type: String,
   },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Set when the form was submitted while logged in
+  },
   volunteerReference: {
     type: String,
     unique: true,
@@ -83,17 +102,15 @@ const volunteerSchema = new mongoose.Schema({
 });
 
 // Pre-save middleware to generate volunteer reference
-volunteerSchema.pre('save', function(next) {
+volunteerSchema.pre('save', async function() {
   if (!this.volunteerReference) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    this.volunteerReference = `VOL-${timestamp}-${random}`;
+    this.volunteerReference = await generateReference('VOL');
   }
-  next();
 });
 
 // Index for faster queries
 volunteerSchema.index({ email: 1 });
+volunteerSchema.index({ userId: 1 });
 volunteerSchema.index({ createdAt: -1 });
 volunteerSchema.index({ status: 1 });
 volunteerSchema.index({ volunteerReference: 1 });
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { EVENTS } = require('../config/events');
+
+// An admin-registered endpoint that is sent the events it subscribes to.
+// Deliveries are signed with `secret`; see utils/webhooks.js.
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description must be less than 200 characters'],
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: ['*', ...Object.keys(EVENTS)],
+    }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event'],
+  },
+  // Needed in full to sign payloads, so it cannot be hashed; never selected by default
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  lastDeliveryAt: {
+    type: Date,
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed'],
+  },
+}, {
+  timestamps: true,
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
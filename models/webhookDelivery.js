@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// One event sent to one webhook. utils/webhooks.js queues and delivers them,
+// retrying with backoff; a replay queues a copy with the same payload.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // Shared by every delivery and replay of the same event, so receivers can de-duplicate
+  eventId: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'retrying', 'delivered', 'failed'],
+    default: 'queued',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  lastError: {
+    type: String,
+  },
+  // Each attempt's outcome
+  history: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    durationMs: Number,
+    error: String,
+  }],
+  deliveredAt: {
+    type: Date,
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // X-Request-Id of the request that raised the event, for tracing it in the logs
+  requestId: {
+    type: String,
+  },
+  // Finished deliveries are removed by MongoDB once this passes (TTL index)
+  expiresAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  minimize: false,
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
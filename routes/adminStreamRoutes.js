@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { createStreamToken, streamEvents } = require('../controllers/adminStreamController');
+const { protect, protectStream, requireAnyPermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const { STREAM_PERMISSIONS } = require('../config/events');
+const schemas = require('../validators/adminStreamSchemas');
+
+// Admin routes
+router.get('/', apiDoc('Stream new submissions and status changes as Server-Sent Events, limited to the forms the user can read', { description: 'Reconnecting with Last-Event-ID (or ?lastEventId=) sends the events missed in between, up to a day back.' }), protectStream, requireAnyPermission(...STREAM_PERMISSIONS), validate(schemas.streamEvents), streamEvents);
+router.post('/token', apiDoc('Get a one-minute token for opening the stream with EventSource, which cannot send an Authorization header', { description: 'It opens the stream once; get a new one to reconnect.' }), protect, requireAnyPermission(...STREAM_PERMISSIONS), createStreamToken);
+
+module.exports = router;
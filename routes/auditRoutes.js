@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLog } = require('../controllers/auditController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/auditSchemas');
+
+// Admin routes
+router.get('/', apiDoc('Get audit log entries with filters'), protect, requirePermission('audit:read'), validate(schemas.getAuditLog), getAuditLog);
+
+module.exports = router;
@@ -5,17 +5,18 @@ const {
   getAllCollaborations,
   updateCollaborationStatus,
 } = require('../controllers/collaborationController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/collaborationSchemas');
 
 // Public routes
-router.post('/submit', submitCollaborationRequest);
+router.post('/submit', apiDoc('Submit collaboration request', { status: 201 }), validate(schemas.submitCollaborationRequest), rateLimit('collaboration'), spamGuard('collaboration'), submitCollaborationRequest);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/all', protect, adminOnly, getAllCollaborations);
-// router.patch('/:id/status', protect, adminOnly, updateCollaborationStatus);
-
-// For testing without auth:
-router.get('/all', getAllCollaborations);
-router.patch('/:id/status', updateCollaborationStatus);
+// Admin routes
+router.get('/all', apiDoc('Get all collaborations (Admin only)'), protect, requirePermission('collaborations:read'), validate(schemas.getAllCollaborations), getAllCollaborations);
+router.patch('/:id/status', apiDoc('Update collaboration status (Admin only)'), protect, requirePermission('collaborations:update'), validate(schemas.updateCollaborationStatus), updateCollaborationStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -5,19 +5,18 @@ const {
   getAllContacts,
   updateContactStatus,
 } = require('../controllers/contactController');
-
-// You'll need to create auth middleware for admin routes
-// const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/contactSchemas');
 
 // Public routes
-router.post('/submit', submitContactForm);
-
-// Admin routes (uncomment when you have auth middleware)
-// router.get('/all', protect, adminOnly, getAllContacts);
-// router.patch('/:id/status', protect, adminOnly, updateContactStatus);
+router.post('/submit', apiDoc('Submit contact form', { status: 201 }), validate(schemas.submitContactForm), rateLimit('contact'), spamGuard('contact'), submitContactForm);
 
-// For now, if you want to test admin routes without auth:
-router.get('/all', getAllContacts);
-router.patch('/:id/status', updateContactStatus);
+// Admin routes
+router.get('/all', apiDoc('Get all contact submissions (Admin only)'), protect, requirePermission('contacts:read'), validate(schemas.getAllContacts), getAllContacts);
+router.patch('/:id/status', apiDoc('Update contact status (Admin only)'), protect, requirePermission('contacts:update'), validate(schemas.updateContactStatus), updateContactStatus);
 
 module.exports = router;
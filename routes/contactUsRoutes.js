@@ -5,17 +5,18 @@ const {
   getAllContactUs,
   updateContactUsStatus,
 } = require('../controllers/contactUsController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/contactUsSchemas');
 
 // Public routes
-router.post('/submit', submitContactUs);
+router.post('/submit', apiDoc('Submit contact us form', { status: 201 }), validate(schemas.submitContactUs), rateLimit('contact-us'), spamGuard('contact-us'), submitContactUs);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/all', protect, adminOnly, getAllContactUs);
-// router.patch('/:id/status', protect, adminOnly, updateContactUsStatus);
-
-// For testing without auth:
-router.get('/all', getAllContactUs);
-router.patch('/:id/status', updateContactUsStatus);
+// Admin routes
+router.get('/all', apiDoc('Get all contact us submissions (Admin only)'), protect, requirePermission('contacts:read'), validate(schemas.getAllContactUs), getAllContactUs);
+router.patch('/:id/status', apiDoc('Update contact us status (Admin only)'), protect, requirePermission('contacts:update'), validate(schemas.updateContactUsStatus), updateContactUsStatus);
 
 module.exports = router;
\ No newline at end of file
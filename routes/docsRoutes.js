@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getAbsoluteFSPath } = require('swagger-ui-dist');
+const { getDocsPage, getOpenApiSpec } = require('../controllers/docsController');
+
+// Public routes
+router.get('/', getDocsPage);
+router.get('/openapi.json', getOpenApiSpec);
+router.use('/assets', express.static(getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -5,17 +5,18 @@ const {
   getAllDonations,
   updateDonationStatus,
 } = require('../controllers/donationController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/donationSchemas');
 
 // Public routes
-router.post('/submit', submitDonationForm);
+router.post('/submit', apiDoc('Submit donation form', { status: 201 }), optionalAuth, validate(schemas.submitDonationForm), rateLimit('public-form'), spamGuard('donation'), submitDonationForm);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/all', protect, adminOnly, getAllDonations);
-// router.patch('/:id/status', protect, adminOnly, updateDonationStatus);
-
-// For testing without auth:
-router.get('/all', getAllDonations);
-router.patch('/:id/status', updateDonationStatus);
+// Admin routes
+router.get('/all', apiDoc('Get all donations (Admin only)'), protect, requirePermission('donations:read'), validate(schemas.getAllDonations), getAllDonations);
+router.patch('/:id/status', apiDoc('Update donation status (Admin only)'), protect, requirePermission('donations:update'), validate(schemas.updateDonationStatus), updateDonationStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getEmails,
+  getEmail,
+  resendEmail,
+} = require('../controllers/emailController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/emailSchemas');
+
+// Admin routes
+router.get('/', apiDoc('Get the outbound email log'), protect, requirePermission('emails:read'), validate(schemas.getEmails), getEmails);
+router.get('/:id', apiDoc('Get a single email including its body and delivery attempts'), protect, requirePermission('emails:read'), validate(schemas.getEmail), getEmail);
+router.post('/:id/resend', apiDoc('Queue a fresh copy of an email', { status: 201 }), protect, requirePermission('emails:update'), validate(schemas.resendEmail), resendEmail);
+
+module.exports = router;
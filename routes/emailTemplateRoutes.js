@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTemplates,
+  getTemplate,
+  getTemplateVersion,
+  updateTemplate,
+  previewTemplate,
+  rollbackTemplate,
+} = require('../controllers/emailTemplateController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/emailTemplateSchemas');
+
+// Admin routes
+router.get('/', apiDoc('Get all email templates, optionally only those in one locale'), protect, requirePermission('templates:read'), validate(schemas.getTemplates), getTemplates);
+router.get('/:name', apiDoc('Get a single email template with its version history'), protect, requirePermission('templates:read'), validate(schemas.getTemplate), getTemplate);
+router.get('/:name/versions/:version', apiDoc('Get the content of one version of an email template'), protect, requirePermission('templates:read'), validate(schemas.getTemplateVersion), getTemplateVersion);
+router.put('/:name', apiDoc('Save new content for an email template as the next version', { description: 'Saving a locale the template has not been translated to yet adds the translation.' }), protect, requirePermission('templates:update'), validate(schemas.updateTemplate), updateTemplate);
+router.post('/:name/preview', apiDoc('Render an email template, or unsaved changes to it, with sample data'), protect, requirePermission('templates:read'), validate(schemas.previewTemplate), previewTemplate);
+router.post('/:name/rollback', apiDoc('Restore an earlier version of an email template as a new version'), protect, requirePermission('templates:update'), validate(schemas.rollbackTemplate), rollbackTemplate);
+
+module.exports = router;
@@ -6,19 +6,19 @@ const {
   getEventStats,
   updateRegistrationStatus,
 } = require('../controllers/eventRegistrationController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/eventRegistrationSchemas');
 
 // Public routes
-router.post('/register', registerForEvent);
+router.post('/register', apiDoc('Register for an event', { status: 201 }), optionalAuth, validate(schemas.registerForEvent), rateLimit('public-form'), spamGuard('event-registration'), registerForEvent);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/registrations', protect, adminOnly, getAllRegistrations);
-// router.get('/:eventId/stats', protect, adminOnly, getEventStats);
-// router.patch('/registration/:id/status', protect, adminOnly, updateRegistrationStatus);
-
-// For testing without auth:
-router.get('/registrations', getAllRegistrations);
-router.get('/:eventId/stats', getEventStats);
-router.patch('/registration/:id/status', updateRegistrationStatus);
+// Admin routes
+router.get('/registrations', apiDoc('Get all event registrations (Admin only)'), protect, requirePermission('events:read'), validate(schemas.getAllRegistrations), getAllRegistrations);
+router.get('/:eventId/stats', apiDoc('Get event statistics (Admin only)'), protect, requirePermission('events:read'), validate(schemas.getEventStats), getEventStats);
+router.patch('/registration/:id/status', apiDoc('Update registration status (Admin only)'), protect, requirePermission('events:update'), validate(schemas.updateRegistrationStatus), updateRegistrationStatus);
 
 module.exports = router;
\ No newline at end of file
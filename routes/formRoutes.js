@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { getFormToken } = require('../controllers/formController');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/formSchemas');
+
+// Public routes
+router.get('/token', apiDoc('Get a signed form token to send back with a public form, plus the honeypot field to render hidden and the CAPTCHA widget settings (if enabled)'), validate(schemas.getFormToken), rateLimit('form-token'), getFormToken);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getHealth, getReadiness } = require('../controllers/healthController');
+
+// Public routes, for load balancers and orchestrators
+router.get('/healthz', getHealth);
+router.get('/readyz', getReadiness);
+
+module.exports = router;
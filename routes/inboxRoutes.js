@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getInbox, searchInbox } = require('../controllers/inboxController');
+const { protect, requireAnyPermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const { INBOX_PERMISSIONS } = require('../utils/inbox');
+const schemas = require('../validators/inboxSchemas');
+
+// Admin routes
+router.get('/', apiDoc('Get new submissions from every collection the user can read as one feed, newest first', { description: 'Spam stays in the quarantine view unless asked for by status.' }), protect, requireAnyPermission(...INBOX_PERMISSIONS), validate(schemas.getInbox), getInbox);
+router.get('/search', apiDoc('Find every record of one person across the collections the user can read, by email address, mobile number or reference number', { description: 'Spam is included.' }), protect, requireAnyPermission(...INBOX_PERMISSIONS), validate(schemas.searchInbox), searchInbox);
+
+module.exports = router;
@@ -5,17 +5,18 @@ const {
   getAllInterns,
   updateInternStatus,
 } = require('../controllers/internController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/internSchemas');
 
 // Public routes
-router.post('/apply', applyInternship);
+router.post('/apply', apiDoc('Submit internship application', { status: 201 }), optionalAuth, validate(schemas.applyInternship), rateLimit('public-form'), spamGuard('internship'), applyInternship);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/all', protect, adminOnly, getAllInterns);
-// router.patch('/:id/status', protect, adminOnly, updateInternStatus);
-
-// For testing without auth:
-router.get('/all', getAllInterns);
-router.patch('/:id/status', updateInternStatus);
+// Admin routes
+router.get('/all', apiDoc('Get all interns (Admin only)'), protect, requirePermission('interns:read'), validate(schemas.getAllInterns), getAllInterns);
+router.patch('/:id/status', apiDoc('Update intern status (Admin only)'), protect, requirePermission('interns:update'), validate(schemas.updateInternStatus), updateInternStatus);
 
 module.exports = router;
\ No newline at end of file
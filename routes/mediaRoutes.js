@@ -5,17 +5,18 @@ const {
   getAllSubmissions,
   updateSubmissionStatus,
 } = require('../controllers/mediaController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/mediaSchemas');
 
 // Public routes
-router.post('/submit', submitMediaUpload);
+router.post('/submit', apiDoc('Submit media upload', { status: 201 }), optionalAuth, validate(schemas.submitMediaUpload), rateLimit('media-submission'), spamGuard('media-submission'), submitMediaUpload);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/submissions', protect, adminOnly, getAllSubmissions);
-// router.patch('/:id/status', protect, adminOnly, updateSubmissionStatus);
-
-// For testing without auth:
-router.get('/submissions', getAllSubmissions);
-router.patch('/:id/status', updateSubmissionStatus);
+// Admin routes
+router.get('/submissions', apiDoc('Get all media submissions (Admin only)'), protect, requirePermission('media:read'), validate(schemas.getAllSubmissions), getAllSubmissions);
+router.patch('/:id/status', apiDoc('Update submission status (Admin only)'), protect, requirePermission('media:update'), validate(schemas.updateSubmissionStatus), updateSubmissionStatus);
 
 module.exports = router;
\ No newline at end of file
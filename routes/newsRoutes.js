@@ -5,16 +5,17 @@ const {
   unsubscribeNewsletter,
   getAllSubscribers,
 } = require('../controllers/newsController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/newsSchemas');
 
 // Public routes
-router.post('/subscribe', subscribeNewsletter);
-router.get('/unsubscribe/:token', unsubscribeNewsletter);
+router.post('/subscribe', apiDoc('Subscribe to newsletter', { status: 201 }), validate(schemas.subscribeNewsletter), rateLimit('newsletter'), subscribeNewsletter);
+router.get('/unsubscribe/:token', apiDoc('Unsubscribe from newsletter'), validate(schemas.unsubscribeNewsletter), unsubscribeNewsletter);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/subscribers', protect, adminOnly, getAllSubscribers);
-
-// For testing without auth:
-router.get('/subscribers', getAllSubscribers);
+// Admin routes
+router.get('/subscribers', apiDoc('Get all subscribers (Admin only)'), protect, requirePermission('newsletter:read'), validate(schemas.getAllSubscribers), getAllSubscribers);
 
 module.exports = router;
@@ -5,17 +5,18 @@ const {
   getAllSubmissions,
   updateSubmissionStatus,
 } = require('../controllers/newsSubmissionController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/newsSubmissionSchemas');
 
 // Public routes
-router.post('/submit', submitNewsUpdate);
+router.post('/submit', apiDoc('Submit news update', { status: 201 }), optionalAuth, validate(schemas.submitNewsUpdate), rateLimit('news-submission'), spamGuard('news-submission'), submitNewsUpdate);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/submissions', protect, adminOnly, getAllSubmissions);
-// router.patch('/:id/status', protect, adminOnly, updateSubmissionStatus);
-
-// For testing without auth:
-router.get('/submissions', getAllSubmissions);
-router.patch('/:id/status', updateSubmissionStatus);
+// Admin routes
+router.get('/submissions', apiDoc('Get all news submissions (Admin only)'), protect, requirePermission('news:read'), validate(schemas.getAllSubmissions), getAllSubmissions);
+router.patch('/:id/status', apiDoc('Update submission status (Admin only)'), protect, requirePermission('news:update'), validate(schemas.updateSubmissionStatus), updateSubmissionStatus);
 
 module.exports = router;
\ No newline at end of file
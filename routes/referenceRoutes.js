@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { lookupReference } = require('../controllers/referenceController');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/referenceSchemas');
+
+// Public routes
+router.get('/:reference', apiDoc('Look up the status of a submission by its reference number', { description: 'The email it was submitted with is required, as sequential numbers are easy to guess.' }), validate(schemas.lookupReference), rateLimit('reference-lookup'), lookupReference);
+
+module.exports = router;
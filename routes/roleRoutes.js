@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAllRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/roleController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/roleSchemas');
+
+// Admin routes
+router.use(protect, requirePermission('roles:manage'));
+
+router.get('/', apiDoc('Get all roles with their member counts'), getAllRoles);
+router.get('/permissions', apiDoc('Get every permission that can be granted'), getPermissions);
+router.post('/', apiDoc('Create a role', { status: 201 }), validate(schemas.createRole), createRole);
+router.patch('/:name', apiDoc('Update a role\'s description, permissions or 2FA requirement'), validate(schemas.updateRole), updateRole);
+router.delete('/:name', apiDoc('Delete a role that no user holds'), validate(schemas.deleteRole), deleteRole);
+
+module.exports = router;
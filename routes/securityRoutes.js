@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLockouts,
+  clearLockout,
+  getSecurityEvents,
+  getRateLimits,
+  clearRateLimit,
+} = require('../controllers/securityController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/securitySchemas');
+
+// Admin routes
+router.get('/lockouts', apiDoc('Get login lockouts and failed-attempt counters'), protect, requirePermission('security:read'), validate(schemas.getLockouts), getLockouts);
+router.delete('/lockouts/:id', apiDoc('Clear a lockout and its failure counter'), protect, requirePermission('security:update'), validate(schemas.clearLockout), clearLockout);
+router.get('/rate-limits', apiDoc('Get rate-limit counters, by default the clients that are being throttled'), protect, requirePermission('security:read'), validate(schemas.getRateLimits), getRateLimits);
+router.delete('/rate-limits/:id', apiDoc('Reset a client\'s rate-limit counter'), protect, requirePermission('security:update'), validate(schemas.clearRateLimit), clearRateLimit);
+router.get('/events', apiDoc('Get recorded security events (lockouts, unlocks)'), protect, requirePermission('security:read'), validate(schemas.getSecurityEvents), getSecurityEvents);
+
+module.exports = router;
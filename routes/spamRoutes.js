@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSpamSubmissions,
+  releaseSpam,
+  markAsSpam,
+  deleteSpam,
+  purgeSpam,
+} = require('../controllers/spamController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/spamSchemas');
+
+// Admin routes
+router.get('/', apiDoc('Get quarantined spam from the forms the user can read'), protect, requirePermission('spam:read'), validate(schemas.getSpamSubmissions), getSpamSubmissions);
+router.delete('/', apiDoc('Delete quarantined submissions older than a number of days'), protect, requirePermission('spam:update'), validate(schemas.purgeSpam), purgeSpam);
+router.patch('/:form/:id/release', apiDoc('Release a submission from quarantine back to its form\'s first status', { description: 'Emails that were held back when it was quarantined are not sent; the "created" event is, as webhooks and the admin stream have not seen it yet.' }), protect, requirePermission('spam:update'), validate(schemas.releaseSpam), releaseSpam);
+router.patch('/:form/:id/mark', apiDoc('Move a submission that got through into quarantine'), protect, requirePermission('spam:update'), validate(schemas.markAsSpam), markAsSpam);
+router.delete('/:form/:id', apiDoc('Delete a quarantined submission'), protect, requirePermission('spam:update'), validate(schemas.deleteSpam), deleteSpam);
+
+module.exports = router;
@@ -4,17 +4,73 @@ const {
   signup, 
   login, 
   forgotPassword,
-  getAllUsers 
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  purgeUnverifiedUsers,
+  unlockAccount,
+  refreshToken,
+  verifyTwoFactorLogin,
+  logout,
+  logoutAll,
+  getMySessions,
+  revokeMySession,
+  updateMe,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  getMyActivity,
+  revokeUserSessions,
+  getAllUsers,
+  getUser,
+  inviteUser,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  deleteUser
 } = require("../controllers/userController");
-const { protect, adminOnly } = require("../middleware/authMiddleware");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetUserTwoFactor
+} = require("../controllers/twoFactorController");
+const { protect, requirePermission } = require("../middleware/authMiddleware");
+const { validate } = require("../middleware/validate");
+const { rateLimit } = require("../middleware/rateLimit");
+const { apiDoc } = require("../middleware/apiDoc");
+const schemas = require("../validators/userSchemas");
 
 // Public routes
-router.post("/signup", signup);
-router.post("/login", login);
-router.post("/forgot-password", forgotPassword);
+router.post("/signup", apiDoc("Signup"), validate(schemas.signup), rateLimit("signup"), signup);
+router.post("/login", apiDoc("Login"), validate(schemas.login), rateLimit("login"), login);
+router.post("/forgot-password", apiDoc("Forgot Password (Send Reset Email)"), validate(schemas.forgotPassword), rateLimit("forgot-password"), forgotPassword);
+router.post("/reset-password/:token", apiDoc("Reset Password (Consume Reset Token)"), validate(schemas.resetPassword), resetPassword);
+router.post("/verify-email/:token", apiDoc("Verify email address (Consume Signed Verification Link)"), validate(schemas.verifyEmail), verifyEmail);
+router.post("/resend-verification", apiDoc("Resend verification email (throttled)"), validate(schemas.resendVerification), resendVerification);
+router.post("/unlock/:token", apiDoc("Unlock account (Consume Unlock Token From Lockout Email)"), validate(schemas.unlockAccount), unlockAccount);
+router.post("/refresh", apiDoc("Refresh access token (rotates the refresh token)"), validate(schemas.refreshToken), refreshToken);
+router.post("/confirm-email-change/:token", apiDoc("Confirm an email change (Consume Signed Confirmation Link)"), validate(schemas.confirmEmailChange), confirmEmailChange);
+router.post("/2fa/verify", apiDoc("Complete a login with a TOTP or recovery code"), validate(schemas.verifyTwoFactorLogin), rateLimit("two-factor-login"), verifyTwoFactorLogin);
+
+// Session management
+router.post("/logout", apiDoc("Logout (revoke current session)"), protect, logout);
+router.post("/logout-all", apiDoc("Logout from every device"), protect, logoutAll);
+router.get("/sessions", apiDoc("List active sessions of the current user"), protect, getMySessions);
+router.delete("/sessions/:id", apiDoc("Revoke one of the current user's sessions (sign out a device)"), protect, validate(schemas.revokeMySession), revokeMySession);
+
+// Two-factor authentication
+router.get("/2fa", apiDoc("Get the current user's 2FA status"), protect, getTwoFactorStatus);
+router.post("/2fa/setup", apiDoc("Start 2FA enrollment - returns a new secret and otpauth URI"), protect, validate(schemas.setupTwoFactor), rateLimit("account-security"), setupTwoFactor);
+router.post("/2fa/enable", apiDoc("Confirm enrollment with a first code - returns the recovery codes once"), protect, validate(schemas.enableTwoFactor), rateLimit("account-security"), enableTwoFactor);
+router.post("/2fa/disable", apiDoc("Turn off 2FA (password and a current code required)"), protect, validate(schemas.disableTwoFactor), rateLimit("account-security"), disableTwoFactor);
+router.post("/2fa/recovery-codes", apiDoc("Replace the recovery codes (a current code is required)"), protect, validate(schemas.regenerateRecoveryCodes), rateLimit("account-security"), regenerateRecoveryCodes);
 
 // Protected route - verify token
-router.get("/verify", protect, (req, res) => {
+router.get("/verify", apiDoc("Check that the access token is valid and get its user"), protect, (req, res) => {
   res.json({
     success: true,
     user: {
@@ -23,12 +79,14 @@ router.get("/verify", protect, (req, res) => {
       email: req.user.email,
       phoneNumber: req.user.phoneNumber,
       role: req.user.role,
+      emailVerified: req.user.emailVerified,
+      twoFactorEnabled: req.user.twoFactor.enabled,
     }
   });
 });
 
 // Get current user profile
-router.get("/me", protect, (req, res) => {
+router.get("/me", apiDoc("Get the current user's profile"), protect, (req, res) => {
   res.json({
     success: true,
     user: {
@@ -37,11 +95,30 @@ router.get("/me", protect, (req, res) => {
       email: req.user.email,
       phoneNumber: req.user.phoneNumber,
       role: req.user.role,
+      emailVerified: req.user.emailVerified,
+      twoFactorEnabled: req.user.twoFactor.enabled,
+      pendingEmail: req.user.pendingEmail,
     }
   });
 });
 
-// Admin only routes
-router.get("/users", protect, adminOnly, getAllUsers);
+// Self-service profile
+router.patch("/me", apiDoc("Update the current user's name, phone number and preferred language"), protect, validate(schemas.updateMe), updateMe);
+router.post("/change-password", apiDoc("Change password (current password required); other devices are signed out"), protect, validate(schemas.changePassword), rateLimit("account-security"), changePassword);
+router.post("/change-email", apiDoc("Request an email change; the new address must be confirmed before it is used"), protect, validate(schemas.requestEmailChange), rateLimit("account-security"), requestEmailChange);
+router.get("/me/activity", apiDoc("Get the current user's submissions across the public forms"), protect, getMyActivity);
+
+// Admin routes
+router.get("/users", apiDoc("Get all users"), protect, requirePermission("users:read"), validate(schemas.getAllUsers), getAllUsers);
+router.post("/users/invite", apiDoc("Invite a staff account; the invitee sets their own password (Admin only)", { status: 201 }), protect, requirePermission("users:create"), validate(schemas.inviteUser), inviteUser);
+router.delete("/users/unverified", apiDoc("Purge unverified accounts older than the configured age (Admin only)"), protect, requirePermission("users:delete"), validate(schemas.purgeUnverifiedUsers), purgeUnverifiedUsers);
+router.get("/users/:id", apiDoc("Get a single user (Admin only)"), protect, requirePermission("users:read"), validate(schemas.userAction), getUser);
+router.patch("/users/:id/role", apiDoc("Change a user's role (Admin only)"), protect, requirePermission("users:update"), validate(schemas.updateUserRole), updateUserRole);
+router.patch("/users/:id/deactivate", apiDoc("Deactivate a user and sign them out everywhere (Admin only)"), protect, requirePermission("users:update"), validate(schemas.userAction), deactivateUser);
+router.patch("/users/:id/reactivate", apiDoc("Reactivate a deactivated user (Admin only)"), protect, requirePermission("users:update"), validate(schemas.userAction), reactivateUser);
+router.post("/users/:id/force-password-reset", apiDoc("Invalidate a user's password and email them a reset link (Admin only)"), protect, requirePermission("users:update"), validate(schemas.userAction), forcePasswordReset);
+router.delete("/users/:id", apiDoc("Delete a user and their sessions (Admin only)"), protect, requirePermission("users:delete"), validate(schemas.userAction), deleteUser);
+router.delete("/users/:id/sessions", apiDoc("Revoke all sessions of a user (Admin only)"), protect, requirePermission("users:update"), validate(schemas.userAction), revokeUserSessions);
+router.delete("/users/:id/2fa", apiDoc("Reset a user's 2FA, e.g. after a lost device (Admin only)"), protect, requirePermission("users:update"), validate(schemas.userAction), resetUserTwoFactor);
 
 module.exports = router;
\ No newline at end of file
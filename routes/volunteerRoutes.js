@@ -5,17 +5,18 @@ const {
   getAllVolunteers,
   updateVolunteerStatus,
 } = require('../controllers/volunteerController');
+const { protect, optionalAuth, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const { spamGuard } = require('../middleware/spamGuard');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/volunteerSchemas');
 
 // Public routes
-router.post('/register', registerVolunteer);
+router.post('/register', apiDoc('Submit volunteer registration', { status: 201 }), optionalAuth, validate(schemas.registerVolunteer), rateLimit('public-form'), spamGuard('volunteer'), registerVolunteer);
 
-// Admin routes (uncomment when you have auth middleware)
-// const { protect, adminOnly } = require('../middleware/auth');
-// router.get('/all', protect, adminOnly, getAllVolunteers);
-// router.patch('/:id/status', protect, adminOnly, updateVolunteerStatus);
-
-// For testing without auth:
-router.get('/all', getAllVolunteers);
-router.patch('/:id/status', updateVolunteerStatus);
+// Admin routes
+router.get('/all', apiDoc('Get all volunteers (Admin only)'), protect, requirePermission('volunteers:read'), validate(schemas.getAllVolunteers), getAllVolunteers);
+router.patch('/:id/status', apiDoc('Update volunteer status (Admin only)'), protect, requirePermission('volunteers:update'), validate(schemas.updateVolunteerStatus), updateVolunteerStatus);
 
 module.exports = router;
\ No newline at end of file
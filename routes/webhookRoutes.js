@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhookEvents,
+  getWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  testWebhook,
+  getDeliveries,
+  getDelivery,
+  replayDelivery,
+} = require('../controllers/webhookController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const { apiDoc } = require('../middleware/apiDoc');
+const schemas = require('../validators/webhookSchemas');
+
+// Admin routes
+router.get('/', apiDoc('Get all webhook subscriptions'), protect, requirePermission('webhooks:read'), getWebhooks);
+router.post('/', apiDoc('Add a webhook subscription', { description: 'The signing secret is only shown in this response.', status: 201 }), protect, requirePermission('webhooks:manage'), validate(schemas.createWebhook), createWebhook);
+router.get('/events', apiDoc('Get the events a webhook can subscribe to'), protect, requirePermission('webhooks:read'), getWebhookEvents);
+router.get('/deliveries/:deliveryId', apiDoc('Get a single delivery with its payload and every attempt', { description: 'The payload\'s data is left out unless the user can read that event.' }), protect, requirePermission('webhooks:read'), validate(schemas.getDelivery), getDelivery);
+router.post('/deliveries/:deliveryId/replay', apiDoc('Send the payload of a delivery again', { status: 201 }), protect, requirePermission('webhooks:manage'), validate(schemas.replayDelivery), replayDelivery);
+router.get('/:id', apiDoc('Get a webhook subscription with its delivery counts'), protect, requirePermission('webhooks:read'), validate(schemas.getWebhook), getWebhook);
+router.patch('/:id', apiDoc('Change a webhook\'s URL, events, description or whether it is active'), protect, requirePermission('webhooks:manage'), validate(schemas.updateWebhook), updateWebhook);
+router.delete('/:id', apiDoc('Delete a webhook subscription', { description: 'Deliveries still queued for it fail.' }), protect, requirePermission('webhooks:manage'), validate(schemas.deleteWebhook), deleteWebhook);
+router.post('/:id/rotate-secret', apiDoc('Replace a webhook\'s signing secret', { description: 'Deliveries from now on use the new one.' }), protect, requirePermission('webhooks:manage'), validate(schemas.rotateSecret), rotateSecret);
+router.post('/:id/test', apiDoc('Send a webhook.test event to a webhook', { status: 201 }), protect, requirePermission('webhooks:manage'), validate(schemas.testWebhook), testWebhook);
+router.get('/:id/deliveries', apiDoc('Get a webhook\'s delivery history'), protect, requirePermission('webhooks:read'), validate(schemas.getDeliveries), getDeliveries);
+
+module.exports = router;
@@ -1,7 +1,8 @@
+// Load .env before any module below reads process.env
+require("dotenv").config();
 const express = require("express");
-const dotenv = require("dotenv");
 const cors = require("cors");
-const connectDB = require("./config/db");
+const { connectDB } = require("./config/db");
 const authRoutes = require("./routes/userRoutes");
 const contactRoutes = require('./routes/contactRoutes');
 const newsRoutes = require('./routes/newsRoutes');
@@ -13,23 +14,85 @@ const collaborationRoutes = require('./routes/collaborationRoutes');
 const contactUsRoutes = require('./routes/contactUsRoutes');
 const mediaRoutes = require('./routes/mediaRoutes');
 const eventRegistrationRoutes = require('./routes/eventRegistrationRoutes');
-dotenv.config();
+const roleRoutes = require('./routes/roleRoutes');
+const securityRoutes = require('./routes/securityRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const emailRoutes = require('./routes/emailRoutes');
+const emailTemplateRoutes = require('./routes/emailTemplateRoutes');
+const formRoutes = require('./routes/formRoutes');
+const referenceRoutes = require('./routes/referenceRoutes');
+const spamRoutes = require('./routes/spamRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const adminStreamRoutes = require('./routes/adminStreamRoutes');
+const inboxRoutes = require('./routes/inboxRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const { startEmailWorker } = require('./utils/emailQueue');
+const { startWebhookWorker } = require('./utils/webhooks');
+const { logger } = require('./utils/logger');
+const { handleShutdownSignals } = require('./utils/shutdown');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLogger');
+const { locale } = require('./middleware/locale');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
 connectDB();
+startEmailWorker();
+startWebhookWorker();
 
 const app = express();
+
+// Behind a reverse proxy the client IP comes from X-Forwarded-For; without this
+// every visitor would share the proxy's IP and its rate limits
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy));
+}
+
+app.use(requestId);
+// Before the request logger so frequent probes stay out of the logs
+app.use(healthRoutes);
+app.use(requestLogger);
+app.use(locale);
 app.use(express.json());
-app.use(cors());
-
-app.use("/api/auth", authRoutes);
-app.use('/api/contact', contactRoutes);
-app.use('/api/newsletter', newsRoutes);
-app.use('/api/donation', donationRoutes);
-app.use('/api/news', newsSubmissionRoutes);
-app.use('/api/volunteer', volunteerRoutes);
-app.use('/api/collaborate', collaborationRoutes);
-app.use('/api/intern', internRoutes);
-app.use('/api/contactus', contactUsRoutes);
-app.use('/api/media', mediaRoutes);
-app.use('/api/event', eventRegistrationRoutes);
+app.use(cors({
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-Request-Id'],
+}));
+
+// Every API router, mounted below and documented at /api/docs
+const apiRoutes = [
+  ['/api/auth', authRoutes],
+  ['/api/contact', contactRoutes],
+  ['/api/newsletter', newsRoutes],
+  ['/api/donation', donationRoutes],
+  ['/api/news', newsSubmissionRoutes],
+  ['/api/volunteer', volunteerRoutes],
+  ['/api/collaborate', collaborationRoutes],
+  ['/api/intern', internRoutes],
+  ['/api/contactus', contactUsRoutes],
+  ['/api/media', mediaRoutes],
+  ['/api/event', eventRegistrationRoutes],
+  ['/api/forms', formRoutes],
+  ['/api/references', referenceRoutes],
+  ['/api/admin/roles', roleRoutes],
+  ['/api/admin/security', securityRoutes],
+  ['/api/admin/audit', auditRoutes],
+  ['/api/admin/emails', emailRoutes],
+  ['/api/admin/email-templates', emailTemplateRoutes],
+  ['/api/admin/spam', spamRoutes],
+  ['/api/admin/webhooks', webhookRoutes],
+  ['/api/admin/stream', adminStreamRoutes],
+  ['/api/admin/inbox', inboxRoutes],
+];
+
+apiRoutes.forEach(([path, router]) => app.use(path, router));
+app.locals.apiRoutes = apiRoutes;
+app.use('/api/docs', docsRoutes);
+
+// Unknown routes and every error end up here
+app.use(notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
+const server = app.listen(PORT, () => logger.info('Server running', { port: PORT }));
+
+handleShutdownSignals(server);
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const AdminEvent = require('../models/adminEvent');
+const { getEventPermission } = require('../config/events');
+const { hasPermission } = require('../config/permissions');
+const { logger } = require('./logger');
+
+// Server-Sent Events for the admin panel. Published events are stored in
+// AdminEvent; this process sends its own straight away and polls for those
+// written by other server instances while anyone is connected. Each message is
+//   id: <AdminEvent id>
+//   data: <the event payload as JSON, with its name in `event`>
+// and a client reconnecting with Last-Event-ID is sent what it missed.
+
+const RETRY_MS = 5000; // How long browsers wait before reconnecting
+const HEARTBEAT_MS = 25 * 1000; // Keeps proxies from closing idle connections
+const REPLAY_LIMIT = 500;
+// Events from other instances can land slightly out of order, so each poll looks
+// this far back and skips what was already sent
+const LOOKBACK_SECONDS = 10;
+
+const POLL_MS = parseInt(process.env.ADMIN_STREAM_POLL_MS, 10) || 2000;
+
+const clients = new Set();
+const sentIds = new Map(); // AdminEvent id -> when it was sent
+let pollTimer = null;
+let polling = false;
+
+const formatEvent = doc => `id: ${doc._id}\ndata: ${JSON.stringify(doc.payload)}\n\n`;
+
+const write = (client, text) => {
+  if (!client.res.writableEnded) {
+    client.res.write(text);
+  }
+};
+
+const sendToClient = (client, doc) => {
+  if (!hasPermission(client.grants, doc.permission)) return;
+
+  // Held back until the client's missed events have been replayed
+  if (client.pending) {
+    client.pending.push(doc);
+    return;
+  }
+  write(client, formatEvent(doc));
+};
+
+const broadcast = (doc) => {
+  const id = String(doc._id);
+  if (sentIds.has(id)) return;
+  sentIds.set(id, Date.now());
+  clients.forEach(client => sendToClient(client, doc));
+};
+
+// Pick up events written by other server instances
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const since = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000) - LOOKBACK_SECONDS);
+    const docs = await AdminEvent.find({ _id: { $gt: since } }).sort({ _id: 1 }).lean();
+    docs.forEach(broadcast);
+
+    const cutoff = Date.now() - 2 * LOOKBACK_SECONDS * 1000;
+    sentIds.forEach((sentAt, id) => {
+      if (sentAt < cutoff) sentIds.delete(id);
+    });
+  } catch (error) {
+    logger.error('Admin stream poll failed', { error });
+  } finally {
+    polling = false;
+  }
+};
+
+const startPolling = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(poll, POLL_MS);
+  pollTimer.unref();
+};
+
+const stopPolling = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  sentIds.clear();
+};
+
+// Store an event payload (see utils/events) and send it to the admins allowed to see it
+const recordAdminEvent = async (payload) => {
+  const permission = getEventPermission(payload.event);
+  if (!permission) return null;
+
+  const doc = await AdminEvent.create({ event: payload.event, permission, payload });
+  if (clients.size > 0) {
+    broadcast(doc.toObject());
+  }
+  return doc;
+};
+
+// Turn the response into a stream for an admin with the given permission grants.
+// Returns the client, whose `grants` can be updated while it is connected.
+const openStream = async (req, res, { grants, lastEventId }) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would otherwise buffer the stream
+  });
+
+  const client = { res, grants, pending: lastEventId ? [] : null };
+  write(client, `retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => write(client, ': ping\n\n'), HEARTBEAT_MS);
+  clients.add(client);
+  startPolling();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+    if (clients.size === 0) stopPolling();
+  });
+
+  if (lastEventId) {
+    const replayed = new Set();
+    try {
+      const missed = await AdminEvent.find({ _id: { $gt: lastEventId } }).sort({ _id: 1 }).limit(REPLAY_LIMIT).lean();
+      missed
+        .filter(doc => hasPermission(client.grants, doc.permission))
+        .forEach((doc) => {
+          write(client, formatEvent(doc));
+          replayed.add(String(doc._id));
+        });
+    } catch (error) {
+      logger.error('Admin stream replay failed', { error });
+    }
+
+    const { pending } = client;
+    client.pending = null;
+    pending
+      .filter(doc => !replayed.has(String(doc._id)))
+      .forEach(doc => write(client, formatEvent(doc)));
+  }
+
+  return client;
+};
+
+// End every open stream, e.g. on shutdown; browsers reconnect to another instance
+const closeAdminStreams = () => {
+  clients.forEach(client => client.res.end());
+  clients.clear();
+  stopPolling();
+};
+
+module.exports = {
+  recordAdminEvent,
+  openStream,
+  closeAdminStreams,
+};
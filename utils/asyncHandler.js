@@ -0,0 +1,8 @@
+// Wrap an async route handler so a thrown error or rejected promise reaches the
+// error middleware (middleware/errorHandler) instead of each handler catching
+// and answering for itself.
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = { asyncHandler };
@@ -0,0 +1,70 @@
+const AuditLog = require('../models/auditLog');
+const { logger } = require('./logger');
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Secrets are recorded as changed without their values
+const REDACTED_FIELDS = ['password', 'resetPasswordToken', 'unlockToken', 'twoFactor', 'secret'];
+
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+const serialize = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Top-level fields whose values differ between two versions of a document
+const diff = (before, after) => {
+  const previous = toPlain(before);
+  const current = toPlain(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = serialize(previous[field]);
+    const to = serialize(current[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    if (REDACTED_FIELDS.includes(field)) {
+      changes.push({ field, before: '[redacted]', after: '[redacted]' });
+    } else {
+      changes.push({ field, before: from, after: to });
+    }
+  }
+
+  return changes;
+};
+
+// Record an admin action. `before`/`after` may be documents or plain objects;
+// pass null for creations and deletions. Failures are logged, not thrown, so an
+// action that already happened is still reported as successful.
+const recordAudit = async (req, { action, targetType, targetId, before, after, metadata }) => {
+  try {
+    return await AuditLog.create({
+      actor: req.user ? {
+        user: req.user._id,
+        email: req.user.email,
+        name: req.user.name,
+        role: req.user.role,
+      } : undefined,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : undefined,
+      changes: diff(before, after),
+      metadata,
+      ipAddress: req.ip || req.socket.remoteAddress,
+      userAgent: req.get('User-Agent') || '',
+    });
+  } catch (error) {
+    logger.error('Failed to record audit entry', { action, error });
+    return null;
+  }
+};
+
+module.exports = {
+  diff,
+  recordAudit,
+};
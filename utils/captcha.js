@@ -0,0 +1,77 @@
+const { SPAM_SETTINGS } = require('../config/spam');
+const { logger } = require('./logger');
+
+// Optional CAPTCHA verification. Forms work without it; set CAPTCHA_PROVIDER and
+// CAPTCHA_SECRET to have the spam check verify the `captchaToken` the website sends.
+// A provider is an async function ({ token, secret, ipAddress }) => { success, score }.
+
+// reCAPTCHA, hCaptcha and Turnstile share the same siteverify protocol
+const siteverify = (url) => async ({ token, secret, ipAddress }) => {
+  const params = new URLSearchParams({ secret, response: token });
+  if (ipAddress) params.set('remoteip', ipAddress);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params,
+    signal: AbortSignal.timeout(5000),
+  });
+
+  if (!response.ok) {
+    throw new Error(`CAPTCHA provider responded with ${response.status}`);
+  }
+
+  const result = await response.json();
+  return {
+    success: !!result.success,
+    score: typeof result.score === 'number' ? result.score : null, // reCAPTCHA v3 only
+  };
+};
+
+const providers = {
+  recaptcha: siteverify('https://www.google.com/recaptcha/api/siteverify'),
+  hcaptcha: siteverify('https://api.hcaptcha.com/siteverify'),
+  turnstile: siteverify('https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+};
+
+// Add or replace a provider
+const registerCaptchaProvider = (name, verify) => {
+  providers[name] = verify;
+};
+
+// Public settings the website needs to render the widget, or null when CAPTCHA is off
+const getCaptchaConfig = () => {
+  const { captcha } = SPAM_SETTINGS;
+  if (!captcha.provider) return null;
+  return { provider: captcha.provider, siteKey: captcha.siteKey };
+};
+
+// Verify a CAPTCHA response.
+// Returns { status } with status one of: disabled, missing, passed, failed, error
+const verifyCaptcha = async (token, ipAddress) => {
+  const { captcha } = SPAM_SETTINGS;
+  if (!captcha.provider) return { status: 'disabled' };
+  if (!token) return { status: 'missing' };
+
+  const verify = providers[captcha.provider];
+  if (!verify || !captcha.secret) {
+    logger.error('CAPTCHA provider is unknown or CAPTCHA_SECRET is not set', { provider: captcha.provider });
+    return { status: 'error' };
+  }
+
+  try {
+    const result = await verify({ token, secret: captcha.secret, ipAddress });
+    const passed = result.success && (result.score === null || result.score === undefined || result.score >= captcha.minScore);
+    return { status: passed ? 'passed' : 'failed', score: result.score };
+  } catch (error) {
+    // An unreachable provider must not turn every visitor into spam
+    logger.error('CAPTCHA verification error', { error });
+    return { status: 'error' };
+  }
+};
+
+module.exports = {
+  registerCaptchaProvider,
+  getCaptchaConfig,
+  verifyCaptcha,
+};
@@ -0,0 +1,162 @@
+const EmailJob = require('../models/emailJob');
+const { sendMail } = require('./mailer');
+const { logger, runWithContext, getRequestId } = require('./logger');
+const { getDbState } = require('../config/db');
+
+const BATCH_SIZE = 10;
+const LOCK_MS = 2 * 60 * 1000; // A job stuck in "sending" longer than this is picked up again
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+const QUEUE_CONFIG = {
+  intervalMs: parseInt(process.env.EMAIL_WORKER_INTERVAL_MS, 10) || 5000,
+  baseBackoffMs: (parseInt(process.env.EMAIL_RETRY_BASE_SECONDS, 10) || 30) * 1000,
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5,
+  retentionMs: (parseInt(process.env.EMAIL_JOB_RETENTION_DAYS, 10) || 90) * 24 * 60 * 60 * 1000,
+};
+
+// Exponential backoff with jitter: base, 2x base, 4x base... capped at an hour
+const getBackoffMs = (attempts, baseBackoffMs) => {
+  const delay = Math.min(baseBackoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Errors that will not go away by retrying
+const isPermanentFailure = (error) => {
+  if (error.code === 'EENVELOPE') return true; // No valid recipients
+  return error.responseCode >= 500 && error.responseCode < 600; // SMTP 5xx rejection
+};
+
+let timer = null;
+let running = false;
+
+// Add an email to the queue. `message` has to, subject, html/text and optionally replyTo.
+const enqueueEmail = async (message, { category, related, requestedBy, resendOf } = {}) => {
+  const job = await EmailJob.create({
+    to: message.to,
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    replyTo: message.replyTo,
+    category: category || 'general',
+    related,
+    requestedBy,
+    resendOf,
+    maxAttempts: QUEUE_CONFIG.maxAttempts,
+    requestId: getRequestId(),
+  });
+
+  // Deliver straight away when a worker is running in this process. The batch
+  // may send other requests' jobs, so it does not run in this request's context.
+  if (timer) {
+    setImmediate(() => runWithContext({}, processQueue));
+  }
+
+  return job;
+};
+
+// Claim the next due job so no other worker sends it too
+const claimNextJob = async () => {
+  const now = new Date();
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['queued', 'retrying'] }, nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    },
+    { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS), $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Attempt delivery of one claimed job and record the outcome
+const deliverJob = async (job) => {
+  const { baseBackoffMs, retentionMs } = QUEUE_CONFIG;
+  const now = new Date();
+
+  try {
+    const info = await sendMail({
+      to: job.to,
+      subject: job.subject,
+      html: job.html,
+      text: job.text,
+      replyTo: job.replyTo,
+    });
+
+    job.status = info ? 'sent' : 'skipped';
+    job.messageId = info ? info.messageId : undefined;
+    job.sentAt = info ? now : undefined;
+    job.lastError = info ? undefined : 'Mail transport disabled';
+    job.expiresAt = new Date(now.getTime() + retentionMs);
+  } catch (error) {
+    job.lastError = error.message;
+    job.failures.push({ at: now, message: error.message, code: error.code || error.responseCode });
+
+    if (isPermanentFailure(error) || job.attempts >= job.maxAttempts) {
+      job.status = 'dead';
+      job.expiresAt = new Date(now.getTime() + retentionMs);
+      logger.error('Email job dead-lettered', { category: job.category, attempts: job.attempts, error });
+    } else {
+      job.status = 'retrying';
+      job.nextAttemptAt = new Date(now.getTime() + getBackoffMs(job.attempts, baseBackoffMs));
+    }
+  }
+
+  job.lockedUntil = undefined;
+  await job.save();
+  return job;
+};
+
+// Send every job that is due, a batch at a time
+const processQueue = async () => {
+  // Until MongoDB is up every query would only wait out Mongoose's buffering timeout
+  if (running || getDbState() !== 'connected') return;
+  running = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      // Logs from the delivery carry the ID of the request that queued the email
+      await runWithContext({ requestId: job.requestId, emailJobId: String(job._id) }, () => deliverJob(job));
+    }
+  } catch (error) {
+    logger.error('Email queue error', { error });
+  } finally {
+    running = false;
+  }
+};
+
+const startEmailWorker = () => {
+  if (timer) return;
+  timer = setInterval(processQueue, QUEUE_CONFIG.intervalMs);
+  timer.unref();
+  logger.info('Email worker started', { intervalMs: QUEUE_CONFIG.intervalMs });
+};
+
+// Stop polling and wait for the batch in progress to finish
+const stopEmailWorker = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  while (running) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+// Queue a fresh copy of an existing job
+const resendEmail = async (job, requestedBy) => enqueueEmail(job, {
+  category: job.category,
+  related: job.related && job.related.id ? job.related : undefined,
+  requestedBy,
+  resendOf: job._id,
+});
+
+module.exports = {
+  enqueueEmail,
+  resendEmail,
+  processQueue,
+  startEmailWorker,
+  stopEmailWorker,
+};
@@ -0,0 +1,77 @@
+const EmailTemplate = require('../models/emailTemplate');
+const DEFAULT_TEMPLATES = require('../config/emailTemplates');
+const { render, htmlToText } = require('./templateRenderer');
+const { logger } = require('./logger');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+// Variables every template can use without the caller passing them
+const getGlobalData = () => ({
+  siteUrl: process.env.CLIENT_URL,
+});
+
+const getDefaultTemplate = (name, locale = DEFAULT_LOCALE) => DEFAULT_TEMPLATES.find(template => (
+  template.name === name && (template.locale || DEFAULT_LOCALE) === locale
+));
+
+// Render subject, HTML and text for the given content
+const renderContent = ({ subject, html, text }, data) => {
+  const context = { ...getGlobalData(), ...data };
+  return {
+    subject: render(subject, context).replace(/\s+/g, ' ').trim(),
+    html: render(html, context, { html: true }),
+    text: render(text || htmlToText(html), context)
+      .split('\n')
+      .map(line => line.trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim(),
+  };
+};
+
+// Render a named template in a locale as stored by the admins, falling back to
+// the built-in default if the database copy is missing or fails to render, and
+// to English if the template has not been translated
+const renderEmail = async (name, data = {}, locale = DEFAULT_LOCALE) => {
+  for (const candidate of new Set([locale, DEFAULT_LOCALE])) {
+    try {
+      const template = await EmailTemplate.findOne({ name, locale: candidate }).lean();
+      if (template) {
+        return renderContent(template, data);
+      }
+    } catch (error) {
+      logger.error('Email template could not be rendered, using the default', { template: name, locale: candidate, error });
+    }
+
+    const fallback = getDefaultTemplate(name, candidate);
+    if (fallback) {
+      return renderContent(fallback, data);
+    }
+  }
+
+  throw new Error(`Unknown email template "${name}"`);
+};
+
+// Format a date the way the emails show it, e.g. "5 March 2025" ("5 मार्च 2025" in Hindi)
+const formatDate = (date, locale = DEFAULT_LOCALE) => (date ? new Date(date).toLocaleDateString(`${locale}-IN`, {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+}) : '');
+
+// Same as formatDate with the time, for meetings and interviews
+const formatDateTime = (date, locale = DEFAULT_LOCALE) => (date ? new Date(date).toLocaleDateString(`${locale}-IN`, {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+}) : '');
+
+module.exports = {
+  getGlobalData,
+  getDefaultTemplate,
+  renderContent,
+  renderEmail,
+  formatDate,
+  formatDateTime,
+};
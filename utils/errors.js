@@ -0,0 +1,82 @@
+// Application errors. Throw one from a handler wrapped in asyncHandler (or pass
+// it to next() from middleware) and the error middleware answers with
+//
+//   { success: false, message, code, requestId, ...details }
+//
+// and the error's HTTP status. `code` is a stable identifier clients can branch
+// on; the message is for people and may be reworded. Anything else in the
+// options object (errors, retryAfter, emailVerified, ...) is added to the body.
+class AppError extends Error {
+  constructor(message, status = 500, { code = 'INTERNAL_ERROR', ...details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, { code = 'BAD_REQUEST', ...details } = {}) {
+    super(message, 400, { code, ...details });
+  }
+}
+
+// Request data that failed validation; `errors` is a list of { field, message }
+class ValidationFailedError extends AppError {
+  constructor(errors, message = 'Validation failed') {
+    super(message, 400, { code: 'VALIDATION_FAILED', errors });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message, { code = 'UNAUTHORIZED', ...details } = {}) {
+    super(message, 401, { code, ...details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, { code = 'FORBIDDEN', ...details } = {}) {
+    super(message, 403, { code, ...details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, { code = 'NOT_FOUND', ...details } = {}) {
+    super(message, 404, { code, ...details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT', ...details } = {}) {
+    super(message, 409, { code, ...details });
+  }
+}
+
+// `retryAfter` (seconds) is sent in the body and as the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter, { code = 'RATE_LIMITED', ...details } = {}) {
+    super(message, 429, { code, ...details, retryAfter });
+  }
+}
+
+// Use as .catch() on a write to report a duplicate key as a specific conflict:
+//   await Volunteer.create(data).catch(conflictOnDuplicate('Already registered', { code: 'DUPLICATE_REGISTRATION' }))
+const conflictOnDuplicate = (message, options) => (error) => {
+  if (error.code === 11000) {
+    throw new ConflictError(message, options);
+  }
+  throw error;
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationFailedError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  conflictOnDuplicate,
+};
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { queueWebhookEvent } = require('./webhooks');
+const { recordAdminEvent } = require('./adminStream');
+const { logger } = require('./logger');
+
+// Submission fields that stay inside the admin panel's own views
+const PRIVATE_FIELDS = ['__v', 'ipAddress', 'userAgent', 'spamScore', 'spamReasons', 'unsubscribeToken'];
+
+// The submission as sent with an event
+const toEventData = (subject) => {
+  const plain = subject && typeof subject.toObject === 'function' ? subject.toObject() : { ...subject };
+  PRIVATE_FIELDS.forEach(field => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Publish a submission lifecycle event (config/events) to webhook subscribers and
+// the admin stream. `subject` is the submission it is about; `extra` is added to
+// the payload, e.g. { previousStatus }. Never throws, so a failure here cannot
+// fail the request that raised the event.
+const publishEvent = async (event, subject, extra = {}) => {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data: toEventData(subject),
+    ...extra,
+  };
+
+  const results = await Promise.allSettled([queueWebhookEvent(payload), recordAdminEvent(payload)]);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error('Event could not be published', { event, error: result.reason }));
+
+  return payload;
+};
+
+module.exports = {
+  publishEvent,
+};
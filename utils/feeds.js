@@ -0,0 +1,43 @@
+// Newest-first lists merged from several collections (spam quarantine, admin
+// inbox). Every collection is read up to the end of the requested page before
+// merging, so paging depth is capped: FEED_MAX_PAGE pages of at most 100 keep
+// it to 1000 documents per collection. Filters reach further back.
+const FEED_MAX_PAGE = 10;
+
+// One page of a merged feed. `sources` are { name, model, query, select }.
+// Returns { items: [{ name, doc }], total, byName } with the number of matching
+// documents overall and per source.
+const getMergedPage = async (sources, { page, limit }) => {
+  const results = await Promise.all(sources.map(async ({ name, model, query, select }) => {
+    const [docs, total] = await Promise.all([
+      model.find(query)
+        .sort({ createdAt: -1 })
+        .limit(page * limit)
+        .select(select)
+        .lean(),
+      model.countDocuments(query),
+    ]);
+    return { name, total, docs };
+  }));
+
+  const items = results
+    .flatMap(({ name, docs }) => docs.map(doc => ({ name, doc })))
+    .sort((a, b) => b.doc.createdAt - a.doc.createdAt)
+    .slice((page - 1) * limit, page * limit);
+
+  const byName = results.reduce((counts, result) => {
+    counts[result.name] = result.total;
+    return counts;
+  }, {});
+
+  return {
+    items,
+    total: results.reduce((sum, result) => sum + result.total, 0),
+    byName,
+  };
+};
+
+module.exports = {
+  FEED_MAX_PAGE,
+  getMergedPage,
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { SPAM_SETTINGS } = require('../config/spam');
+
+// Form tokens are "<issuedAt>.<nonce>.<signature>": the website fetches one when
+// it shows a form and sends it back with the submission. The signature ties the
+// token to the form, and issuedAt tells us how long the visitor took to fill it in.
+
+const sign = (secret, form, issuedAt, nonce) => crypto
+  .createHmac('sha256', secret)
+  .update(`form-token:${form}:${issuedAt}:${nonce}`)
+  .digest('base64url');
+
+const getSecret = () => {
+  const { tokenSecret } = SPAM_SETTINGS;
+  if (!tokenSecret) {
+    throw new Error('FORM_TOKEN_SECRET or JWT_SECRET must be set to issue form tokens');
+  }
+  return tokenSecret;
+};
+
+// Issue a token for a form
+const issueFormToken = (form) => {
+  const issuedAt = Date.now();
+  const nonce = crypto.randomBytes(9).toString('base64url');
+  const { tokenMaxAgeMinutes } = SPAM_SETTINGS;
+
+  return {
+    token: `${issuedAt}.${nonce}.${sign(getSecret(), form, issuedAt, nonce)}`,
+    expiresAt: new Date(issuedAt + tokenMaxAgeMinutes * 60 * 1000),
+  };
+};
+
+// Check a submitted token. status is one of:
+//   valid, missing, invalid (bad signature or another form's token),
+//   expired, too-fast (sent back quicker than a person could fill in the form)
+const verifyFormToken = (token, form) => {
+  if (!token) return { status: 'missing' };
+
+  const match = /^(\d{13})\.([\w-]{12})\.([\w-]{43})$/.exec(token);
+  if (!match) return { status: 'invalid' };
+
+  const [, issuedAtText, nonce, signature] = match;
+  const issuedAt = parseInt(issuedAtText, 10);
+  const expected = sign(getSecret(), form, issuedAt, nonce);
+  if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { status: 'invalid' };
+  }
+
+  const { tokenMinSeconds, tokenMaxAgeMinutes } = SPAM_SETTINGS;
+  const ageSeconds = Math.floor((Date.now() - issuedAt) / 1000);
+
+  if (ageSeconds < 0) return { status: 'invalid' };
+  if (ageSeconds < tokenMinSeconds) return { status: 'too-fast', ageSeconds };
+  if (ageSeconds > tokenMaxAgeMinutes * 60) return { status: 'expired', ageSeconds };
+  return { status: 'valid', ageSeconds };
+};
+
+module.exports = {
+  issueFormToken,
+  verifyFormToken,
+};
@@ -0,0 +1,90 @@
+const CATALOGS = require('../config/locales');
+const { rules } = require('./validation');
+
+// Translation of API messages. Messages stay plain English strings in the code;
+// translate() looks them up in the catalog of the requested locale (see
+// config/locales), so a message nobody has translated yet is still sent in English.
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Catalog keys with {placeholders} become patterns matching the filled-in
+// message. The ones with the most fixed text are tried first, so
+// "{label} must be at least {min} characters" wins over "{label} must be at least {min}".
+const compilePatterns = catalog => Object.keys(catalog)
+  .filter(key => /\{\w+\}/.test(key))
+  .map(key => ({
+    key,
+    names: [...key.matchAll(/\{(\w+)\}/g)].map(match => match[1]),
+    regex: new RegExp(`^${key.split(/\{\w+\}/).map(escapeRegExp).join('(.+?)')}$`),
+    fixedLength: key.replace(/\{\w+\}/g, '').length,
+  }))
+  .sort((a, b) => b.fixedLength - a.fixedLength);
+
+const patterns = SUPPORTED_LOCALES.reduce((all, locale) => {
+  all[locale] = compilePatterns(CATALOGS[locale]);
+  return all;
+}, {});
+
+// Translate an English message, falling back to the message itself
+const translate = (locale, message) => {
+  const catalog = CATALOGS[locale];
+  if (!catalog || typeof message !== 'string') return message;
+  if (Object.prototype.hasOwnProperty.call(catalog, message)) return catalog[message];
+
+  for (const { key, names, regex } of patterns[locale]) {
+    const match = message.match(regex);
+    if (match) {
+      // Values such as field labels are translated too when the catalog has them
+      return names.reduce((text, name, i) => text.replace(`{${name}}`, translate(locale, match[i + 1])), catalog[key]);
+    }
+  }
+
+  return message;
+};
+
+// "hi-IN" -> "hi" when only the language is supported
+const matchLocale = (tag) => {
+  const normalized = String(tag).trim().toLowerCase();
+  if (SUPPORTED_LOCALES.includes(normalized)) return normalized;
+  const language = normalized.split('-')[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+// Languages of an Accept-Language header, most preferred first
+const parseAcceptLanguage = header => String(header || '')
+  .split(',')
+  .map((part) => {
+    const [tag, ...params] = part.trim().split(';');
+    const quality = params.map(param => param.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    return { tag, quality: quality ? Number(quality[1]) : 1 };
+  })
+  .filter(({ tag, quality }) => tag && tag !== '*' && quality > 0)
+  .sort((a, b) => b.quality - a.quality)
+  .map(({ tag }) => tag);
+
+// Pick the locale for a request: an explicit preferredLanguage wins, then the
+// Accept-Language header, then English
+const negotiateLocale = ({ preferredLanguage, acceptLanguage } = {}) => {
+  const candidates = [preferredLanguage, ...parseAcceptLanguage(acceptLanguage)].filter(Boolean);
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+};
+
+// The optional language field of public forms; include it in each form's body schema
+const languageFields = () => ({
+  preferredLanguage: rules.oneOf(SUPPORTED_LOCALES),
+});
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  translate,
+  negotiateLocale,
+  languageFields,
+};
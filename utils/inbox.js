@@ -0,0 +1,189 @@
+const Collaboration = require('../models/collaboration');
+const Contact = require('../models/contact');
+const ContactUs = require('../models/contactUs');
+const Donation = require('../models/donation');
+const EventRegistration = require('../models/eventRegistration');
+const Intern = require('../models/intern');
+const MediaSubmission = require('../models/mediaSubmission');
+const Newsletter = require('../models/news');
+const NewsSubmission = require('../models/newsSubmission');
+const Volunteer = require('../models/volunteer');
+const { hasPermission } = require('../config/permissions');
+const { isValidEmail, normalizeMobile } = require('./validation');
+const { parseReference } = require('./references');
+
+// Submission collections merged into the admin inbox, by type (the form names
+// of utils/spam, plus the newsletter).
+//   permission       resource whose read permission covers the type
+//   statusField      current status
+//   nameField        the person's name, mobileField their phone number
+//   referenceField   reference number given to the submitter (utils/references)
+//   referencePrefix  and its prefix
+// Fields a form does not have are null.
+const INBOX_TYPES = {
+  volunteer: {
+    model: Volunteer,
+    permission: 'volunteers',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: 'mobile',
+    referenceField: 'volunteerReference',
+    referencePrefix: 'VOL',
+  },
+  internship: {
+    model: Intern,
+    permission: 'interns',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: 'mobile',
+    referenceField: 'internReference',
+    referencePrefix: 'INT',
+  },
+  donation: {
+    model: Donation,
+    permission: 'donations',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: 'mobile',
+    referenceField: 'donationReference',
+    referencePrefix: 'DON',
+  },
+  'event-registration': {
+    model: EventRegistration,
+    permission: 'events',
+    statusField: 'registrationStatus',
+    nameField: 'fullName',
+    mobileField: 'mobileNumber',
+    referenceField: 'registrationReference',
+    referencePrefix: 'REG',
+  },
+  collaboration: {
+    model: Collaboration,
+    permission: 'collaborations',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: 'mobile',
+    referenceField: 'collaborationReference',
+    referencePrefix: 'COLLAB',
+  },
+  contact: {
+    model: Contact,
+    permission: 'contacts',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: 'mobile',
+    referenceField: null,
+    referencePrefix: null,
+  },
+  'contact-us': {
+    model: ContactUs,
+    permission: 'contacts',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: 'mobile',
+    referenceField: 'ticketReference',
+    referencePrefix: 'TICKET',
+  },
+  'media-submission': {
+    model: MediaSubmission,
+    permission: 'media',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: null,
+    referenceField: 'submissionReference',
+    referencePrefix: 'MED',
+  },
+  'news-submission': {
+    model: NewsSubmission,
+    permission: 'news',
+    statusField: 'status',
+    nameField: 'fullName',
+    mobileField: null,
+    referenceField: 'submissionReference',
+    referencePrefix: 'NEWS',
+  },
+  newsletter: {
+    model: Newsletter,
+    permission: 'newsletter',
+    statusField: 'status',
+    nameField: null,
+    mobileField: null,
+    referenceField: null,
+    referencePrefix: null,
+  },
+};
+
+// Reading any one type is enough to open the inbox
+const INBOX_PERMISSIONS = [...new Set(Object.values(INBOX_TYPES).map(({ permission }) => `${permission}:read`))];
+
+// Mobile numbers are compared on their last ten digits, so +91 and 0 prefixes still match
+const MOBILE_MATCH_DIGITS = 10;
+
+// A phone number as typed, e.g. "+91 (98765) 43210"; anything with letters is not one
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+
+// The types whose submissions the given permission grants can read
+const getReadableTypes = grants => Object.keys(INBOX_TYPES).filter(
+  type => hasPermission(grants || [], `${INBOX_TYPES[type].permission}:read`)
+);
+
+// What a search term looks for: { by: 'reference' | 'email' | 'mobile', value },
+// or null when it is none of them. A reference with a typo is not mistaken for a
+// phone number, as it has letters in it.
+const parseSearchTerm = (term) => {
+  const text = String(term).trim();
+
+  const reference = parseReference(text);
+  if (reference) return { by: 'reference', value: reference.reference, prefix: reference.prefix };
+
+  if (isValidEmail(text)) return { by: 'email', value: text.toLowerCase() };
+
+  const mobile = PHONE_PATTERN.test(text) && normalizeMobile(text);
+  if (mobile) return { by: 'mobile', value: mobile };
+
+  return null;
+};
+
+// Query for one type's records matching a parsed search term, or null when the
+// type cannot hold a match (no phone number, another reference prefix)
+const getSearchQuery = (type, { by, value, prefix }) => {
+  const { mobileField, referenceField, referencePrefix } = INBOX_TYPES[type];
+
+  if (by === 'email') return { email: value };
+  if (by === 'mobile') {
+    return mobileField ? { [mobileField]: { $regex: `${value.slice(-MOBILE_MATCH_DIGITS)}$` } } : null;
+  }
+  return referencePrefix === prefix ? { [referenceField]: value } : null;
+};
+
+// Fields to load for inbox items of a type
+const getItemFields = (type) => {
+  const { statusField, nameField, mobileField, referenceField } = INBOX_TYPES[type];
+  return ['email', 'createdAt', statusField, nameField, mobileField, referenceField].filter(Boolean).join(' ');
+};
+
+// The same shape for every type, with its age in seconds at `now`
+const toInboxItem = (type, doc, now = Date.now()) => {
+  const { statusField, nameField, mobileField, referenceField } = INBOX_TYPES[type];
+  return {
+    type,
+    id: doc._id,
+    reference: referenceField ? doc[referenceField] || null : null,
+    name: nameField ? doc[nameField] : null,
+    email: doc.email,
+    mobile: mobileField ? doc[mobileField] || null : null,
+    status: doc[statusField],
+    createdAt: doc.createdAt,
+    ageSeconds: Math.max(0, Math.floor((now - doc.createdAt) / 1000)),
+  };
+};
+
+module.exports = {
+  INBOX_TYPES,
+  INBOX_PERMISSIONS,
+  getReadableTypes,
+  parseSearchTerm,
+  getSearchQuery,
+  getItemFields,
+  toInboxItem,
+};
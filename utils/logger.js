@@ -0,0 +1,112 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging. Every entry is one JSON line:
+//
+//   {"time":"...","level":"info","msg":"Request completed","requestId":"...","userId":"...","status":200}
+//
+// Entries written while handling a request carry its requestId and userId
+// without being passed around: middleware/requestId starts a context for each
+// request, and the email worker does the same for each job.
+//
+// LOG_LEVEL     error, warn, info (default) or debug
+// LOG_FORMAT    json (default) or text for a readable line during development
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields whose values never reach the logs, compared case-insensitively
+const REDACTED_KEYS = new Set([
+  'password', 'currentpassword', 'newpassword', 'confirmpassword',
+  'token', 'refreshtoken', 'twofactortoken', 'resetpasswordtoken', 'unlocktoken',
+  'formtoken', 'captchatoken', 'secret', 'authorization', 'cookie',
+  'mobile', 'mobilenumber', 'phonenumber',
+  'ispersonwithdisability', 'disabilitytype', 'otherdisabilitytext',
+]);
+
+// Phone numbers that end up inside free text, e.g. duplicate-key messages
+const PHONE_NUMBER = /(?<![\w.])\+?\d{10,15}(?![\w.])/g;
+
+const MAX_DEPTH = 6;
+
+const storage = new AsyncLocalStorage();
+
+// Run fn with a logging context ({ requestId, req } or { requestId, emailJobId })
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getContext = () => storage.getStore() || {};
+
+const getRequestId = () => getContext().requestId;
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  code: error.code,
+  stack: error.stack,
+});
+
+// Copy a value for logging with secrets and personal data removed
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return value.replace(PHONE_NUMBER, '[redacted]');
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return redact(serializeError(value), depth, seen);
+  if (depth >= MAX_DEPTH || seen.has(value)) return '[truncated]';
+  seen.add(value);
+
+  if (typeof value.toJSON === 'function') {
+    const json = value.toJSON();
+    if (json !== value) return redact(json, depth, seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  return Object.keys(value).reduce((copy, key) => {
+    copy[key] = REDACTED_KEYS.has(key.toLowerCase()) ? '[redacted]' : redact(value[key], depth + 1, seen);
+    return copy;
+  }, {});
+};
+
+const configuredLevel = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()];
+const LEVEL = configuredLevel === undefined ? LEVELS.info : configuredLevel;
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] > LEVEL) return;
+
+  const { requestId, req, emailJobId } = getContext();
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId,
+    userId: req && req.user ? String(req.user._id) : undefined,
+    emailJobId,
+    ...fields,
+  });
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (process.env.LOG_FORMAT === 'text') {
+    const { time, requestId: id, msg: text, level: name, ...rest } = entry;
+    const extra = Object.keys(rest).some(key => rest[key] !== undefined) ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${name.toUpperCase()}${id ? ` [${id}]` : ''} ${text}${extra}\n`);
+    return;
+  }
+
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// logger.error('Something failed', { error, jobId }) - `error` may be an Error
+const logger = {
+  error: (msg, fields) => write('error', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  debug: (msg, fields) => write('debug', msg, fields),
+};
+
+module.exports = {
+  logger,
+  redact,
+  runWithContext,
+  getRequestId,
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const LoginAttempt = require('../models/loginAttempt');
+const SecurityEvent = require('../models/securityEvent');
+
+// Failures allowed before progressive delays kick in, and the longest delay
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 60;
+
+const LOGIN_POLICY = {
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP, 10) || 20,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000,
+  windowMs: (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Check whether a login attempt for this email and IP may be evaluated.
+// Returns { allowed, reason, retryAfter } where retryAfter is in seconds.
+const checkLoginAllowed = async (email, ipAddress) => {
+  const now = new Date();
+  const attempts = await LoginAttempt.find({
+    $or: [
+      { scope: 'account', key: email },
+      { scope: 'ip', key: ipAddress },
+    ],
+  });
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil > now) {
+      return {
+        allowed: false,
+        reason: attempt.scope === 'account' ? 'account-locked' : 'ip-locked',
+        retryAfter: Math.ceil((attempt.lockedUntil - now) / 1000),
+      };
+    }
+  }
+
+  for (const attempt of attempts) {
+    if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+      return {
+        allowed: false,
+        reason: 'delay',
+        retryAfter: Math.ceil((attempt.nextAttemptAt - now) / 1000),
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Atomically count one failure for a scope/key pair
+const incrementFailures = async (scope, key, now, windowMs) => {
+  // A lock that has run out starts a fresh count
+  await LoginAttempt.updateOne(
+    { scope, key, lockedUntil: { $lte: now } },
+    { $set: { failures: 0 }, $unset: { lockedUntil: 1, nextAttemptAt: 1, unlockToken: 1, unlockTokenExpire: 1 } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + windowMs) },
+  };
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true };
+
+  try {
+    return await LoginAttempt.findOneAndUpdate({ scope, key }, update, options);
+  } catch (error) {
+    // Two concurrent upserts can race on the unique index; the retry updates the winner
+    if (error.code === 11000) {
+      return LoginAttempt.findOneAndUpdate({ scope, key }, update, options);
+    }
+    throw error;
+  }
+};
+
+// Count a failure and apply the progressive delay or lockout.
+// Returns { locked, attempt, unlockToken } - unlockToken only for newly locked accounts.
+const registerFailure = async (scope, key, maxFailures) => {
+  const now = new Date();
+  const { lockoutMs, windowMs } = LOGIN_POLICY;
+  const attempt = await incrementFailures(scope, key, now, windowMs);
+
+  if (attempt.failures >= maxFailures) {
+    const lockedUntil = new Date(now.getTime() + lockoutMs);
+    const update = {
+      $set: { lockedUntil, expiresAt: lockedUntil },
+      $inc: { lockCount: 1 },
+      $unset: { nextAttemptAt: 1 },
+    };
+
+    let unlockToken;
+    if (scope === 'account') {
+      unlockToken = crypto.randomBytes(32).toString('hex');
+      update.$set.unlockToken = hashToken(unlockToken);
+      update.$set.unlockTokenExpire = lockedUntil;
+    }
+
+    // Only the request that actually sets the lock reports it
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { _id: attempt._id, lockedUntil: { $exists: false } },
+      update,
+      { new: true }
+    );
+
+    return locked ? { locked: true, attempt: locked, unlockToken } : { locked: false, attempt };
+  }
+
+  // Delays only apply per account; clients behind a shared IP would otherwise slow each other down
+  if (scope === 'account' && attempt.failures > FREE_ATTEMPTS) {
+    const delaySeconds = Math.min(2 ** (attempt.failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+    attempt.nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+    await LoginAttempt.updateOne({ _id: attempt._id }, { nextAttemptAt: attempt.nextAttemptAt });
+  }
+
+  return { locked: false, attempt };
+};
+
+// Record a failed login for both the account and the client IP.
+// Returns { accountLocked, unlockToken, lockedUntil } so the caller can email the owner.
+const recordFailedLogin = async ({ email, ipAddress, userAgent, user }) => {
+  const { maxAccountFailures, maxIpFailures } = LOGIN_POLICY;
+  const staffAccount = !!user && user.role !== 'user';
+
+  const account = await registerFailure('account', email, maxAccountFailures);
+  const ip = await registerFailure('ip', ipAddress, maxIpFailures);
+
+  if (account.locked) {
+    await SecurityEvent.create({
+      type: 'account-locked',
+      email,
+      user: user ? user._id : undefined,
+      staffAccount,
+      ipAddress,
+      userAgent,
+      failures: account.attempt.failures,
+      lockedUntil: account.attempt.lockedUntil,
+    });
+  }
+
+  if (ip.locked) {
+    await SecurityEvent.create({
+      type: 'ip-locked',
+      email,
+      user: user ? user._id : undefined,
+      staffAccount,
+      ipAddress,
+      userAgent,
+      failures: ip.attempt.failures,
+      lockedUntil: ip.attempt.lockedUntil,
+    });
+  }
+
+  return {
+    accountLocked: account.locked,
+    unlockToken: account.unlockToken,
+    lockedUntil: account.attempt.lockedUntil,
+  };
+};
+
+// Forget the account's failures after a successful login
+const recordSuccessfulLogin = async (email) => {
+  await LoginAttempt.deleteOne({ scope: 'account', key: email });
+};
+
+// Lift an account lock using the token from the unlock email.
+// Returns the unlocked email, or null when the token is invalid.
+const unlockWithToken = async (token, { ipAddress, userAgent }) => {
+  const attempt = await LoginAttempt.findOneAndDelete({
+    scope: 'account',
+    unlockToken: hashToken(token),
+    unlockTokenExpire: { $gt: new Date() },
+  });
+
+  if (!attempt) return null;
+
+  await SecurityEvent.create({
+    type: 'account-unlocked',
+    email: attempt.key,
+    ipAddress,
+    userAgent,
+    failures: attempt.failures,
+  });
+
+  return attempt.key;
+};
+
+// Clear a lockout on behalf of an admin
+const clearLockout = async (attemptId, admin) => {
+  const attempt = await LoginAttempt.findByIdAndDelete(attemptId);
+  if (!attempt) return null;
+
+  await SecurityEvent.create({
+    type: 'lockout-cleared',
+    email: attempt.scope === 'account' ? attempt.key : undefined,
+    ipAddress: attempt.scope === 'ip' ? attempt.key : undefined,
+    failures: attempt.failures,
+    performedBy: admin._id,
+  });
+
+  return attempt;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockWithToken,
+  clearLockout,
+};
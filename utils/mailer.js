@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+// Transports, chosen with MAIL_TRANSPORT:
+//   smtp     - any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   gmail    - Gmail with an app password (EMAIL_USER, EMAIL_PASS)
+//   outbox   - writes each message as JSON to MAIL_OUTBOX_DIR instead of sending it
+//   disabled - logs and drops messages
+// Without MAIL_TRANSPORT, Gmail is used when EMAIL_USER/EMAIL_PASS are set, the
+// outbox outside production, and nothing in production.
+const TRANSPORTS = ['smtp', 'gmail', 'outbox', 'disabled'];
+
+const pickTransport = () => {
+  const configured = (process.env.MAIL_TRANSPORT || '').toLowerCase();
+  if (TRANSPORTS.includes(configured)) return configured;
+
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) return 'gmail';
+  return process.env.NODE_ENV === 'production' ? 'disabled' : 'outbox';
+};
+
+const TRANSPORT_NAME = pickTransport();
+
+const OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+// The single identity every email is sent from
+const FROM_NAME = process.env.MAIL_FROM_NAME || 'MAD Foundation';
+const FROM_EMAIL = process.env.MAIL_FROM_ADDRESS || process.env.EMAIL_USER || process.env.SMTP_USER || 'no-reply@localhost';
+const FROM_ADDRESS = `"${FROM_NAME}" <${FROM_EMAIL}>`;
+
+// Where staff notifications go
+const ADMIN_ADDRESS = process.env.ADMIN_EMAIL || process.env.MAIL_FROM_ADDRESS || process.env.EMAIL_USER;
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+        } : undefined,
+      });
+    case 'gmail':
+      return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+        secure: true,
+        tls: {
+          rejectUnauthorized: true
+        }
+      });
+    case 'outbox':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      return null;
+  }
+};
+
+// One transport per process, created on first use
+let transport;
+
+const getTransport = () => {
+  if (transport === undefined) {
+    transport = createTransport(TRANSPORT_NAME);
+  }
+  return { name: TRANSPORT_NAME, transport };
+};
+
+// Send an email. `from` defaults to the configured identity.
+// Returns nodemailer's info object, or null when mail is disabled.
+const sendMail = async (message) => {
+  const { name, transport } = getTransport();
+  const mailOptions = { from: FROM_ADDRESS, ...message };
+
+  if (!transport) {
+    logger.info('Mail disabled, not sending', { subject: mailOptions.subject, to: mailOptions.to });
+    return null;
+  }
+
+  if (!mailOptions.to) {
+    throw new Error(`No recipient for "${mailOptions.subject}"`);
+  }
+
+  const info = await transport.sendMail(mailOptions);
+
+  if (name === 'outbox') {
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.json`;
+    await fs.promises.writeFile(path.join(OUTBOX_DIR, fileName), info.message);
+  }
+
+  return info;
+};
+
+// How long a transport check is reused, so frequent health probes do not hammer the SMTP server
+const TRANSPORT_CHECK_TTL_MS = 60 * 1000;
+const TRANSPORT_CHECK_TIMEOUT_MS = 5000;
+
+let lastCheck = { at: 0, result: null };
+
+// Whether mail can be sent: { transport, status } with status ok, disabled or error.
+// Only SMTP transports are contacted; the failure reason is logged, not returned.
+const checkTransport = async () => {
+  const { name, transport } = getTransport();
+  if (!transport) return { transport: name, status: 'disabled' };
+  if (name === 'outbox') return { transport: name, status: 'ok' };
+
+  if (lastCheck.result && Date.now() - lastCheck.at < TRANSPORT_CHECK_TTL_MS) {
+    return lastCheck.result;
+  }
+
+  // Concurrent probes share one check
+  const result = Promise.race([
+    transport.verify(),
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out')), TRANSPORT_CHECK_TIMEOUT_MS).unref()),
+  ])
+    .then(() => ({ transport: name, status: 'ok' }))
+    .catch((error) => {
+      logger.warn('Mail transport check failed', { transport: name, error });
+      return { transport: name, status: 'error' };
+    });
+
+  lastCheck = { at: Date.now(), result };
+  return result;
+};
+
+module.exports = {
+  TRANSPORT_NAME,
+  FROM_ADDRESS,
+  ADMIN_ADDRESS,
+  sendMail,
+  checkTransport,
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const { protect, protectStream, optionalAuth } = require('../middleware/authMiddleware');
+const { getRateLimitRules } = require('../config/rateLimits');
+const { rules } = require('./validation');
+const { version } = require('../package.json');
+
+// Builds the OpenAPI 3 document from the routers themselves, so it cannot drift
+// from what the API accepts:
+//   - request schemas, enums and required fields come from the `validate`
+//     middleware (each rule in utils/validation carries its JSON Schema)
+//   - auth from `protect`, `protectStream`, `optionalAuth`, `requirePermission`
+//     and `requireAnyPermission`
+//   - 429 responses from `rateLimit`, form-token notes from `spamGuard`
+//   - summaries, descriptions and 201 responses from `apiDoc` next to each route
+
+const CONTROLLERS_DIR = path.join(__dirname, '..', 'controllers');
+
+// Routes that look a document up by id can answer 404
+const OBJECT_ID_PATTERN = rules.objectId().schema.pattern;
+
+// Map each exported controller handler to its export name, used as the operationId
+const loadHandlerNames = () => {
+  const names = new Map();
+
+  fs.readdirSync(CONTROLLERS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .forEach((file) => {
+      const controller = require(path.join(CONTROLLERS_DIR, file));
+      Object.keys(controller)
+        .filter(name => typeof controller[name] === 'function')
+        .forEach(name => names.set(controller[name], name));
+    });
+
+  return names;
+};
+
+// { field: rule } -> an object schema
+const toObjectSchema = (schema) => {
+  const required = Object.keys(schema).filter(field => schema[field].required);
+  return {
+    type: 'object',
+    properties: Object.keys(schema).reduce((properties, field) => {
+      properties[field] = schema[field].schema;
+      return properties;
+    }, {}),
+    ...(required.length > 0 ? { required } : {}),
+    additionalProperties: false,
+  };
+};
+
+const toParameters = (location, schema = {}) => Object.keys(schema).map((name) => {
+  const rule = schema[name];
+  return {
+    name,
+    in: location,
+    required: location === 'path' || rule.required,
+    schema: rule.schema,
+    // Lists in the query string are comma-separated
+    ...(rule.schema.type === 'array' ? { style: 'form', explode: false } : {}),
+  };
+});
+
+const describeRateLimit = (policy) => getRateLimitRules(policy)
+  .map(rule => `${rule.max} per ${rule.windowMinutes} min per ${rule.by}`)
+  .join(', ');
+
+// `middleware` is everything the request passes through: router.use() handlers, then the route's own
+const buildOperation = (tag, method, routePath, middleware, handlerNames) => {
+  const operationId = handlerNames.get(middleware[middleware.length - 1]);
+  const doc = (middleware.find(fn => fn.doc) || {}).doc;
+  const schemas = middleware.filter(fn => fn.schemas).reduce((all, fn) => ({ ...all, ...fn.schemas }), {});
+  const permissions = middleware.filter(fn => fn.permissions).flatMap(fn => fn.permissions);
+  const anyPermissions = middleware.filter(fn => fn.anyPermissions).flatMap(fn => fn.anyPermissions);
+  const policy = (middleware.find(fn => fn.policy) || {}).policy;
+  const form = (middleware.find(fn => fn.form) || {}).form;
+  const isProtected = middleware.includes(protect) || middleware.includes(protectStream);
+  const pathParams = [...routePath.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  const notes = [];
+  if (doc && doc.description) notes.push(doc.description);
+  if (permissions.length > 0) notes.push(`Requires permission: ${permissions.join(', ')}.`);
+  if (anyPermissions.length > 0) notes.push(`Requires any of: ${anyPermissions.join(', ')}.`);
+  if (middleware.includes(protectStream)) notes.push('EventSource clients pass a token from `POST /api/admin/stream/token` as `?token=` instead of the Authorization header. Each token opens the stream once.');
+  if (middleware.includes(optionalAuth)) notes.push('A logged-in user is linked to the submission.');
+  if (form) notes.push(`Spam-checked: send a token from \`GET /api/forms/token?form=${form}\` as \`formToken\`.`);
+  if (policy) notes.push(`Rate limited (${policy}): ${describeRateLimit(policy)}.`);
+
+  const operation = {
+    tags: [tag],
+    summary: doc ? doc.summary : `${method.toUpperCase()} ${routePath}`,
+    ...(operationId ? { operationId } : {}),
+    ...(notes.length > 0 ? { description: notes.join('\n\n') } : {}),
+    parameters: [
+      ...pathParams.map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: schemas.params && schemas.params[name] ? schemas.params[name].schema : { type: 'string' },
+      })),
+      ...toParameters('query', schemas.query),
+    ],
+    responses: {
+      [doc ? String(doc.status) : '200']: { $ref: '#/components/responses/Success' },
+    },
+  };
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: Object.values(schemas.body).some(rule => rule.required),
+      content: { 'application/json': { schema: toObjectSchema(schemas.body) } },
+    };
+  }
+
+  if (isProtected) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (middleware.includes(optionalAuth)) {
+    operation.security = [{}, { bearerAuth: [] }];
+  } else {
+    operation.security = [];
+  }
+
+  if (Object.keys(schemas).length > 0) operation.responses['400'] = { $ref: '#/components/responses/ValidationFailed' };
+  if (isProtected) operation.responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+  if (permissions.length > 0 || anyPermissions.length > 0) operation.responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  if (operation.parameters.some(param => param.in === 'path' && param.schema.pattern === OBJECT_ID_PATTERN)) operation.responses['404'] = { $ref: '#/components/responses/NotFound' };
+  if (policy) operation.responses['429'] = { $ref: '#/components/responses/RateLimited' };
+  operation.responses.default = { $ref: '#/components/responses/Error' };
+
+  return operation;
+};
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean', example: false },
+    message: { type: 'string' },
+    code: { type: 'string', description: 'Stable error code, e.g. NOT_FOUND' },
+    requestId: { type: 'string', description: 'Also sent in the X-Request-Id header' },
+  },
+  required: ['success', 'message', 'code'],
+};
+
+const errorResponse = (description, schema = { $ref: '#/components/schemas/Error' }) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+const components = {
+  securitySchemes: {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+  },
+  schemas: {
+    Success: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        message: { type: 'string' },
+        data: {},
+        stats: { type: 'object' },
+        pagination: {
+          type: 'object',
+          properties: {
+            current: { type: 'integer' },
+            pages: { type: 'integer' },
+            total: { type: 'integer' },
+          },
+        },
+      },
+      required: ['success'],
+    },
+    Error: errorSchema,
+    ValidationError: {
+      allOf: [
+        { $ref: '#/components/schemas/Error' },
+        {
+          type: 'object',
+          properties: {
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } },
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+  responses: {
+    Success: {
+      description: 'Success',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } },
+    },
+    ValidationFailed: errorResponse('Invalid request (VALIDATION_FAILED lists each field)', { $ref: '#/components/schemas/ValidationError' }),
+    Unauthorized: errorResponse('Missing, invalid or expired access token'),
+    Forbidden: errorResponse('The role lacks a required permission'),
+    NotFound: errorResponse('Not found'),
+    RateLimited: {
+      ...errorResponse('Too many requests'),
+      headers: {
+        'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the limit resets' },
+      },
+    },
+    Error: errorResponse('Error'),
+  },
+};
+
+// Build the document for [mountPath, router] pairs
+const buildOpenApiSpec = (apiRoutes) => {
+  const handlerNames = loadHandlerNames();
+  const paths = {};
+  const tags = [];
+
+  apiRoutes.forEach(([mountPath, router]) => {
+    const tag = mountPath.replace(/^\/api\//, '');
+    tags.push({ name: tag });
+
+    // Middleware added with router.use() applies to the routes after it
+    const shared = [];
+
+    router.stack.forEach(({ route, handle }) => {
+      if (!route) {
+        shared.push(handle);
+        return;
+      }
+
+      const routePath = `${mountPath}${route.path === '/' ? '' : route.path}`;
+      const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+      paths[openApiPath] = paths[openApiPath] || {};
+
+      Object.keys(route.methods).filter(method => method !== '_all').forEach((method) => {
+        const middleware = [...shared, ...route.stack.filter(layer => layer.method === method).map(layer => layer.handle)];
+        paths[openApiPath][method] = buildOperation(tag, method, routePath, middleware, handlerNames);
+      });
+    });
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'MAD Foundation API',
+      version,
+      description: 'Every response has `success`; errors add `message`, `code` and `requestId`.',
+    },
+    tags,
+    paths,
+    components,
+  };
+};
+
+module.exports = { buildOpenApiSpec };
@@ -0,0 +1,62 @@
+const RateLimit = require('../models/rateLimit');
+
+// How long a finished window stays visible to admins
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Count one request for a client under a rule.
+// Returns { limited, limit, remaining, resetAt, counter }.
+const hitRateLimit = async (policy, rule, key, path) => {
+  const now = new Date();
+  const scope = rule.by;
+  const resetAt = new Date(now.getTime() + rule.windowMinutes * 60 * 1000);
+  const expiresAt = new Date(resetAt.getTime() + RETENTION_MS);
+
+  // A window that has run out starts a fresh count
+  await RateLimit.updateOne(
+    { policy, scope, key, resetAt: { $lte: now } },
+    { $set: { hits: 0, blocked: 0, windowStart: now, resetAt, expiresAt } }
+  );
+
+  const update = {
+    $inc: { hits: 1 },
+    $set: { limit: rule.max, lastPath: path },
+    $setOnInsert: { windowStart: now, resetAt, expiresAt },
+  };
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true };
+
+  let counter;
+  try {
+    counter = await RateLimit.findOneAndUpdate({ policy, scope, key }, update, options);
+  } catch (error) {
+    // Two concurrent upserts can race on the unique index; the retry updates the winner
+    if (error.code !== 11000) throw error;
+    counter = await RateLimit.findOneAndUpdate({ policy, scope, key }, update, options);
+  }
+
+  const limited = counter.hits > rule.max;
+  if (limited) {
+    await RateLimit.updateOne({ _id: counter._id }, { $inc: { blocked: 1 }, $set: { lastBlockedAt: now } });
+  }
+
+  return {
+    limited,
+    limit: rule.max,
+    remaining: Math.max(0, rule.max - counter.hits),
+    resetAt: counter.resetAt,
+    counter,
+  };
+};
+
+// Take back a counted request, e.g. one that ended in an error
+const undoRateLimitHit = async (counterId) => {
+  await RateLimit.updateOne({ _id: counterId, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+};
+
+// Forget a client's counter so it can make requests again
+const clearRateLimit = async (id) => RateLimit.findByIdAndDelete(id);
+
+module.exports = {
+  hitRateLimit,
+  undoRateLimitHit,
+  clearRateLimit,
+};
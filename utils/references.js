@@ -0,0 +1,105 @@
+const Counter = require('../models/counter');
+
+// Reference numbers given to submitters, e.g. DON-2026-27-000123-7:
+//   prefix           the kind of submission
+//   2026-27          the financial year (April to March, Indian time)
+//   000123           a per-prefix, per-year sequence from an atomic counter,
+//                    so two submissions can never get the same number
+//   7                a check digit (Damm algorithm), which catches any single
+//                    mistyped digit and any two swapped neighbouring digits
+// References issued before this format (DON-12345678-AB12) remain valid.
+
+const REFERENCE_PREFIXES = ['COLLAB', 'DON', 'INT', 'MED', 'NEWS', 'REG', 'TICKET', 'VOL'];
+
+const FINANCIAL_YEAR_START_MONTH = 4; // April
+const TIME_ZONE = 'Asia/Kolkata';
+const SEQUENCE_DIGITS = 6;
+
+const REFERENCE_PATTERN = /^([A-Z]+)-(\d{4})-(\d{2})-(\d{6,})-(\d)$/;
+const LEGACY_REFERENCE_PATTERN = /^([A-Z]+)-(\d{8})-([A-Z0-9]{4})$/;
+
+const DAMM_TABLE = [
+  [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+  [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+  [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+  [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+  [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+  [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+  [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+  [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+  [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+  [2, 5, 8, 1, 4, 3, 6, 7, 9, 0],
+];
+
+// Check digit for a string of digits; a valid number including its check digit gives 0
+const dammDigit = (digits) => [...digits].reduce((interim, digit) => DAMM_TABLE[interim][Number(digit)], 0);
+
+// "2026-27" for any date from 1 April 2026 to 31 March 2027
+const getFinancialYear = (date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: TIME_ZONE, year: 'numeric', month: 'numeric' }).formatToParts(date);
+  const year = Number(parts.find(part => part.type === 'year').value);
+  const month = Number(parts.find(part => part.type === 'month').value);
+  const startYear = month >= FINANCIAL_YEAR_START_MONTH ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Take the next number of a sequence, creating it on first use
+const nextSequence = async (name) => {
+  const update = { $inc: { seq: 1 } };
+  const options = { upsert: true, new: true };
+
+  try {
+    return (await Counter.findOneAndUpdate({ _id: name }, update, options)).seq;
+  } catch (error) {
+    // Two first uses can race to insert the counter; the retry increments the winner's
+    if (error.code !== 11000) throw error;
+    return (await Counter.findOneAndUpdate({ _id: name }, update, options)).seq;
+  }
+};
+
+// Issue the next reference for a prefix, e.g. generateReference('DON')
+const generateReference = async (prefix, date = new Date()) => {
+  if (!REFERENCE_PREFIXES.includes(prefix)) {
+    throw new Error(`Unknown reference prefix "${prefix}"`);
+  }
+
+  const financialYear = getFinancialYear(date);
+  const sequence = String(await nextSequence(`${prefix}-${financialYear}`)).padStart(SEQUENCE_DIGITS, '0');
+  const checkDigit = dammDigit(`${financialYear.replace('-', '')}${sequence}`);
+  return `${prefix}-${financialYear}-${sequence}-${checkDigit}`;
+};
+
+// Check a reference without touching the database. Returns
+// { reference, prefix, financialYear, sequence, legacy } with the reference
+// normalized, or null when it cannot be one of ours.
+const parseReference = (value) => {
+  const reference = String(value).trim().toUpperCase();
+
+  const legacy = reference.match(LEGACY_REFERENCE_PATTERN);
+  if (legacy) {
+    return REFERENCE_PREFIXES.includes(legacy[1]) ? { reference, prefix: legacy[1], legacy: true } : null;
+  }
+
+  const match = reference.match(REFERENCE_PATTERN);
+  if (!match) return null;
+
+  const [, prefix, startYear, endYear, sequence, checkDigit] = match;
+  if (!REFERENCE_PREFIXES.includes(prefix)) return null;
+  if ((Number(startYear) + 1) % 100 !== Number(endYear)) return null;
+  if (dammDigit(`${startYear}${endYear}${sequence}${checkDigit}`) !== 0) return null;
+
+  return {
+    reference,
+    prefix,
+    financialYear: `${startYear}-${endYear}`,
+    sequence: Number(sequence),
+    legacy: false,
+  };
+};
+
+module.exports = {
+  REFERENCE_PREFIXES,
+  getFinancialYear,
+  generateReference,
+  parseReference,
+};
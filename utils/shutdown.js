@@ -0,0 +1,51 @@
+const { disconnectDB, getDbState } = require('../config/db');
+const { stopEmailWorker, processQueue } = require('./emailQueue');
+const { stopWebhookWorker } = require('./webhooks');
+const { closeAdminStreams } = require('./adminStream');
+const { logger } = require('./logger');
+
+let shuttingDown = false;
+
+const isShuttingDown = () => shuttingDown;
+
+const SHUTDOWN_TIMEOUT_MS = (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 25) * 1000;
+
+// Stop accepting connections, let in-flight requests finish, send the emails
+// they queued, then close MongoDB. Queued webhook deliveries wait for the next
+// start. Exits with 1 if that takes longer than SHUTDOWN_TIMEOUT_SECONDS (keep it
+// below the orchestrator's kill grace period).
+const shutdown = async (server, signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Shutting down', { signal });
+
+  setTimeout(() => {
+    logger.error('Shutdown timed out, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  try {
+    // Open admin streams would otherwise keep server.close() waiting
+    closeAdminStreams();
+    await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+    await Promise.all([stopEmailWorker(), stopWebhookWorker()]);
+    if (getDbState() === 'connected') {
+      await processQueue();
+    }
+    await disconnectDB();
+    logger.info('Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Shutdown failed', { error });
+    process.exit(1);
+  }
+};
+
+const handleShutdownSignals = (server) => {
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, () => shutdown(server, signal)));
+};
+
+module.exports = {
+  isShuttingDown,
+  handleShutdownSignals,
+};
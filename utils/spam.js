@@ -0,0 +1,209 @@
+const Contact = require('../models/contact');
+const ContactUs = require('../models/contactUs');
+const Collaboration = require('../models/collaboration');
+const Donation = require('../models/donation');
+const Volunteer = require('../models/volunteer');
+const Intern = require('../models/intern');
+const EventRegistration = require('../models/eventRegistration');
+const MediaSubmission = require('../models/mediaSubmission');
+const NewsSubmission = require('../models/newsSubmission');
+const { HONEYPOT_FIELD, SPAM_WEIGHTS, SPAM_SETTINGS } = require('../config/spam');
+const { verifyFormToken } = require('./formTokens');
+const { verifyCaptcha } = require('./captcha');
+const { logger } = require('./logger');
+const { rules } = require('./validation');
+
+// Public forms covered by the spam check, by form name.
+//   statusField   where "spam" is stored
+//   permission    resource whose read/update permissions cover the submissions
+//   contentField  main free-text field, compared against earlier submissions
+//   skipFields    text fields that are not prose (URLs) and are left out of scoring
+//   webhookPrefix start of the form's event names (config/events)
+const SPAM_FORMS = {
+  contact: { model: Contact, statusField: 'status', permission: 'contacts', contentField: 'message', webhookPrefix: 'contact' },
+  'contact-us': { model: ContactUs, statusField: 'status', permission: 'contacts', contentField: 'message', webhookPrefix: 'ticket' },
+  collaboration: { model: Collaboration, statusField: 'status', permission: 'collaborations', contentField: 'message', webhookPrefix: 'collaboration' },
+  donation: { model: Donation, statusField: 'status', permission: 'donations', contentField: 'message', webhookPrefix: 'donation' },
+  volunteer: { model: Volunteer, statusField: 'status', permission: 'volunteers', contentField: 'howToHelp', webhookPrefix: 'volunteer' },
+  internship: { model: Intern, statusField: 'status', permission: 'interns', contentField: 'motivation', webhookPrefix: 'internship' },
+  'event-registration': { model: EventRegistration, statusField: 'registrationStatus', permission: 'events', webhookPrefix: 'event.registration' },
+  'media-submission': { model: MediaSubmission, statusField: 'status', permission: 'media', contentField: 'description', skipFields: ['mediaUrl'], webhookPrefix: 'media.submission' },
+  'news-submission': { model: NewsSubmission, statusField: 'status', permission: 'news', contentField: 'newsUpdate', webhookPrefix: 'news.submission' },
+};
+
+// Extra body fields every protected form accepts; spread into the form's request schema
+const spamFields = () => ({
+  formToken: rules.string({ max: 100, sanitize: false }),
+  captchaToken: rules.string({ max: 4096, sanitize: false }),
+  [HONEYPOT_FIELD]: rules.string({ max: 1000 }),
+});
+
+const LINK = /https?:\/\/|www\.[a-z0-9-]+\.[a-z]/gi;
+
+const countLinks = (text) => (text.match(LINK) || []).length;
+
+// Checks run against { form, fields, text, email, signals } and return
+// { points, reason }, a list of them, or nothing.
+// signals: { formToken, captchaToken, honeypot, ipAddress }
+const checks = [];
+
+// Add a check to the scorer
+const registerSpamCheck = (name, run) => {
+  checks.push({ name, run });
+};
+
+registerSpamCheck('honeypot', ({ signals }) => {
+  if (signals.honeypot) {
+    return { points: SPAM_WEIGHTS.honeypot, reason: 'Hidden honeypot field was filled in' };
+  }
+});
+
+registerSpamCheck('form-token', ({ form, signals }, settings) => {
+  const { status, ageSeconds } = verifyFormToken(signals.formToken, form);
+
+  if (status === 'missing') {
+    return {
+      points: settings.tokenRequired ? settings.threshold : SPAM_WEIGHTS.missingToken,
+      reason: 'No form token',
+    };
+  }
+  if (status === 'invalid') return { points: SPAM_WEIGHTS.invalidToken, reason: 'Invalid form token' };
+  if (status === 'expired') return { points: SPAM_WEIGHTS.expiredToken, reason: 'Expired form token' };
+  if (status === 'too-fast') {
+    return { points: SPAM_WEIGHTS.tooFast, reason: `Form sent back ${ageSeconds}s after it was loaded` };
+  }
+});
+
+registerSpamCheck('captcha', async ({ signals }) => {
+  const { status } = await verifyCaptcha(signals.captchaToken, signals.ipAddress);
+  if (status === 'missing') return { points: SPAM_WEIGHTS.captchaFailed, reason: 'No CAPTCHA response' };
+  if (status === 'failed') return { points: SPAM_WEIGHTS.captchaFailed, reason: 'CAPTCHA verification failed' };
+});
+
+registerSpamCheck('keywords', ({ text }, settings) => {
+  const lower = text.toLowerCase();
+  const found = settings.keywords.filter(keyword => lower.includes(keyword));
+  if (found.length > 0) {
+    return {
+      points: Math.min(found.length * SPAM_WEIGHTS.keyword, SPAM_WEIGHTS.maxKeywords),
+      reason: `Spam keywords: ${found.slice(0, 5).join(', ')}`,
+    };
+  }
+});
+
+registerSpamCheck('links', ({ fields, text }) => {
+  const results = [];
+  const links = countLinks(text);
+
+  if (links >= 3) {
+    results.push({ points: SPAM_WEIGHTS.manyLinks, reason: `${links} links` });
+  } else if (links === 2) {
+    results.push({ points: SPAM_WEIGHTS.someLinks, reason: '2 links' });
+  }
+
+  // BBCode and anchor markup only make sense to a forum bot
+  if (/\[url[=\]]|a href=/i.test(text)) {
+    results.push({ points: SPAM_WEIGHTS.linkMarkup, reason: 'Link markup' });
+  }
+
+  if (typeof fields.fullName === 'string' && countLinks(fields.fullName) > 0) {
+    results.push({ points: SPAM_WEIGHTS.linkInName, reason: 'Link in name' });
+  }
+
+  return results;
+});
+
+registerSpamCheck('repeated-text', ({ text }) => {
+  const words = text.toLowerCase().split(/\s+/).filter(word => word.length > 2);
+  const counts = words.reduce((map, word) => map.set(word, (map.get(word) || 0) + 1), new Map());
+  const mostRepeated = Math.max(0, ...counts.values());
+
+  if (/(.)\1{9,}/.test(text) || (words.length >= 8 && mostRepeated / words.length > 0.4)) {
+    return { points: SPAM_WEIGHTS.repeatedText, reason: 'Repeated text' };
+  }
+});
+
+// The same message sent from several addresses is a campaign, not a person
+registerSpamCheck('duplicate-content', async ({ form, fields, email }) => {
+  const { model, contentField } = SPAM_FORMS[form];
+  const content = contentField && fields[contentField];
+  if (typeof content !== 'string' || content.length < 20) return null;
+
+  const duplicate = await model.exists({
+    [contentField]: content,
+    email: { $ne: email },
+    createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
+  });
+  if (duplicate) {
+    return { points: SPAM_WEIGHTS.duplicateContent, reason: 'Same message already sent from another email' };
+  }
+});
+
+registerSpamCheck('disposable-email', ({ email }, settings) => {
+  const domain = typeof email === 'string' ? email.split('@').pop() : '';
+  if (domain && settings.disposableDomains.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`))) {
+    return { points: SPAM_WEIGHTS.disposableEmail, reason: `Disposable email domain ${domain}` };
+  }
+});
+
+// The prose of a submission: every text field except email and skipFields
+const collectText = (form, fields) => {
+  const skip = ['email', ...(SPAM_FORMS[form].skipFields || [])];
+  return Object.entries(fields)
+    .filter(([field, value]) => typeof value === 'string' && !skip.includes(field))
+    .map(([, value]) => value)
+    .join('\n');
+};
+
+// Score a submission. A check that throws is logged and skipped.
+// Returns { score, reasons, isSpam }.
+const scoreSubmission = async (form, fields, signals) => {
+  if (!SPAM_FORMS[form]) {
+    throw new Error(`Unknown spam form "${form}"`);
+  }
+
+  const submission = {
+    form,
+    fields,
+    text: collectText(form, fields),
+    email: fields.email,
+    signals,
+  };
+
+  const results = await Promise.all(checks.map(async (check) => {
+    try {
+      return await check.run(submission, SPAM_SETTINGS);
+    } catch (error) {
+      logger.error('Spam check error', { form, check: check.name, error });
+      return null;
+    }
+  }));
+
+  const hits = results.flat().filter(result => result && result.points > 0);
+  const score = hits.reduce((total, hit) => total + hit.points, 0);
+
+  return {
+    score,
+    reasons: hits.map(hit => hit.reason),
+    isSpam: score >= SPAM_SETTINGS.threshold,
+  };
+};
+
+// Fields to store with a new submission: its score, and status "spam" when it is spam
+const getSpamFields = (req, statusField = 'status') => {
+  if (!req.spam) return {};
+
+  const result = { spamScore: req.spam.score, spamReasons: req.spam.reasons };
+  if (req.spam.isSpam) {
+    result[statusField] = 'spam';
+  }
+  return result;
+};
+
+module.exports = {
+  SPAM_FORMS,
+  spamFields,
+  registerSpamCheck,
+  scoreSubmission,
+  getSpamFields,
+};
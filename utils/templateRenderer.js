@@ -0,0 +1,187 @@
+// Minimal template language for stored email templates:
+//   {{name}}           value, HTML-escaped when rendering HTML
+//   {{{name}}}         value without escaping
+//   {{#if name}} ... {{else if name == "x"}} ... {{else}} ... {{/if}}
+// Conditions are a variable (optionally negated with !) or a comparison
+// with a quoted string using == or !=. Dotted paths like {{event.title}} work.
+const TOKEN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|else if|else|\/if)?\s*([^}]*?)\s*\}\}/g;
+const CONDITION = /^(!)?([\w.]+)(?:\s*(==|!=)\s*"([^"]*)")?$/;
+const PATH = /^[\w.]+$/;
+
+class TemplateSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+  }
+}
+
+const parseCondition = (source) => {
+  const match = source.match(CONDITION);
+  if (!match) {
+    throw new TemplateSyntaxError(`Invalid condition "${source}"`);
+  }
+  const [, negate, path, operator, value] = match;
+  return { negate: !!negate, path, operator, value };
+};
+
+// Turn template source into a tree of text, variable and if nodes
+const compile = (source) => {
+  const root = { children: [] };
+  const stack = [];
+  let current = root.children;
+  let lastIndex = 0;
+  let match;
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TOKEN.lastIndex;
+
+    const [, rawPath, keyword, expression] = match;
+
+    if (rawPath) {
+      current.push({ type: 'var', path: rawPath, raw: true });
+    } else if (keyword === '#if') {
+      const node = { type: 'if', branches: [{ condition: parseCondition(expression), children: [] }] };
+      current.push(node);
+      stack.push(node);
+      current = node.branches[0].children;
+    } else if (keyword === 'else if' || keyword === 'else') {
+      const node = stack[stack.length - 1];
+      if (!node || node.otherwise) {
+        throw new TemplateSyntaxError(`Unexpected {{${keyword}}}`);
+      }
+      if (keyword === 'else if') {
+        node.branches.push({ condition: parseCondition(expression), children: [] });
+        current = node.branches[node.branches.length - 1].children;
+      } else {
+        if (expression) {
+          throw new TemplateSyntaxError('Use {{else if ...}} for a conditional else');
+        }
+        node.otherwise = [];
+        current = node.otherwise;
+      }
+    } else if (keyword === '/if') {
+      if (!stack.length) {
+        throw new TemplateSyntaxError('Unexpected {{/if}}');
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent
+        ? (parent.otherwise || parent.branches[parent.branches.length - 1].children)
+        : root.children;
+    } else {
+      if (!PATH.test(expression)) {
+        throw new TemplateSyntaxError(`Invalid variable "{{${expression}}}"`);
+      }
+      current.push({ type: 'var', path: expression, raw: false });
+    }
+  }
+
+  if (stack.length) {
+    throw new TemplateSyntaxError('Missing {{/if}}');
+  }
+
+  if (lastIndex < source.length) {
+    current.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root.children;
+};
+
+const lookup = (data, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  data
+);
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+const evaluate = ({ negate, path, operator, value }, data) => {
+  const actual = lookup(data, path);
+  let result;
+  if (operator === '==') result = String(actual) === value;
+  else if (operator === '!=') result = String(actual) !== value;
+  else result = isTruthy(actual);
+  return negate ? !result : result;
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const format = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+const renderNodes = (nodes, data, html) => nodes.map((node) => {
+  if (node.type === 'text') return node.value;
+
+  if (node.type === 'var') {
+    const value = format(lookup(data, node.path));
+    return html && !node.raw ? escapeHtml(value) : value;
+  }
+
+  const branch = node.branches.find(candidate => evaluate(candidate.condition, data));
+  const children = branch ? branch.children : (node.otherwise || []);
+  return renderNodes(children, data, html);
+}).join('');
+
+// Render template source. `html` escapes {{values}}; use false for subjects and plain text.
+const render = (source, data = {}, { html = false } = {}) => renderNodes(compile(source || ''), data, html);
+
+// Every variable a template refers to, in values or conditions
+const extractVariables = (source) => {
+  const variables = new Set();
+  const walk = (nodes) => nodes.forEach((node) => {
+    if (node.type === 'var') variables.add(node.path);
+    if (node.type === 'if') {
+      node.branches.forEach((branch) => {
+        variables.add(branch.condition.path);
+        walk(branch.children);
+      });
+      if (node.otherwise) walk(node.otherwise);
+    }
+  });
+  walk(compile(source || ''));
+  return [...variables].sort();
+};
+
+// Derive a plain-text version from HTML template source; template tags are kept
+const htmlToText = (html) => (html || '')
+  .replace(/<style[\s\S]*?<\/style>/gi, '')
+  // {{#if}}, {{else}} and {{/if}} on a line of their own stay on their own line
+  .replace(/^[ \t]*(\{\{\s*(?:#if|else|\/if)[^}]*\}\})[ \t]*$/gm, '<br>$1<br>')
+  .replace(/\s+/g, ' ')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (all, href, label) => {
+    const text = label.replace(/<[^>]+>/g, '').trim();
+    if (href.startsWith('tel:')) return text;
+    const target = href.replace(/^mailto:/, '');
+    return text === target ? text : `${text} (${target})`;
+  })
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '\n- ')
+  .replace(/<hr[^>]*>/gi, '\n\n---\n\n')
+  .replace(/<\/(p|div|h[1-6]|ul|ol|tr|table)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .split('\n')
+  .map(line => line.trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+module.exports = {
+  TemplateSyntaxError,
+  compile,
+  render,
+  extractVariables,
+  htmlToText,
+};
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const UsedToken = require('../models/usedToken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Get client info
+const getClientInfo = (req) => ({
+  ipAddress: req.ip || req.socket.remoteAddress,
+  userAgent: req.get('User-Agent') || '',
+});
+
+// Issue time (in seconds) for a new token of the user: now, or the first whole
+// second after a password change made this second, which changedPasswordAfter
+// would otherwise count the token as older than
+const getTokenIssuedAt = (user) => {
+  const now = Math.floor(Date.now() / 1000);
+  return user.passwordChangedAt ? Math.max(now, Math.ceil(user.passwordChangedAt.getTime() / 1000)) : now;
+};
+
+// Short-lived access token bound to a session. `issuedAt` (in seconds) replaces
+// the issue time; see getTokenIssuedAt.
+const generateAccessToken = (userId, sessionId, issuedAt) => {
+  const payload = { id: userId, sid: sessionId };
+  if (issuedAt) payload.iat = issuedAt;
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+};
+
+// One-minute token for opening the admin event stream, which browsers can only
+// pass in the URL; it is not accepted as an access token. Its `jti` lets it be
+// used only once (see consumeToken), so one copied from a log or the browser
+// history cannot open another stream.
+const STREAM_TOKEN_EXPIRES_SECONDS = 60;
+
+const generateStreamToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId, purpose: 'admin-stream' }, process.env.JWT_SECRET, {
+    expiresIn: STREAM_TOKEN_EXPIRES_SECONDS,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+// Record a single-use token as used. Resolves false when it has no ID or was
+// used before; the unique index settles two requests presenting it at once.
+const consumeToken = async ({ jti, purpose, id, exp }) => {
+  if (!jti) return false;
+
+  try {
+    await UsedToken.create({ jti, purpose, user: id, expiresAt: new Date(exp * 1000) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Opaque refresh token; only its hash is stored
+const issueRefreshToken = async (session) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    session: session._id,
+    user: session.user,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: session.expiresAt,
+  });
+
+  return refreshToken;
+};
+
+// Start a new session for a device and issue its first token pair
+const createSession = async (user, req) => {
+  const session = await Session.create({
+    user: user._id,
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    session,
+    token: generateAccessToken(user._id, session._id, getTokenIssuedAt(user)),
+    refreshToken: await issueRefreshToken(session),
+  };
+};
+
+// Exchange a refresh token for a new token pair.
+// Returns { error } when the token cannot be used; reuse of an already
+// rotated token revokes the whole session.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const storedToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!storedToken || storedToken.expiresAt <= new Date()) {
+    return { error: 'invalid' };
+  }
+
+  const session = await Session.findById(storedToken.session);
+  if (!session || !session.isActive()) {
+    return { error: 'invalid' };
+  }
+
+  // Its token is dated like a new session's, so a refresh in the same second as
+  // a password change is not taken for an older token
+  const user = await User.findById(session.user).select('passwordChangedAt');
+  if (!user) {
+    return { error: 'invalid' };
+  }
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: storedToken._id, rotatedAt: { $exists: false } },
+    { rotatedAt: new Date() }
+  );
+
+  if (!claimed) {
+    await revokeSession(session._id, 'token-reuse');
+    return { error: 'reused', session };
+  }
+
+  const { ipAddress, userAgent } = getClientInfo(req);
+  session.lastUsedAt = new Date();
+  session.ipAddress = ipAddress;
+  session.userAgent = userAgent;
+  await session.save();
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id, getTokenIssuedAt(user)),
+    refreshToken: await issueRefreshToken(session),
+  };
+};
+
+// Revoke a single session and every refresh token issued for it
+const revokeSession = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.deleteMany({ session: sessionId });
+};
+
+// Revoke every session of a user, optionally keeping the current one
+const revokeAllSessions = async (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query).select('_id');
+  const sessionIds = sessions.map(session => session._id);
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.deleteMany({ session: { $in: sessionIds } });
+
+  return sessionIds.length;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  getTokenIssuedAt,
+  generateAccessToken,
+  STREAM_TOKEN_EXPIRES_SECONDS,
+  generateStreamToken,
+  consumeToken,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
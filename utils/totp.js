@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits),
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const generateHotp = (key, counter, digits = DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// New random secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Current code for a base32 secret
+const generateTotp = (secret, time = Date.now()) => generateHotp(base32Decode(secret), getStep(time));
+
+// Check a code against the current step and `window` steps either side.
+// Returns the matching step (store it to reject replays) or null.
+const verifyTotp = (secret, code, { window = 1, lastUsedStep } = {}) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = getStep();
+  const submitted = Buffer.from(code.trim());
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = Buffer.from(generateHotp(key, step));
+    if (crypto.timingSafeEqual(expected, submitted)) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const buildOtpauthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// One-time recovery codes, shown once and stored as hashes
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+};
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Request validation. A schema maps field names to rules built with `rules`:
+//
+//   const schema = {
+//     fullName: rules.string({ required: true, min: 2, max: 100 }),
+//     email: rules.email({ required: true }),
+//     status: rules.oneOf(['pending', 'approved']),
+//   };
+//
+// validateInput(schema, req.body) returns the cleaned values (trimmed, sanitized,
+// converted) and a list of { field, message } errors. Fields that are not in the
+// schema are reported as errors. Missing optional fields are left out of the result
+// unless the rule has a `default`.
+//
+// Every rule also carries `schema`, its JSON Schema, from which utils/openapi
+// documents the API.
+
+// Strip markup and script vectors from free text
+const sanitizeInput = (input) => {
+  if (typeof input !== 'string') return input;
+
+  return input
+    .trim()
+    .replace(/[<>]/g, '') // Remove < and > to prevent HTML injection
+    .replace(/javascript:/gi, '') // Remove javascript: protocol
+    .replace(/on\w+=/gi, ''); // Remove event handlers
+};
+
+// The one email check used by requests and models alike
+const isValidEmail = (email) => typeof email === 'string'
+  && email.length <= 254
+  && validator.isEmail(email)
+  && !/\.{2,}|^\.|\.$|[<>]/.test(email);
+
+// Reduce a phone number to its digits, or null if it does not look real
+const normalizeMobile = (mobile) => {
+  const digits = String(mobile).replace(/\D/g, '');
+  if (digits.length < 10 || digits.length > 15) return null;
+  if (/^(.)\1{9,}$/.test(digits)) return null; // Same digit repeated
+  return digits;
+};
+
+class FieldError extends Error {}
+
+// "fullName" -> "Full name"
+const toLabel = (field) => {
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const isMissing = (value) => value === undefined
+  || value === null
+  || (typeof value === 'string' && value.trim() === '');
+
+// Wrap a conversion function with the options every rule shares:
+// required, default, label, message (replaces any error message) and check
+// (extra validation returning an error message or nothing)
+const createRule = (convert, options = {}, schema = {}) => ({
+  required: !!options.required,
+  hasDefault: Object.prototype.hasOwnProperty.call(options, 'default'),
+  default: options.default,
+  run(value, field) {
+    const label = options.label || toLabel(field);
+    try {
+      const converted = convert(value, label, field);
+      const problem = options.check && options.check(converted);
+      if (problem) throw new FieldError(problem);
+      return converted;
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      throw new FieldError(options.message || error.message);
+    }
+  },
+  label: options.label,
+  schema: {
+    ...schema,
+    ...(options.default !== undefined && typeof options.default !== 'function' ? { default: options.default } : {}),
+  },
+});
+
+// minLength/maxLength (or minItems/maxItems) for a schema, leaving out unset bounds
+const lengthSchema = ({ min, max }, [minKey, maxKey] = ['minLength', 'maxLength']) => ({
+  ...(min !== undefined ? { [minKey]: min } : {}),
+  ...(max !== undefined ? { [maxKey]: max } : {}),
+});
+
+const checkLength = (value, label, { min, max }) => {
+  if (min !== undefined && max !== undefined && (value.length < min || value.length > max)) {
+    throw new FieldError(`${label} must be between ${min}-${max} characters`);
+  }
+  if (min !== undefined && value.length < min) {
+    throw new FieldError(`${label} must be at least ${min} characters`);
+  }
+  if (max !== undefined && value.length > max) {
+    throw new FieldError(`${label} must be at most ${max} characters`);
+  }
+};
+
+const rules = {
+  // Free text. Sanitized and trimmed unless `sanitize: false` (passwords, template bodies).
+  string: (options = {}) => createRule((value, label) => {
+    if (typeof value !== 'string') throw new FieldError(`${label} must be text`);
+    let text = options.sanitize === false ? value : sanitizeInput(value);
+    if (options.trim !== false) text = text.trim();
+    if (options.lowercase) text = text.toLowerCase();
+    checkLength(text, label, options);
+    if (options.pattern && !options.pattern.test(text)) {
+      throw new FieldError(options.patternMessage || `${label} is not in the right format`);
+    }
+    return text;
+  }, options, {
+    type: 'string',
+    ...lengthSchema(options),
+    ...(options.pattern ? { pattern: options.pattern.source } : {}),
+  }),
+
+  email: (options = {}) => createRule((value) => {
+    const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!isValidEmail(email)) throw new FieldError('Please enter a valid email address');
+    return email;
+  }, options, { type: 'string', format: 'email', maxLength: 254 }),
+
+  // Phone numbers are stored as digits only
+  mobile: (options = {}) => createRule((value, label) => {
+    if (typeof value !== 'string' && typeof value !== 'number') throw new FieldError(`${label} must be text`);
+    const digits = normalizeMobile(value);
+    if (!digits) throw new FieldError(`${label} must be a valid number of 10-15 digits`);
+    return digits;
+  }, options, { type: 'string', description: 'Phone number of 10-15 digits; other characters are removed', example: '9876543210' }),
+
+  oneOf: (values, options = {}) => createRule((value, label) => {
+    const text = typeof value === 'string' ? value.trim() : value;
+    if (!values.includes(text)) throw new FieldError(`${label} must be one of: ${values.join(', ')}`);
+    return text;
+  }, options, { type: typeof values[0] === 'number' ? 'number' : 'string', enum: values }),
+
+  // Numbers may arrive as strings (query parameters, form posts)
+  number: (options = {}) => createRule((value, label) => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) throw new FieldError(`${label} must be a number`);
+    if (options.integer && !Number.isInteger(number)) throw new FieldError(`${label} must be a whole number`);
+    if (options.min !== undefined && number < options.min) throw new FieldError(`${label} must be at least ${options.min}`);
+    if (options.max !== undefined && number > options.max) throw new FieldError(`${label} must be at most ${options.max}`);
+    return number;
+  }, options, {
+    type: options.integer ? 'integer' : 'number',
+    ...(options.min !== undefined ? { minimum: options.min } : {}),
+    ...(options.max !== undefined ? { maximum: options.max } : {}),
+  }),
+
+  boolean: (options = {}) => createRule((value, label) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    throw new FieldError(`${label} must be true or false`);
+  }, options, { type: 'boolean' }),
+
+  date: (options = {}) => createRule((value, label) => {
+    const date = new Date(value);
+    if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date.getTime())) {
+      throw new FieldError(`${label} must be a valid date`);
+    }
+    return date;
+  }, options, { type: 'string', format: 'date-time' }),
+
+  objectId: (options = {}) => createRule((value, label) => {
+    if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value) || !/^[a-f0-9]{24}$/i.test(value)) {
+      throw new FieldError(`${label} must be a valid id`);
+    }
+    return value;
+  }, options, { type: 'string', pattern: '^[a-fA-F0-9]{24}$' }),
+
+  url: (options = {}) => createRule((value, label) => {
+    const url = typeof value === 'string' ? value.trim() : '';
+    if (!validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true })) {
+      throw new FieldError(`${label} must be a valid http(s) URL`);
+    }
+    checkLength(url, label, options);
+    return url;
+  }, options, { type: 'string', format: 'uri', ...lengthSchema(options) }),
+
+  // A list of values checked with `item`. Query strings may pass "a,b,c".
+  array: (item, options = {}) => createRule((value, label, field) => {
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list)) throw new FieldError(`${label} must be a list`);
+    if (options.min !== undefined && list.length < options.min) throw new FieldError(`${label} must have at least ${options.min} item(s)`);
+    if (options.max !== undefined && list.length > options.max) throw new FieldError(`${label} must have at most ${options.max} item(s)`);
+    const cleaned = list.map(entry => item.run(entry, field));
+    return options.unique ? [...new Set(cleaned)] : cleaned;
+  }, options, {
+    type: 'array',
+    items: item.schema,
+    ...lengthSchema(options, ['minItems', 'maxItems']),
+  }),
+
+  // Free-form JSON object, e.g. template sample data
+  object: (options = {}) => createRule((value, label) => {
+    if (typeof value !== 'object' || Array.isArray(value)) throw new FieldError(`${label} must be an object`);
+    return value;
+  }, options, { type: 'object' }),
+};
+
+// Validate one request part against a schema
+const validateInput = (schema, input) => {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  Object.keys(source).forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push({ field, message: 'Unknown field' });
+    }
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = source[field];
+
+    if (isMissing(raw)) {
+      if (rule.required) {
+        errors.push({ field, message: `${rule.label || toLabel(field)} is required` });
+      } else if (rule.hasDefault) {
+        value[field] = typeof rule.default === 'function' ? rule.default() : rule.default;
+      }
+      return;
+    }
+
+    try {
+      value[field] = rule.run(raw, field);
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      errors.push({ field, message: error.message });
+    }
+  });
+
+  return { value, errors };
+};
+
+// Page and limit for list endpoints; `maxPage` caps how deep a list can be paged
+const pagination = (defaultLimit = 10, { maxPage } = {}) => ({
+  page: rules.number({ integer: true, min: 1, max: maxPage, default: 1 }),
+  limit: rules.number({ integer: true, min: 1, max: 100, default: defaultLimit }),
+});
+
+module.exports = {
+  rules,
+  validateInput,
+  pagination,
+  sanitizeInput,
+  isValidEmail,
+  normalizeMobile,
+};
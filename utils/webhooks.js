@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const { logger, runWithContext, getRequestId } = require('./logger');
+const { getDbState } = require('../config/db');
+
+// Outbound webhooks. For each event published through utils/events a delivery is
+// queued for every active subscription to it and POSTed by the worker as JSON with
+//   X-Webhook-Event      the event name
+//   X-Webhook-Id         the event ID, the same on retries and replays
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the secret>
+// Any 2xx answer counts as delivered; anything else is retried with backoff.
+
+const BATCH_SIZE = 10;
+const LOCK_MS = 2 * 60 * 1000; // A delivery stuck in "sending" longer than this is picked up again
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const WEBHOOK_CONFIG = {
+  intervalMs: parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS, 10) || 5000,
+  timeoutMs: (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000,
+  baseBackoffMs: (parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30) * 1000,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  retentionMs: (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+};
+
+// 30s, 1m, 2m, 4m... capped at six hours, with jitter so a recovering receiver is not hit all at once
+const getBackoffMs = (attempts, baseBackoffMs) => {
+  const delay = Math.min(baseBackoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Check an X-Webhook-Signature header the way a receiver should: the HMAC has
+// to match and the timestamp has to be recent, so captured requests cannot be replayed later
+const verifySignature = (secret, header, body, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) => {
+  const parts = String(header || '').split(',').reduce((all, part) => {
+    const [key, value] = part.trim().split('=');
+    all[key] = value;
+    return all;
+  }, {});
+
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+let timer = null;
+let running = false;
+
+// Deliver straight away when a worker is running in this process
+const scheduleProcessing = () => {
+  if (timer) {
+    setImmediate(() => runWithContext({}, processWebhookQueue));
+  }
+};
+
+const queueDeliveries = async (webhookIds, payload, { replayOf, requestedBy } = {}) => {
+  if (webhookIds.length === 0) return [];
+
+  const deliveries = await WebhookDelivery.insertMany(webhookIds.map(webhook => ({
+    webhook,
+    event: payload.event,
+    eventId: payload.id,
+    payload,
+    maxAttempts: WEBHOOK_CONFIG.maxAttempts,
+    replayOf,
+    requestedBy,
+    requestId: getRequestId(),
+  })));
+
+  scheduleProcessing();
+  return deliveries;
+};
+
+// Queue an event payload (see utils/events) for every webhook subscribed to it
+const queueWebhookEvent = async (payload) => {
+  const webhooks = await Webhook.find({ active: true, events: { $in: [payload.event, '*'] } }).select('_id').lean();
+  return queueDeliveries(webhooks.map(webhook => webhook._id), payload);
+};
+
+// Queue a webhook.test event for one webhook, whatever it subscribes to
+const sendTestEvent = async (webhook, requestedBy) => {
+  const payload = {
+    id: crypto.randomUUID(),
+    event: 'webhook.test',
+    createdAt: new Date().toISOString(),
+    data: { webhookId: String(webhook._id), message: 'Test event from MAD Foundation' },
+  };
+  const [delivery] = await queueDeliveries([webhook._id], payload, { requestedBy });
+  return delivery;
+};
+
+// Queue the payload of an earlier delivery again, under the same event ID
+const replayDelivery = async (delivery, requestedBy) => {
+  const [replay] = await queueDeliveries([delivery.webhook], delivery.payload, { replayOf: delivery._id, requestedBy });
+  return replay;
+};
+
+// Claim the next due delivery so no other worker sends it too
+const claimNextDelivery = async () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['queued', 'retrying'] }, nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    },
+    { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS), $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// POST the payload once; resolves with the attempt's record whatever the outcome
+const postPayload = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'MAD-Foundation-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_CONFIG.timeoutMs),
+    });
+
+    // Only the status is kept: storing what the receiver answered would let anyone
+    // who can point a webhook at an internal address read that address back
+    attempt.statusCode = response.status;
+    await response.body?.cancel().catch(() => {});
+    if (!response.ok) {
+      attempt.error = `Receiver answered ${response.status}`;
+    }
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      attempt.error = 'Receiver did not answer in time';
+    } else {
+      // fetch reports connection problems as "fetch failed" with the reason in `cause`
+      attempt.error = error.cause && error.cause.code ? `${error.message} (${error.cause.code})` : error.message;
+    }
+  }
+
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+};
+
+// Attempt one claimed delivery and record the outcome
+const deliver = async (delivery) => {
+  const { baseBackoffMs, retentionMs } = WEBHOOK_CONFIG;
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  let attempt;
+  if (!webhook) {
+    attempt = { at: new Date(), error: 'Webhook was deleted' };
+  } else if (!webhook.active) {
+    attempt = { at: new Date(), error: 'Webhook is disabled' };
+  } else {
+    attempt = await postPayload(webhook, delivery);
+  }
+
+  const now = new Date();
+  delivery.history.push(attempt);
+  delivery.lastError = attempt.error;
+
+  if (!attempt.error) {
+    delivery.status = 'delivered';
+    delivery.deliveredAt = now;
+  } else if (!webhook || !webhook.active || attempt.statusCode === 410 || delivery.attempts >= delivery.maxAttempts) {
+    // 410 Gone: the receiver asks not to be sent this again
+    delivery.status = 'failed';
+    logger.warn('Webhook delivery failed', { event: delivery.event, webhookId: String(delivery.webhook), attempts: delivery.attempts, reason: attempt.error });
+  } else {
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = new Date(now.getTime() + getBackoffMs(delivery.attempts, baseBackoffMs));
+  }
+
+  if (['delivered', 'failed'].includes(delivery.status)) {
+    delivery.expiresAt = new Date(now.getTime() + retentionMs);
+    if (webhook) {
+      await Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: now, lastDeliveryStatus: delivery.status });
+    }
+  }
+
+  delivery.lockedUntil = undefined;
+  await delivery.save();
+  return delivery;
+};
+
+// Send every delivery that is due, a batch at a time
+const processWebhookQueue = async () => {
+  // Ticks before MongoDB is up are skipped, as in the email queue
+  if (running || getDbState() !== 'connected') return;
+  running = true;
+
+  try {
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const delivery = await claimNextDelivery();
+      if (!delivery) break;
+      await runWithContext({ requestId: delivery.requestId, webhookDeliveryId: String(delivery._id) }, () => deliver(delivery));
+    }
+  } catch (error) {
+    logger.error('Webhook queue error', { error });
+  } finally {
+    running = false;
+  }
+};
+
+const startWebhookWorker = () => {
+  if (timer) return;
+  timer = setInterval(processWebhookQueue, WEBHOOK_CONFIG.intervalMs);
+  timer.unref();
+  logger.info('Webhook worker started', { intervalMs: WEBHOOK_CONFIG.intervalMs });
+};
+
+// Stop polling and wait for the batch in progress to finish
+const stopWebhookWorker = async () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+  while (running) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+module.exports = {
+  generateSecret,
+  verifySignature,
+  queueWebhookEvent,
+  sendTestEvent,
+  replayDelivery,
+  processWebhookQueue,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
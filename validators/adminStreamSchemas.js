@@ -0,0 +1,10 @@
+const { rules } = require('../utils/validation');
+
+exports.streamEvents = {
+  query: {
+    // Stream token from POST /api/admin/stream/token, for EventSource clients
+    token: rules.string({ max: 2000, sanitize: false }),
+    // For clients that cannot set the Last-Event-ID header when reconnecting
+    lastEventId: rules.objectId({ label: 'Last event ID' }),
+  },
+};
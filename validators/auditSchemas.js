@@ -0,0 +1,13 @@
+const { rules, pagination } = require('../utils/validation');
+
+exports.getAuditLog = {
+  query: {
+    ...pagination(20),
+    actor: rules.string({ max: 254 }),
+    action: rules.string({ max: 100 }),
+    targetType: rules.string({ max: 100 }),
+    targetId: rules.string({ max: 100, label: 'Target ID' }),
+    from: rules.date(),
+    to: rules.date(),
+  },
+};
@@ -0,0 +1,48 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const AREAS_OF_INTEREST = ['Education', 'Employment', 'Skill Development', 'Livelihood', 'Assistive Technology', 'Healthcare & Rehabilitation', 'Advocacy', 'Accessibility', 'Policy Development', 'Research & Innovation', 'Other'];
+const STATUSES = ['pending', 'under-review', 'meeting-scheduled', 'in-discussion', 'approved', 'active-partnership', 'declined', 'on-hold'];
+const ORGANIZATION_TYPES = ['ngo', 'corporate', 'government', 'institution', 'individual', 'startup', 'other'];
+const PARTNERSHIP_TYPES = ['project-based', 'long-term', 'funding', 'resource-sharing', 'knowledge-exchange', 'advocacy', 'other'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+exports.submitCollaborationRequest = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    organizationName: rules.string({ required: true, min: 2, max: 200 }),
+    email: rules.email({ required: true }),
+    mobile: rules.mobile({ required: true, label: 'Mobile number' }),
+    areaOfInterest: rules.oneOf(AREAS_OF_INTEREST, { required: true, message: 'Invalid area of interest selected' }),
+    message: rules.string({ max: 2000, default: '' }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllCollaborations = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    areaOfInterest: rules.oneOf(AREAS_OF_INTEREST),
+    organizationType: rules.oneOf(ORGANIZATION_TYPES),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateCollaborationStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES),
+    organizationType: rules.oneOf(ORGANIZATION_TYPES),
+    partnershipType: rules.oneOf(PARTNERSHIP_TYPES),
+    priority: rules.oneOf(PRIORITIES),
+    declineReason: rules.string({ max: 500 }),
+    notes: rules.string({ max: 1000 }),
+    meetingDate: rules.date(),
+    partnershipStartDate: rules.date(),
+  },
+};
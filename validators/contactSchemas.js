@@ -0,0 +1,33 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const STATUSES = ['new', 'in-progress', 'resolved'];
+
+exports.submitContactForm = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    mobile: rules.mobile({ required: true, label: 'Mobile number' }),
+    message: rules.string({ required: true, min: 10, max: 1000 }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllContacts = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateContactStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES, { required: true, message: 'Invalid status. Must be: new, in-progress, or resolved' }),
+  },
+};
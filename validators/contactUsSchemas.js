@@ -0,0 +1,41 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const SUBJECTS = ['general-inquiry', 'volunteering', 'internship', 'partnership', 'donation', 'other'];
+const STATUSES = ['new', 'in-progress', 'resolved', 'closed'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+exports.submitContactUs = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    mobile: rules.mobile({ required: true, label: 'Mobile number' }),
+    subject: rules.oneOf(SUBJECTS, { required: true, message: 'Invalid subject selected' }),
+    message: rules.string({ required: true, min: 10, max: 1500 }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllContactUs = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    subject: rules.oneOf(SUBJECTS),
+    priority: rules.oneOf(PRIORITIES),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateContactUsStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES),
+    priority: rules.oneOf(PRIORITIES),
+    assignedTo: rules.string({ max: 100 }),
+    notes: rules.string({ max: 1000 }),
+  },
+};
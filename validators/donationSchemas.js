@@ -0,0 +1,46 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const DONATION_TYPES = ['One-Time', 'Monthly', 'Sponsor a Program', 'Corporate Donation'];
+const STATUSES = ['pending', 'contacted', 'completed', 'cancelled'];
+const PAYMENT_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+exports.submitDonationForm = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    mobile: rules.mobile({ required: true, label: 'Mobile number' }),
+    donationAmount: rules.number({
+      required: true,
+      label: 'Donation amount',
+      check: (amount) => {
+        if (amount < 1) return 'Minimum donation amount is ₹1';
+        if (amount > 10000000) return 'Maximum donation amount is ₹1,00,00,000';
+      },
+    }),
+    donationType: rules.oneOf(DONATION_TYPES, { required: true, message: 'Invalid donation type selected' }),
+    message: rules.string({ max: 1000, default: '' }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllDonations = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    donationType: rules.oneOf(DONATION_TYPES),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateDonationStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES),
+    paymentStatus: rules.oneOf(PAYMENT_STATUSES),
+  },
+};
@@ -0,0 +1,23 @@
+const { rules, pagination } = require('../utils/validation');
+
+const emailId = {
+  id: rules.objectId({ required: true }),
+};
+
+exports.getEmails = {
+  query: {
+    ...pagination(20),
+    status: rules.oneOf(['queued', 'sending', 'retrying', 'sent', 'skipped', 'dead']),
+    to: rules.string({ max: 254, lowercase: true }),
+    category: rules.string({ max: 100 }),
+    relatedId: rules.objectId({ label: 'Related ID' }),
+  },
+};
+
+exports.getEmail = {
+  params: emailId,
+};
+
+exports.resendEmail = {
+  params: emailId,
+};
@@ -0,0 +1,66 @@
+const { rules } = require('../utils/validation');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../utils/i18n');
+
+// Template source is stored as written, so it is not sanitized like form input
+const templateSource = (options = {}) => rules.string({ sanitize: false, max: 100000, ...options });
+
+const templateName = {
+  name: rules.string({ required: true, max: 100, label: 'Template name' }),
+};
+
+// Which translation of the template to work on
+const templateLocale = {
+  locale: rules.oneOf(SUPPORTED_LOCALES, { default: DEFAULT_LOCALE }),
+};
+
+exports.getTemplates = {
+  query: {
+    locale: rules.oneOf(SUPPORTED_LOCALES),
+  },
+};
+
+exports.getTemplate = {
+  params: templateName,
+  query: templateLocale,
+};
+
+exports.getTemplateVersion = {
+  params: {
+    ...templateName,
+    version: rules.number({ required: true, integer: true, min: 1 }),
+  },
+  query: templateLocale,
+};
+
+exports.updateTemplate = {
+  params: templateName,
+  query: templateLocale,
+  body: {
+    subject: templateSource({ required: true, max: 500 }),
+    html: templateSource({ required: true, label: 'HTML body' }),
+    text: templateSource({ label: 'Text body', default: '' }),
+    note: rules.string({ max: 200 }),
+    sampleData: rules.object(),
+    baseVersion: rules.number({ integer: true, min: 1 }),
+  },
+};
+
+exports.previewTemplate = {
+  params: templateName,
+  query: templateLocale,
+  body: {
+    subject: templateSource({ max: 500 }),
+    html: templateSource({ label: 'HTML body' }),
+    text: templateSource({ label: 'Text body' }),
+    data: rules.object({ default: () => ({}) }),
+  },
+};
+
+exports.rollbackTemplate = {
+  params: templateName,
+  query: templateLocale,
+  body: {
+    version: rules.number({ required: true, integer: true, min: 1 }),
+    note: rules.string({ max: 200 }),
+  },
+};
@@ -0,0 +1,61 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const DISABILITY_TYPES = [
+  'Visual Impairment',
+  'Hearing Impairment',
+  'Locomotor Disability',
+  'Intellectual Disability',
+  'Speech & Language Disability',
+  'Multiple Disabilities',
+  'Other (please specify)',
+];
+const REGISTRATION_STATUSES = ['confirmed', 'waitlist', 'cancelled'];
+
+exports.registerForEvent = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    mobileNumber: rules.mobile({ required: true }),
+    city: rules.string({ max: 100, label: 'City name', default: '' }),
+    occupation: rules.string({ max: 100, default: '' }),
+    organization: rules.string({ max: 200, label: 'Organization name', default: '' }),
+    isPersonWithDisability: rules.oneOf(['Yes', 'No'], {
+      required: true,
+      label: 'Person with disability',
+      message: 'Please specify if you are a person with disability',
+    }),
+    disabilityType: rules.oneOf(DISABILITY_TYPES, { default: '' }),
+    otherDisabilityText: rules.string({ max: 200, label: 'Disability description', default: '' }),
+    eventId: rules.number({ required: true, integer: true, min: 1, label: 'Event ID' }),
+    eventTitle: rules.string({ required: true, max: 200 }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllRegistrations = {
+  query: {
+    ...pagination(),
+    eventId: rules.number({ integer: true, min: 1, label: 'Event ID' }),
+    registrationStatus: rules.oneOf(REGISTRATION_STATUSES),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.getEventStats = {
+  params: {
+    eventId: rules.number({ required: true, integer: true, min: 1, label: 'Event ID' }),
+  },
+};
+
+exports.updateRegistrationStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    registrationStatus: rules.oneOf(REGISTRATION_STATUSES, { required: true, message: 'Invalid registration status' }),
+    notes: rules.string({ max: 1000 }),
+  },
+};
@@ -0,0 +1,8 @@
+const { rules } = require('../utils/validation');
+const { SPAM_FORMS } = require('../utils/spam');
+
+exports.getFormToken = {
+  query: {
+    form: rules.oneOf(Object.keys(SPAM_FORMS), { required: true }),
+  },
+};
@@ -0,0 +1,23 @@
+const { rules, pagination } = require('../utils/validation');
+const { INBOX_TYPES, parseSearchTerm } = require('../utils/inbox');
+const { FEED_MAX_PAGE } = require('../utils/feeds');
+
+exports.getInbox = {
+  query: {
+    ...pagination(20, { maxPage: FEED_MAX_PAGE }),
+    type: rules.oneOf(Object.keys(INBOX_TYPES)),
+    status: rules.string({ max: 50 }),
+    since: rules.date(),
+  },
+};
+
+exports.searchInbox = {
+  query: {
+    q: rules.string({
+      required: true,
+      max: 100,
+      label: 'Search',
+      check: value => (parseSearchTerm(value) ? undefined : 'Search by an email address, mobile number or reference number'),
+    }),
+  },
+};
@@ -0,0 +1,45 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const INTERNSHIP_AREAS = ['Research & Policy', 'Content Development', 'Event Coordination', 'Social Media', 'Assistive Technology', 'More'];
+const STATUSES = ['pending', 'under-review', 'interview-scheduled', 'accepted', 'rejected', 'completed'];
+const DURATIONS = ['1-month', '3-months', '6-months', 'flexible'];
+
+exports.applyInternship = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    mobile: rules.mobile({ required: true, label: 'Mobile number' }),
+    internshipArea: rules.oneOf(INTERNSHIP_AREAS, { required: true, message: 'Invalid internship area selected' }),
+    education: rules.string({ max: 1000, label: 'Education background', default: '' }),
+    motivation: rules.string({ required: true, min: 20, max: 1000 }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllInterns = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    internshipArea: rules.oneOf(INTERNSHIP_AREAS),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateInternStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES),
+    duration: rules.oneOf(DURATIONS),
+    rejectionReason: rules.string({ max: 500 }),
+    notes: rules.string({ max: 1000 }),
+    mentor: rules.string({ max: 100 }),
+    interviewDate: rules.date(),
+    startDate: rules.date(),
+    endDate: rules.date(),
+  },
+};
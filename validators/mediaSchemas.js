@@ -0,0 +1,52 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const STATUSES = ['pending', 'under-review', 'approved', 'featured', 'rejected'];
+const MEDIA_TYPES = ['image', 'video', 'unknown'];
+const CATEGORIES = ['event', 'initiative', 'testimonial', 'achievement', 'other'];
+
+const MEDIA_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.mp4', '.mov', '.avi', '.wmv', '.flv', '.webm', '.mkv'];
+const SUPPORTED_DOMAINS = ['youtube.com', 'youtu.be', 'vimeo.com', 'drive.google.com', 'dropbox.com', 'imgur.com'];
+
+// The link must point at an image/video file or a platform we know how to show
+const checkMediaUrl = (url) => {
+  const urlLower = url.toLowerCase();
+  const hasValidExtension = MEDIA_EXTENSIONS.some(ext => urlLower.includes(ext));
+  const hasValidDomain = SUPPORTED_DOMAINS.some(domain => urlLower.includes(domain));
+
+  if (!hasValidExtension && !hasValidDomain) {
+    return 'Please provide a valid image/video URL or link from supported platforms (YouTube, Vimeo, Google Drive, etc.)';
+  }
+};
+
+exports.submitMediaUpload = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    mediaUrl: rules.url({ required: true, max: 2000, label: 'Media URL', check: checkMediaUrl }),
+    description: rules.string({ max: 1000, default: '' }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllSubmissions = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    mediaType: rules.oneOf(MEDIA_TYPES),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateSubmissionStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES),
+    category: rules.oneOf(CATEGORIES),
+    rejectionReason: rules.string({ max: 500 }),
+  },
+};
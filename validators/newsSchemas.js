@@ -0,0 +1,23 @@
+const { rules, pagination } = require('../utils/validation');
+const { languageFields } = require('../utils/i18n');
+
+exports.subscribeNewsletter = {
+  body: {
+    email: rules.email({ required: true }),
+    ...languageFields(),
+  },
+};
+
+exports.unsubscribeNewsletter = {
+  params: {
+    token: rules.string({ required: true, pattern: /^[a-f0-9]{64}$/, message: 'Invalid unsubscribe token' }),
+  },
+};
+
+exports.getAllSubscribers = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(['active', 'inactive', 'unsubscribed']),
+    search: rules.string({ max: 100 }),
+  },
+};
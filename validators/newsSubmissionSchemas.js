@@ -0,0 +1,35 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const STATUSES = ['pending', 'under-review', 'approved', 'published', 'rejected'];
+const CATEGORIES = ['announcement', 'event', 'achievement', 'accessibility', 'inclusion', 'other'];
+
+exports.submitNewsUpdate = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    newsUpdate: rules.string({ required: true, min: 10, max: 2000 }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllSubmissions = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateSubmissionStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES),
+    category: rules.oneOf(CATEGORIES),
+    rejectionReason: rules.string({ max: 500 }),
+  },
+};
@@ -0,0 +1,15 @@
+const { rules } = require('../utils/validation');
+const { parseReference } = require('../utils/references');
+
+exports.lookupReference = {
+  params: {
+    reference: rules.string({
+      required: true,
+      max: 40,
+      check: value => (parseReference(value) ? undefined : 'Reference number is not valid. Please check it for typos'),
+    }),
+  },
+  query: {
+    email: rules.email({ required: true }),
+  },
+};
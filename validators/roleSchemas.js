@@ -0,0 +1,39 @@
+const { rules } = require('../utils/validation');
+const { isValidPermission } = require('../config/permissions');
+
+const permissionList = () => rules.array(
+  rules.string({ check: permission => (isValidPermission(permission) ? undefined : `Unknown permission: ${permission}`) }),
+  { unique: true }
+);
+
+const roleName = {
+  name: rules.string({ required: true, max: 40, label: 'Role name' }),
+};
+
+exports.createRole = {
+  body: {
+    name: rules.string({
+      required: true,
+      lowercase: true,
+      pattern: /^[a-z][a-z0-9-]{1,39}$/,
+      patternMessage: 'Role name must be 2-40 lowercase letters, numbers or hyphens',
+      label: 'Role name',
+    }),
+    description: rules.string({ max: 200, default: '' }),
+    permissions: permissionList(),
+    requireTwoFactor: rules.boolean({ default: false }),
+  },
+};
+
+exports.updateRole = {
+  params: roleName,
+  body: {
+    description: rules.string({ max: 200 }),
+    permissions: permissionList(),
+    requireTwoFactor: rules.boolean(),
+  },
+};
+
+exports.deleteRole = {
+  params: roleName,
+};
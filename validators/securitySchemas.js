@@ -0,0 +1,43 @@
+const { rules, pagination } = require('../utils/validation');
+const { RATE_LIMIT_POLICIES } = require('../config/rateLimits');
+
+exports.getLockouts = {
+  query: {
+    ...pagination(),
+    scope: rules.oneOf(['account', 'ip']),
+    active: rules.boolean({ default: true }),
+  },
+};
+
+exports.clearLockout = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+};
+
+exports.getSecurityEvents = {
+  query: {
+    ...pagination(20),
+    type: rules.oneOf(['account-locked', 'ip-locked', 'account-unlocked', 'lockout-cleared']),
+    email: rules.string({ max: 254, lowercase: true }),
+    ipAddress: rules.string({ max: 45, label: 'IP address' }),
+    staffOnly: rules.boolean({ default: false }),
+    since: rules.date(),
+  },
+};
+
+exports.getRateLimits = {
+  query: {
+    ...pagination(20),
+    policy: rules.oneOf(Object.keys(RATE_LIMIT_POLICIES)),
+    scope: rules.oneOf(['ip', 'email', 'user']),
+    key: rules.string({ max: 254 }),
+    throttled: rules.boolean({ default: true }),
+  },
+};
+
+exports.clearRateLimit = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+};
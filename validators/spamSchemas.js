@@ -0,0 +1,40 @@
+const { rules, pagination } = require('../utils/validation');
+const { SPAM_FORMS } = require('../utils/spam');
+const { FEED_MAX_PAGE } = require('../utils/feeds');
+
+const FORMS = Object.keys(SPAM_FORMS);
+
+const submissionParams = {
+  form: rules.oneOf(FORMS, { required: true }),
+  id: rules.objectId({ required: true }),
+};
+
+exports.getSpamSubmissions = {
+  query: {
+    ...pagination(20, { maxPage: FEED_MAX_PAGE }),
+    form: rules.oneOf(FORMS),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.releaseSpam = {
+  params: submissionParams,
+};
+
+exports.markAsSpam = {
+  params: submissionParams,
+  body: {
+    reason: rules.string({ max: 200 }),
+  },
+};
+
+exports.deleteSpam = {
+  params: submissionParams,
+};
+
+exports.purgeSpam = {
+  query: {
+    form: rules.oneOf(FORMS),
+    olderThanDays: rules.number({ integer: true, min: 0, max: 3650, default: 30, label: 'Older than days' }),
+  },
+};
@@ -0,0 +1,180 @@
+const { rules, pagination } = require('../utils/validation');
+const { languageFields } = require('../utils/i18n');
+
+const PASSWORD_STRENGTH = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/;
+
+// New passwords must be strong; passwords being checked against the account only need to be present
+const newPassword = (options = {}) => rules.string({
+  required: true,
+  sanitize: false,
+  trim: false,
+  max: 128,
+  check: (password) => {
+    if (password.length < 8) return 'Password must be at least 8 characters long';
+    if (!PASSWORD_STRENGTH.test(password)) {
+      return 'Password must contain at least one lowercase letter, one uppercase letter, and one number';
+    }
+  },
+  ...options,
+});
+const currentPassword = (options = {}) => rules.string({ required: true, sanitize: false, trim: false, max: 128, ...options });
+
+const name = (options = {}) => rules.string({ min: 2, max: 50, ...options });
+const phoneNumber = (options = {}) => rules.mobile(options);
+const token = { token: rules.string({ required: true, max: 2048, sanitize: false }) };
+const userId = { id: rules.objectId({ required: true, label: 'User ID' }) };
+const twoFactorCode = rules.string({ required: true, max: 32, sanitize: false, label: 'Two-factor code' });
+
+exports.signup = {
+  body: {
+    name: name({ required: true }),
+    email: rules.email({ required: true }),
+    phoneNumber: phoneNumber({ required: true }),
+    password: newPassword(),
+    ...languageFields(),
+  },
+};
+
+exports.login = {
+  body: {
+    email: rules.email({ required: true }),
+    password: currentPassword(),
+  },
+};
+
+exports.verifyTwoFactorLogin = {
+  body: {
+    twoFactorToken: rules.string({ required: true, max: 2048, sanitize: false }),
+    code: twoFactorCode,
+  },
+};
+
+exports.forgotPassword = {
+  body: {
+    email: rules.email({ required: true }),
+  },
+};
+
+exports.resetPassword = {
+  params: token,
+  body: {
+    password: newPassword(),
+  },
+};
+
+exports.verifyEmail = {
+  params: token,
+};
+
+exports.resendVerification = {
+  body: {
+    email: rules.email({ required: true }),
+  },
+};
+
+exports.unlockAccount = {
+  params: token,
+};
+
+exports.refreshToken = {
+  body: {
+    refreshToken: rules.string({ required: true, max: 2048, sanitize: false }),
+  },
+};
+
+exports.confirmEmailChange = {
+  params: token,
+};
+
+exports.revokeMySession = {
+  params: {
+    id: rules.objectId({ required: true, label: 'Session ID' }),
+  },
+};
+
+exports.updateMe = {
+  body: {
+    name: name(),
+    phoneNumber: phoneNumber(),
+    ...languageFields(),
+  },
+};
+
+exports.changePassword = {
+  body: {
+    currentPassword: currentPassword(),
+    newPassword: newPassword(),
+  },
+};
+
+exports.requestEmailChange = {
+  body: {
+    newEmail: rules.email({ required: true }),
+    password: currentPassword(),
+  },
+};
+
+exports.getAllUsers = {
+  query: {
+    ...pagination(),
+    role: rules.string({ max: 40, lowercase: true }),
+    status: rules.oneOf(['active', 'inactive']),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.purgeUnverifiedUsers = {
+  query: {
+    olderThanDays: rules.number({
+      integer: true,
+      min: 1,
+      default: () => parseInt(process.env.UNVERIFIED_ACCOUNT_MAX_AGE_DAYS, 10) || 7,
+    }),
+  },
+};
+
+exports.inviteUser = {
+  body: {
+    name: name({ required: true }),
+    email: rules.email({ required: true }),
+    phoneNumber: phoneNumber({ required: true }),
+    role: rules.string({ max: 40, lowercase: true, default: 'user' }),
+  },
+};
+
+exports.updateUserRole = {
+  params: userId,
+  body: {
+    role: rules.string({ required: true, max: 40, lowercase: true }),
+  },
+};
+
+// Admin actions that only need the user
+exports.userAction = {
+  params: userId,
+};
+
+exports.setupTwoFactor = {
+  body: {
+    password: currentPassword(),
+  },
+};
+
+exports.enableTwoFactor = {
+  body: {
+    code: twoFactorCode,
+  },
+};
+
+exports.disableTwoFactor = {
+  body: {
+    password: currentPassword(),
+    code: twoFactorCode,
+  },
+};
+
+exports.regenerateRecoveryCodes = {
+  body: {
+    code: twoFactorCode,
+  },
+};
@@ -0,0 +1,41 @@
+const { rules, pagination } = require('../utils/validation');
+const { spamFields } = require('../utils/spam');
+const { languageFields } = require('../utils/i18n');
+
+const EXPERTISE = ['Education', 'Skill Development', 'Content Creation', 'Advocacy', 'Event Coordination', 'Research & Policy', 'More'];
+const STATUSES = ['pending', 'reviewed', 'approved', 'active', 'inactive', 'rejected'];
+const AVAILABILITY = ['part-time', 'full-time', 'weekends', 'flexible'];
+
+exports.registerVolunteer = {
+  body: {
+    fullName: rules.string({ required: true, min: 2, max: 100, label: 'Name' }),
+    email: rules.email({ required: true }),
+    mobile: rules.mobile({ required: true, label: 'Mobile number' }),
+    expertise: rules.array(rules.oneOf(EXPERTISE), { unique: true, default: () => [] }),
+    howToHelp: rules.string({ required: true, min: 10, max: 1000, label: 'Description' }),
+    message: rules.string({ max: 500, default: '' }),
+    ...languageFields(),
+    ...spamFields(),
+  },
+};
+
+exports.getAllVolunteers = {
+  query: {
+    ...pagination(),
+    status: rules.oneOf(STATUSES),
+    expertise: rules.oneOf(EXPERTISE),
+    search: rules.string({ max: 100 }),
+  },
+};
+
+exports.updateVolunteerStatus = {
+  params: {
+    id: rules.objectId({ required: true }),
+  },
+  body: {
+    status: rules.oneOf(STATUSES),
+    availability: rules.oneOf(AVAILABILITY),
+    rejectionReason: rules.string({ max: 500 }),
+    notes: rules.string({ max: 1000 }),
+  },
+};
@@ -0,0 +1,64 @@
+const { rules, pagination } = require('../utils/validation');
+const { EVENTS } = require('../config/events');
+
+const eventList = (options = {}) => rules.array(rules.oneOf(['*', ...Object.keys(EVENTS)]), { min: 1, unique: true, ...options });
+
+const webhookId = {
+  id: rules.objectId({ required: true }),
+};
+
+const deliveryId = {
+  deliveryId: rules.objectId({ required: true, label: 'Delivery ID' }),
+};
+
+exports.createWebhook = {
+  body: {
+    url: rules.url({ required: true, max: 2000, label: 'URL' }),
+    description: rules.string({ max: 200, default: '' }),
+    events: eventList({ required: true }),
+    active: rules.boolean({ default: true }),
+  },
+};
+
+exports.getWebhook = {
+  params: webhookId,
+};
+
+exports.updateWebhook = {
+  params: webhookId,
+  body: {
+    url: rules.url({ max: 2000, label: 'URL' }),
+    description: rules.string({ max: 200 }),
+    events: eventList(),
+    active: rules.boolean(),
+  },
+};
+
+exports.deleteWebhook = {
+  params: webhookId,
+};
+
+exports.rotateSecret = {
+  params: webhookId,
+};
+
+exports.testWebhook = {
+  params: webhookId,
+};
+
+exports.getDeliveries = {
+  params: webhookId,
+  query: {
+    ...pagination(20),
+    status: rules.oneOf(['queued', 'sending', 'retrying', 'delivered', 'failed']),
+    event: rules.oneOf(Object.keys(EVENTS)),
+  },
+};
+
+exports.getDelivery = {
+  params: deliveryId,
+};
+
+exports.replayDelivery = {
+  params: deliveryId,
+};